@@ -4,6 +4,9 @@ import { AuthProvider } from './context/AuthContext';
 import SidebarLayout from './components/layout/SidebarLayout';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import CourseHistory from './pages/CourseHistory';
+import Dashboard from './pages/Dashboard';
+import HeadToHead from './pages/HeadToHead';
 import Scorecard from './pages/Scorecard';
 import Settings from './pages/Settings';
 import Account from './pages/Account';
@@ -23,8 +26,10 @@ function App() {
             element={(
               <SidebarLayout>
                 <Routes>
-                  <Route path="/" element={<Scorecard />} />
+                  <Route path="/" element={<Dashboard />} />
                   <Route path="/scorecard" element={<Scorecard />} />
+                  <Route path="/courses" element={<CourseHistory />} />
+                  <Route path="/head-to-head/:userId" element={<HeadToHead />} />
                   <Route path="/settings" element={<Settings />} />
                   <Route path="/account" element={<Account />} />
                 </Routes>
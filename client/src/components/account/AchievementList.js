@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { LockClosedIcon, TrophyIcon } from '@heroicons/react/24/solid';
+
+/**
+ * Format a date string (YYYY-MM-DD...) for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+/**
+ * Grid of every badge: earned ones with the round that earned them (and a
+ * count for repeatable badges), locked ones greyed out
+ */
+function AchievementList({ earned, available }) {
+  return (
+    <ul className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+      {available.map((achievement) => {
+        // Earned list is newest first, so the first match is the latest
+        const matches = earned.filter((e) => e.key === achievement.key);
+        const latest = matches[0];
+        return (
+          <li
+            key={achievement.key}
+            className={`flex items-start gap-3 rounded-lg p-4 ring-1 ring-inset ${
+              latest ? 'bg-amber-50 ring-amber-200' : 'bg-gray-50 ring-gray-200'
+            }`}
+          >
+            {latest ? (
+              <TrophyIcon className="h-8 w-8 shrink-0 text-amber-500" />
+            ) : (
+              <LockClosedIcon className="h-8 w-8 shrink-0 text-gray-300" />
+            )}
+            <div className="min-w-0">
+              <div className={`text-sm font-semibold ${latest ? 'text-gray-900' : 'text-gray-500'}`}>
+                {achievement.name}
+                {matches.length > 1 && (
+                  <span className="ml-1 text-amber-600">{`x${matches.length}`}</span>
+                )}
+              </div>
+              <div className="text-sm text-gray-500">{achievement.description}</div>
+              {latest && (
+                <div className="mt-1 truncate text-xs text-gray-500">
+                  {latest.round
+                    ? `${latest.round.courseName} · ${formatDate(latest.round.date)}`
+                    : formatDate(latest.earnedAt)}
+                </div>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+AchievementList.propTypes = {
+  earned: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    earnedAt: PropTypes.string,
+    round: PropTypes.shape({
+      courseName: PropTypes.string,
+      date: PropTypes.string,
+    }),
+  })),
+  available: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+  })),
+};
+
+AchievementList.defaultProps = {
+  earned: [],
+  available: [],
+};
+
+export default AchievementList;
@@ -0,0 +1,54 @@
+import PropTypes from 'prop-types';
+
+const BUCKETS = [
+  { key: 'eagles', label: 'Eagle or better', color: 'bg-yellow-400' },
+  { key: 'birdies', label: 'Birdie', color: 'bg-green-500' },
+  { key: 'pars', label: 'Par', color: 'bg-gray-400' },
+  { key: 'bogeys', label: 'Bogey', color: 'bg-red-300' },
+  { key: 'doubles', label: 'Double or worse', color: 'bg-red-500' },
+];
+
+/**
+ * Horizontal bars showing the share of holes for each score type
+ */
+function DistributionChart({ distribution }) {
+  const total = BUCKETS.reduce((sum, b) => sum + (distribution[b.key] || 0), 0);
+
+  return (
+    <div className="space-y-3">
+      {BUCKETS.map((bucket) => {
+        const count = distribution[bucket.key] || 0;
+        const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+        return (
+          <div key={bucket.key}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-medium text-gray-700">{bucket.label}</span>
+              <span className="text-gray-500">
+                {count}
+                {' '}
+                (
+                {percent}
+                %)
+              </span>
+            </div>
+            <div className="h-2.5 w-full rounded-full bg-gray-100">
+              <div className={`h-2.5 rounded-full ${bucket.color}`} style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+DistributionChart.propTypes = {
+  distribution: PropTypes.shape({
+    eagles: PropTypes.number,
+    birdies: PropTypes.number,
+    pars: PropTypes.number,
+    bogeys: PropTypes.number,
+    doubles: PropTypes.number,
+  }).isRequired,
+};
+
+export default DistributionChart;
@@ -0,0 +1,117 @@
+import PropTypes from 'prop-types';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = {
+  top: 16, right: 16, bottom: 28, left: 36,
+};
+
+/**
+ * Format a score relative to par for axis and point labels
+ */
+function formatToPar(value) {
+  if (value === 0) return 'E';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Line chart of score to par (or gross) over recent rounds, oldest on the left
+ * Plain SVG so the dashboard doesn't need a charting library
+ */
+function TrendChart({ rounds, valueKey }) {
+  if (rounds.length === 0) {
+    return <p className="py-12 text-center text-sm text-gray-500">No completed rounds yet.</p>;
+  }
+
+  // Score to par keeps even par on the chart as a baseline
+  const relative = valueKey === 'toPar';
+  const formatValue = relative ? formatToPar : String;
+  const values = rounds.map((r) => r[valueKey]);
+  const min = Math.min(...values, ...(relative ? [0] : []));
+  const max = Math.max(...values, ...(relative ? [0] : []));
+  const range = max - min || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) => PADDING.left + (rounds.length === 1
+    ? plotWidth / 2
+    : (index / (rounds.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + ((max - value) / range) * plotHeight;
+
+  const points = rounds.map((round, index) => ({
+    ...round,
+    cx: x(index),
+    cy: y(round[valueKey]),
+  }));
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.cx},${p.cy}`).join(' ');
+  const ticks = Array.from(new Set([max, relative ? 0 : Math.round((max + min) / 2), min]));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={relative ? 'Score to par trend' : 'Gross score trend'}
+    >
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            className={relative && tick === 0 ? 'stroke-gray-400' : 'stroke-gray-200'}
+            strokeDasharray={relative && tick === 0 ? undefined : '4 4'}
+          />
+          <text x={PADDING.left - 8} y={y(tick) + 4} textAnchor="end" className="fill-gray-500 text-xs">
+            {formatValue(tick)}
+          </text>
+        </g>
+      ))}
+      <path d={path} fill="none" className="stroke-indigo-500" strokeWidth="2.5" />
+      {points.map((point) => (
+        <circle
+          key={point.roundId}
+          cx={point.cx}
+          cy={point.cy}
+          r="4"
+          className={point.holes === 9 ? 'fill-white stroke-indigo-500' : 'fill-indigo-600'}
+          strokeWidth="2"
+        >
+          <title>
+            {`${point.courseName} (${point.date.split('T')[0]}): ${point.gross}, ${formatToPar(point.toPar)}`}
+          </title>
+        </circle>
+      ))}
+      {points.length > 1 && (
+        <>
+          <text x={points[0].cx} y={HEIGHT - 8} textAnchor="start" className="fill-gray-500 text-xs">
+            {points[0].date.split('T')[0]}
+          </text>
+          <text x={points[points.length - 1].cx} y={HEIGHT - 8} textAnchor="end" className="fill-gray-500 text-xs">
+            {points[points.length - 1].date.split('T')[0]}
+          </text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+TrendChart.propTypes = {
+  rounds: PropTypes.arrayOf(PropTypes.shape({
+    roundId: PropTypes.string,
+    date: PropTypes.string,
+    courseName: PropTypes.string,
+    holes: PropTypes.number,
+    gross: PropTypes.number,
+    toPar: PropTypes.number,
+  })),
+  valueKey: PropTypes.oneOf(['toPar', 'gross']),
+};
+
+TrendChart.defaultProps = {
+  rounds: [],
+  valueKey: 'toPar',
+};
+
+export default TrendChart;
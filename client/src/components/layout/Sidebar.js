@@ -3,12 +3,14 @@ import { NavLink } from 'react-router-dom';
 import {
   HomeIcon,
   ClipboardDocumentListIcon,
+  MapIcon,
   UserCircleIcon,
 } from '@heroicons/react/24/outline';
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: HomeIcon },
   { name: 'Rounds', href: '/scorecard', icon: ClipboardDocumentListIcon },
+  { name: 'Courses', href: '/courses', icon: MapIcon },
   { name: 'Account', href: '/account', icon: UserCircleIcon },
 ];
 
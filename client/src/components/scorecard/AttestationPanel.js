@@ -0,0 +1,80 @@
+import PropTypes from 'prop-types';
+import { CheckBadgeIcon } from '@heroicons/react/24/solid';
+
+/**
+ * Marker sign-off for each linked player's card. A card can be attested by
+ * any other linked player once the round is complete; the server clears the
+ * attestation if the card changes afterwards. Hidden with fewer than two
+ * linked players, when there's no marker and attestation isn't required.
+ */
+function AttestationPanel({
+  players, currentUserId, onAttest, disabled,
+}) {
+  const linked = players
+    .map((player, index) => ({ ...player, index }))
+    .filter((player) => player.userId);
+  const isMarker = linked.some((player) => player.userId === currentUserId);
+  const nameFor = (userId) => players.find((p) => p.userId === userId)?.name || 'a marker';
+
+  if (linked.length < 2) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-900">Attestation</h3>
+      <p className="mt-1 mb-4 text-sm text-gray-500">
+        Each card must be signed off by another player before the round can be finalized.
+      </p>
+      <ul className="divide-y divide-gray-100">
+        {linked.map((player) => {
+          const attested = !!player.attestation;
+          const canAttest = !disabled && !attested && isMarker
+            && player.userId !== currentUserId;
+          return (
+            <li key={player.index} className="flex items-center justify-between gap-3 py-3">
+              <div className="min-w-0">
+                <div className="truncate text-sm font-medium text-gray-900">{player.name}</div>
+                <div className={`flex items-center gap-1 text-xs ${attested ? 'text-green-600' : 'text-gray-500'}`}>
+                  {attested && <CheckBadgeIcon className="h-4 w-4" />}
+                  {attested
+                    ? `Attested by ${nameFor(player.attestation.attestedBy)}`
+                    : 'Awaiting a marker'}
+                </div>
+              </div>
+              {canAttest && (
+                <button
+                  type="button"
+                  onClick={() => onAttest(player.index)}
+                  className="shrink-0 rounded-md bg-white px-3 py-1.5 text-sm font-semibold text-indigo-600 ring-1 ring-inset ring-indigo-200 hover:bg-indigo-50"
+                >
+                  Attest Card
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+AttestationPanel.propTypes = {
+  players: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    userId: PropTypes.string,
+    attestation: PropTypes.shape({
+      attestedBy: PropTypes.string,
+      attestedAt: PropTypes.string,
+    }),
+  })),
+  currentUserId: PropTypes.string,
+  onAttest: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+AttestationPanel.defaultProps = {
+  players: [],
+  currentUserId: null,
+  disabled: false,
+};
+
+export default AttestationPanel;
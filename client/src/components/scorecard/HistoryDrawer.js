@@ -0,0 +1,155 @@
+import PropTypes from 'prop-types';
+import { Dialog, DialogBackdrop, DialogPanel } from '@headlessui/react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Show a score value, with a dash for holes not yet entered
+ */
+function formatScore(value) {
+  return value ? `${value}` : '–';
+}
+
+// Names of the hole stats, as they read in a change description
+const STAT_LABELS = {
+  putts: 'putts',
+  fairway: 'fairway',
+  gir: 'GIR',
+  penalties: 'penalties',
+  sandShots: 'sand shots',
+  upAndDown: 'up & down',
+};
+
+/**
+ * Show a stat value, with a dash for stats not tracked
+ */
+function formatStat(value) {
+  if (value == null) return '–';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return `${value}`;
+}
+
+/**
+ * Display name of the user who made a change
+ */
+function actorName(actor) {
+  if (!actor) return 'Someone';
+  return [actor.firstName, actor.lastName].filter(Boolean).join(' ') || 'A player';
+}
+
+/**
+ * One-line description of an audit entry, using the round's current names
+ */
+function describeChange(entry, players, teams) {
+  const playerName = players[entry.playerIndex]?.name || `Player ${entry.playerIndex + 1}`;
+  switch (entry.type) {
+    case 'score':
+      return `${playerName}, hole ${entry.holeNumber}: ${formatScore(entry.oldValue)} → ${formatScore(entry.newValue)}`;
+    case 'team-score': {
+      const teamName = teams[entry.teamIndex]?.name || `Team ${entry.teamIndex + 1}`;
+      return `${teamName}, hole ${entry.holeNumber}: ${formatScore(entry.oldValue)} → ${formatScore(entry.newValue)}`;
+    }
+    case 'stats':
+      return `${playerName}, hole ${entry.holeNumber} ${STAT_LABELS[entry.field] || entry.field}: ${formatStat(entry.oldValue)} → ${formatStat(entry.newValue)}`;
+    case 'par':
+      if (entry.field === 'added') return `Added hole ${entry.holeNumber} (par ${entry.newValue})`;
+      if (entry.field === 'removed') return `Removed hole ${entry.holeNumber}`;
+      return `Hole ${entry.holeNumber} par: ${entry.oldValue ?? '–'} → ${entry.newValue}`;
+    case 'course':
+      return entry.field === 'courseId'
+        ? 'Saved course changed'
+        : `Course: ${entry.oldValue || '–'} → ${entry.newValue || '–'}`;
+    case 'player':
+      if (entry.field === 'added') return `Added player ${entry.newValue}`;
+      if (entry.field === 'removed') return `Removed player ${entry.oldValue}`;
+      if (entry.field === 'name') return `Renamed ${entry.oldValue} to ${entry.newValue}`;
+      return entry.newValue ? `${playerName} linked to an account` : `${playerName} unlinked`;
+    default:
+      return 'Round changed';
+  }
+}
+
+/**
+ * Slide-over timeline of every recorded change to a round, newest first
+ */
+function HistoryDrawer({
+  open, onClose, entries, players, teams, loading,
+}) {
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-50">
+      <DialogBackdrop
+        transition
+        className="fixed inset-0 bg-gray-900/50 transition-opacity duration-300 ease-linear data-[closed]:opacity-0"
+      />
+
+      <div className="fixed inset-0 flex justify-end">
+        <DialogPanel
+          transition
+          className="flex h-full w-full max-w-md transform flex-col bg-white shadow-xl transition duration-300 ease-in-out data-[closed]:translate-x-full"
+        >
+          <div className="flex items-center justify-between border-b border-gray-200 px-6 py-4">
+            <h2 className="text-lg font-semibold text-gray-900">Round History</h2>
+            <button type="button" onClick={onClose} className="-m-2 p-2 text-gray-400 hover:text-gray-600">
+              <span className="sr-only">Close history</span>
+              <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-4">
+            {loading && <p className="text-sm text-gray-500">Loading history...</p>}
+            {!loading && entries.length === 0 && (
+              <p className="text-sm text-gray-500">No changes recorded yet.</p>
+            )}
+            {!loading && entries.length > 0 && (
+              <ol className="relative border-l border-gray-200">
+                {entries.map((entry) => (
+                  // eslint-disable-next-line no-underscore-dangle
+                  <li key={entry._id} className="mb-5 ml-4">
+                    <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-indigo-400" />
+                    <p className="text-sm text-gray-900">{describeChange(entry, players, teams)}</p>
+                    <p className="mt-0.5 text-xs text-gray-500">
+                      {`${actorName(entry.actor)} · ${new Date(entry.createdAt).toLocaleString()}`}
+                      {entry.source === 'bulk' && (
+                        <span className="ml-2 rounded bg-gray-100 px-1.5 py-0.5 text-gray-600">Round edit</span>
+                      )}
+                    </p>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </DialogPanel>
+      </div>
+    </Dialog>
+  );
+}
+
+HistoryDrawer.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    type: PropTypes.string.isRequired,
+    field: PropTypes.string,
+    source: PropTypes.string,
+    playerIndex: PropTypes.number,
+    teamIndex: PropTypes.number,
+    holeNumber: PropTypes.number,
+    createdAt: PropTypes.string,
+    actor: PropTypes.shape({
+      firstName: PropTypes.string,
+      lastName: PropTypes.string,
+    }),
+  })),
+  players: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })),
+  teams: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })),
+  loading: PropTypes.bool,
+};
+
+HistoryDrawer.defaultProps = {
+  entries: [],
+  players: [],
+  teams: [],
+  loading: false,
+};
+
+export default HistoryDrawer;
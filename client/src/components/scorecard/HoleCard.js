@@ -1,5 +1,9 @@
 import PropTypes from 'prop-types';
+import { CloudArrowUpIcon } from '@heroicons/react/24/outline';
 import ScoreInput from './ScoreInput';
+import HoleStatsPanel from './HoleStatsPanel';
+import HoleHistoryStrip from './HoleHistoryStrip';
+import PresenceDot from './PresenceDot';
 
 /**
  * Get color class for score display
@@ -22,16 +26,90 @@ function getScoreLabel(score, par) {
   return diff > 0 ? `+${diff}` : `${diff}`;
 }
 
+/**
+ * Dots marking handicap strokes received on the hole
+ */
+function StrokeDots({ strokes }) {
+  if (!strokes || strokes <= 0) return null;
+  return (
+    <span
+      className="inline-flex gap-0.5"
+      title={`Receives ${strokes} stroke${strokes > 1 ? 's' : ''}`}
+    >
+      {Array.from({ length: strokes }, (_, i) => (
+        <span key={i} className="h-1.5 w-1.5 rounded-full bg-gray-800" />
+      ))}
+    </span>
+  );
+}
+
+StrokeDots.propTypes = {
+  strokes: PropTypes.number,
+};
+
+StrokeDots.defaultProps = {
+  strokes: 0,
+};
+
+/**
+ * Badge showing Stableford points earned on the hole
+ */
+function PointsBadge({ points }) {
+  if (points == null) return null;
+  let colorClass = 'bg-gray-100 text-gray-600';
+  if (points > 2) colorClass = 'bg-green-100 text-green-700';
+  else if (points < 2) colorClass = 'bg-red-50 text-red-600';
+  return (
+    <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${colorClass}`}>
+      {points}
+      {' '}
+      {Math.abs(points) === 1 ? 'pt' : 'pts'}
+    </span>
+  );
+}
+
+PointsBadge.propTypes = {
+  points: PropTypes.number,
+};
+
+PointsBadge.defaultProps = {
+  points: null,
+};
+
+/**
+ * Marker for a score kept on this device until it can be sent to the server
+ */
+function PendingBadge() {
+  return (
+    <span
+      className="inline-flex items-center gap-1 rounded-full bg-amber-50 px-2 py-0.5 text-xs font-medium text-amber-700"
+      title="Saved on this device, syncs when you're back online"
+    >
+      <CloudArrowUpIcon className="h-3.5 w-3.5" />
+      Pending
+    </span>
+  );
+}
+
 /**
  * Full-screen card for entering score on a single hole
  */
 function HoleCard({
   holeNumber,
   par,
+  yardage,
   currentUserName,
   currentUserScore,
+  currentUserStrokes,
+  currentUserPoints,
+  currentUserStats,
+  currentUserPending,
+  history,
+  matchHoleResult,
+  matchStatus,
   otherPlayers,
   onScoreChange,
+  onStatsChange,
   canEdit,
 }) {
   return (
@@ -46,12 +124,36 @@ function HoleCard({
           Par
           {par}
         </div>
+        {yardage != null && (
+          <div className="text-sm font-medium text-gray-500">
+            {yardage}
+            {' '}
+            yds
+          </div>
+        )}
       </div>
 
+      <HoleHistoryStrip history={history} />
+
+      {/* Match play status */}
+      {(matchHoleResult || matchStatus) && (
+        <div className="mb-6 w-full max-w-xs rounded-xl bg-indigo-50 px-4 py-3 text-center">
+          {matchHoleResult && (
+            <div className="text-sm font-semibold text-indigo-800">{matchHoleResult}</div>
+          )}
+          {matchStatus && (
+            <div className="text-xs font-medium uppercase tracking-wide text-indigo-600">
+              {matchStatus}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Current user score input */}
       <div className="mb-8 w-full max-w-xs rounded-2xl bg-white p-6 shadow-lg">
-        <div className="mb-4 text-center text-sm font-medium uppercase tracking-wide text-gray-500">
+        <div className="mb-4 flex items-center justify-center gap-2 text-sm font-medium uppercase tracking-wide text-gray-500">
           {currentUserName || 'Your Score'}
+          <StrokeDots strokes={currentUserStrokes} />
         </div>
         <ScoreInput
           value={currentUserScore}
@@ -59,6 +161,20 @@ function HoleCard({
           onChange={onScoreChange}
           disabled={!canEdit}
         />
+        {(currentUserPoints != null || currentUserPending) && (
+          <div className="mt-3 flex justify-center gap-2">
+            <PointsBadge points={currentUserPoints} />
+            {currentUserPending && <PendingBadge />}
+          </div>
+        )}
+        {onStatsChange && (
+          <HoleStatsPanel
+            stats={currentUserStats}
+            par={par}
+            onChange={onStatsChange}
+            disabled={!canEdit}
+          />
+        )}
       </div>
 
       {/* Other players scores */}
@@ -73,7 +189,13 @@ function HoleCard({
                 key={player.name}
                 className="flex items-center justify-between rounded-lg bg-white px-4 py-3 shadow-sm"
               >
-                <span className="font-medium text-gray-700">{player.name}</span>
+                <span className="flex items-center gap-2 font-medium text-gray-700">
+                  {player.name}
+                  <StrokeDots strokes={player.strokes} />
+                  {player.live && (
+                    <PresenceDot name={player.name} holeNumber={player.live.holeNumber} />
+                  )}
+                </span>
                 <div className="flex items-center gap-2">
                   <span className={`text-xl font-bold ${getScoreColorClass(player.score, par)}`}>
                     {player.score || '-'}
@@ -85,6 +207,8 @@ function HoleCard({
                       )
                     </span>
                   )}
+                  <PointsBadge points={player.points} />
+                  {player.pending && <PendingBadge />}
                 </div>
               </div>
             ))}
@@ -98,23 +222,54 @@ function HoleCard({
 HoleCard.propTypes = {
   holeNumber: PropTypes.number.isRequired,
   par: PropTypes.number,
+  yardage: PropTypes.number,
   currentUserName: PropTypes.string,
   currentUserScore: PropTypes.number,
+  currentUserStrokes: PropTypes.number,
+  currentUserPoints: PropTypes.number,
+  currentUserStats: PropTypes.shape({
+    putts: PropTypes.number,
+    fairway: PropTypes.string,
+    gir: PropTypes.bool,
+    penalties: PropTypes.number,
+    sandShots: PropTypes.number,
+    upAndDown: PropTypes.bool,
+  }),
+  currentUserPending: PropTypes.bool,
+  history: HoleHistoryStrip.propTypes.history,
+  matchHoleResult: PropTypes.string,
+  matchStatus: PropTypes.string,
   otherPlayers: PropTypes.arrayOf(
     PropTypes.shape({
       name: PropTypes.string.isRequired,
       score: PropTypes.number,
+      strokes: PropTypes.number,
+      points: PropTypes.number,
+      live: PropTypes.shape({
+        holeNumber: PropTypes.number,
+      }),
+      pending: PropTypes.bool,
     }),
   ),
   onScoreChange: PropTypes.func.isRequired,
+  onStatsChange: PropTypes.func,
   canEdit: PropTypes.bool,
 };
 
 HoleCard.defaultProps = {
   par: null,
+  yardage: null,
   currentUserName: null,
   currentUserScore: null,
+  currentUserStrokes: 0,
+  currentUserPoints: null,
+  currentUserStats: {},
+  currentUserPending: false,
+  history: null,
+  matchHoleResult: null,
+  matchStatus: '',
   otherPlayers: [],
+  onStatsChange: null,
   canEdit: true,
 };
 
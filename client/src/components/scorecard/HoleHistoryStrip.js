@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { formatToPar } from '../../utils/scoring';
+
+const SEGMENTS = [
+  { key: 'eagles', label: 'Eagle or better', color: 'bg-yellow-400' },
+  { key: 'birdies', label: 'Birdie', color: 'bg-green-500' },
+  { key: 'pars', label: 'Par', color: 'bg-gray-400' },
+  { key: 'bogeys', label: 'Bogey', color: 'bg-red-300' },
+  { key: 'doubles', label: 'Double or worse', color: 'bg-red-500' },
+];
+
+/**
+ * How the user has played this hole before: average, best and a stacked
+ * bar of score types
+ */
+function HoleHistoryStrip({ history }) {
+  if (!history || history.played === 0) return null;
+
+  return (
+    <div className="mb-6 w-full max-w-xs rounded-xl bg-white px-4 py-3 shadow-sm">
+      <div className="flex items-center justify-between text-xs font-medium uppercase tracking-wide text-gray-500">
+        <span>Your History</span>
+        <span>
+          {history.played}
+          {' '}
+          {history.played === 1 ? 'time' : 'times'}
+        </span>
+      </div>
+      <div className="mt-2 flex items-baseline justify-between">
+        <div>
+          <span className="text-lg font-bold text-gray-900">{history.average}</span>
+          <span className="ml-1 text-sm text-gray-500">
+            avg (
+            {formatToPar(history.averageToPar)}
+            )
+          </span>
+        </div>
+        <div className="text-sm text-gray-500">
+          Best
+          {' '}
+          <span className="font-semibold text-gray-900">{history.best}</span>
+        </div>
+      </div>
+      <div className="mt-2 flex h-2 w-full overflow-hidden rounded-full bg-gray-100">
+        {SEGMENTS.map((segment) => {
+          const count = history.distribution[segment.key] || 0;
+          if (count === 0) return null;
+          return (
+            <div
+              key={segment.key}
+              className={segment.color}
+              style={{ width: `${(count / history.played) * 100}%` }}
+              title={`${segment.label}: ${count}`}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+HoleHistoryStrip.propTypes = {
+  history: PropTypes.shape({
+    played: PropTypes.number,
+    average: PropTypes.number,
+    averageToPar: PropTypes.number,
+    best: PropTypes.number,
+    distribution: PropTypes.shape({
+      eagles: PropTypes.number,
+      birdies: PropTypes.number,
+      pars: PropTypes.number,
+      bogeys: PropTypes.number,
+      doubles: PropTypes.number,
+    }),
+  }),
+};
+
+HoleHistoryStrip.defaultProps = {
+  history: null,
+};
+
+export default HoleHistoryStrip;
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  ChevronDownIcon, ChevronUpIcon, MinusIcon, PlusIcon,
+} from '@heroicons/react/24/solid';
+
+const YES_NO = [
+  { value: true, label: 'Yes' },
+  { value: false, label: 'No' },
+];
+
+const FAIRWAY_OPTIONS = [
+  { value: 'left', label: 'Left' },
+  { value: 'hit', label: 'Hit' },
+  { value: 'right', label: 'Right' },
+];
+
+/**
+ * Short summary of the stats entered, e.g. "2 putts · FW hit · GIR"
+ */
+function summarizeStats(stats) {
+  const parts = [];
+  if (stats.putts != null) parts.push(`${stats.putts} putt${stats.putts === 1 ? '' : 's'}`);
+  if (stats.fairway) parts.push(`FW ${stats.fairway}`);
+  if (stats.gir != null) parts.push(stats.gir ? 'GIR' : 'No GIR');
+  if (stats.penalties) parts.push(`${stats.penalties} pen`);
+  if (stats.sandShots) parts.push(`${stats.sandShots} sand`);
+  if (stats.upAndDown != null) parts.push(stats.upAndDown ? 'Up & down' : 'No up & down');
+  return parts.join(' · ');
+}
+
+/**
+ * Row of toggle buttons; tapping the selected option clears it
+ */
+function ToggleGroup({
+  label, options, value, onChange, disabled,
+}) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <span className="text-sm font-medium text-gray-600">{label}</span>
+      <div className="flex gap-1">
+        {options.map((option) => (
+          <button
+            key={String(option.value)}
+            type="button"
+            onClick={() => onChange(value === option.value ? null : option.value)}
+            disabled={disabled}
+            aria-pressed={value === option.value}
+            className={`rounded-md px-3 py-1.5 text-sm font-medium transition-colors disabled:opacity-40 ${
+              value === option.value
+                ? 'bg-indigo-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+ToggleGroup.propTypes = {
+  label: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+    label: PropTypes.string,
+  })).isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+ToggleGroup.defaultProps = {
+  value: null,
+  disabled: false,
+};
+
+/**
+ * Small -/+ counter; null until first used
+ */
+function Counter({
+  label, value, onChange, disabled,
+}) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <span className="text-sm font-medium text-gray-600">{label}</span>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onChange(value > 0 ? value - 1 : 0)}
+          disabled={disabled || !value}
+          className="flex h-8 w-8 items-center justify-center rounded-full bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-40"
+          aria-label={`Decrease ${label.toLowerCase()}`}
+        >
+          <MinusIcon className="h-4 w-4" />
+        </button>
+        <span className="w-6 text-center text-base font-semibold text-gray-900">
+          {value ?? '-'}
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(Math.min(10, (value || 0) + 1))}
+          disabled={disabled || value >= 10}
+          className="flex h-8 w-8 items-center justify-center rounded-full bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-40"
+          aria-label={`Increase ${label.toLowerCase()}`}
+        >
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+Counter.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+Counter.defaultProps = {
+  value: null,
+  disabled: false,
+};
+
+/**
+ * Expandable panel for optional hole stats under the score input
+ * Each change sends only the field that changed
+ */
+function HoleStatsPanel({
+  stats, par, onChange, disabled,
+}) {
+  const [open, setOpen] = useState(false);
+  const summary = summarizeStats(stats);
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-3">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="flex w-full items-center justify-between text-sm font-medium text-gray-600 hover:text-gray-900"
+      >
+        <span className="truncate">{summary || 'Hole stats'}</span>
+        {open ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <ToggleGroup
+            label="Putts"
+            options={[0, 1, 2, 3, 4].map((n) => ({ value: String(n), label: String(n) }))}
+            value={stats.putts == null ? null : String(stats.putts)}
+            onChange={(value) => onChange({ putts: value == null ? null : Number(value) })}
+            disabled={disabled}
+          />
+          {par !== 3 && (
+            <ToggleGroup
+              label="Fairway"
+              options={FAIRWAY_OPTIONS}
+              value={stats.fairway}
+              onChange={(fairway) => onChange({ fairway })}
+              disabled={disabled}
+            />
+          )}
+          <ToggleGroup
+            label="Green in Reg"
+            options={YES_NO}
+            value={stats.gir}
+            onChange={(gir) => onChange({ gir })}
+            disabled={disabled}
+          />
+          <Counter
+            label="Penalties"
+            value={stats.penalties}
+            onChange={(penalties) => onChange({ penalties })}
+            disabled={disabled}
+          />
+          <Counter
+            label="Sand Shots"
+            value={stats.sandShots}
+            onChange={(sandShots) => onChange({ sandShots })}
+            disabled={disabled}
+          />
+          <ToggleGroup
+            label="Up & Down"
+            options={YES_NO}
+            value={stats.upAndDown}
+            onChange={(upAndDown) => onChange({ upAndDown })}
+            disabled={disabled}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+HoleStatsPanel.propTypes = {
+  stats: PropTypes.shape({
+    putts: PropTypes.number,
+    fairway: PropTypes.oneOf(['hit', 'left', 'right', null]),
+    gir: PropTypes.bool,
+    penalties: PropTypes.number,
+    sandShots: PropTypes.number,
+    upAndDown: PropTypes.bool,
+  }),
+  par: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+HoleStatsPanel.defaultProps = {
+  stats: {},
+  par: null,
+  disabled: false,
+};
+
+export default HoleStatsPanel;
@@ -0,0 +1,193 @@
+import PropTypes from 'prop-types';
+
+const SEGMENT_LABELS = { front: 'Front', back: 'Back', overall: 'Overall' };
+
+/**
+ * Format a money amount, dropping cents when they are zero
+ */
+function formatAmount(amount) {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Label a bet, e.g. "Front" or "Back press (14-18)"
+ */
+function getBetLabel(bet) {
+  const segment = SEGMENT_LABELS[bet.segment];
+  return bet.press ? `${segment} press (${bet.startHole}-${bet.endHole})` : segment;
+}
+
+/**
+ * Whether the pressing side can start a press on a nine right now:
+ * the nine is under way and the side is down in one of its open bets
+ */
+function canPressSegment(nassau, segment, side) {
+  const original = nassau.bets.find((b) => b.segment === segment && !b.press);
+  if (!original || nassau.thru < original.startHole || nassau.thru >= original.endHole) {
+    return false;
+  }
+  return nassau.bets.some((b) => b.segment === segment && !b.settled && b.leader === 1 - side);
+}
+
+/**
+ * Nassau ledger: front, back, overall and every press with its status,
+ * plus running balances and who owes whom for the bets already decided
+ */
+function NassauLedger({
+  nassau, players, pressSide, onPress,
+}) {
+  const playerName = (index) => players[index]?.name || `Player ${index + 1}`;
+
+  const describeBet = (bet) => {
+    if (bet.status === 'Not started' || bet.leader === null) return bet.status;
+    return `${nassau.sideNames[bet.leader]} ${bet.status}`;
+  };
+
+  const describeResult = (bet) => {
+    if (!bet.settled) return 'Open';
+    if (bet.winner === null) return 'Push';
+    return `${nassau.sideNames[bet.winner]} +${formatAmount(nassau.value)}`;
+  };
+
+  const pressable = nassau.pressMode === 'manual' && pressSide !== null && onPress
+    ? ['front', 'back'].filter((segment) => canPressSegment(nassau, segment, pressSide))
+    : [];
+
+  return (
+    <div className="mt-6 rounded-xl border-2 border-emerald-200 bg-emerald-50 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">Nassau</h3>
+        <span className="text-sm text-gray-600">
+          {formatAmount(nassau.value)}
+          {' per bet · '}
+          {nassau.useNet ? 'Net' : 'Gross'}
+          {nassau.pressMode === 'auto' && ` · Auto press at ${nassau.pressAt} down`}
+          {nassau.pressMode === 'manual' && ' · Manual presses'}
+        </span>
+      </div>
+
+      <p className="mb-3 text-sm font-medium text-gray-700">
+        {nassau.sideNames[0]}
+        {' vs '}
+        {nassau.sideNames[1]}
+      </p>
+
+      {/* Bets */}
+      <table className="w-full mb-4 text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+            <th className="py-1 font-medium">Bet</th>
+            <th className="py-1 font-medium">Status</th>
+            <th className="py-1 font-medium text-right">Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {nassau.bets.map((bet) => (
+            <tr key={`${bet.segment}-${bet.startHole}-${bet.pressedBy}`} className="border-t border-emerald-100">
+              <td className={`py-1 ${bet.press ? 'pl-3 text-gray-600' : 'font-medium text-gray-900'}`}>
+                {getBetLabel(bet)}
+              </td>
+              <td className="py-1 text-gray-700">{describeBet(bet)}</td>
+              <td className={`py-1 text-right font-semibold ${bet.settled ? 'text-gray-900' : 'text-gray-400'}`}>
+                {describeResult(bet)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {pressable.length > 0 && (
+        <div className="flex gap-2 mb-4">
+          {pressable.map((segment) => (
+            <button
+              key={segment}
+              type="button"
+              onClick={() => onPress(segment)}
+              className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors"
+            >
+              Press
+              {' '}
+              {SEGMENT_LABELS[segment]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Balances */}
+      <div className="space-y-1 mb-4">
+        {nassau.players.map((standing, index) => (
+          // eslint-disable-next-line react/no-array-index-key
+          <div key={index} className="flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-900">{playerName(index)}</span>
+            <span className={`font-semibold ${standing.balance < 0 ? 'text-red-600' : 'text-green-700'}`}>
+              {standing.balance < 0 ? '-' : '+'}
+              {formatAmount(Math.abs(standing.balance))}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Settlement */}
+      {nassau.payments.length > 0 && (
+        <div className="border-t border-emerald-200 pt-3">
+          <span className="block text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">
+            Settle Up
+          </span>
+          {nassau.payments.map((payment) => (
+            <p key={`${payment.from}-${payment.to}`} className="text-sm text-gray-700">
+              {playerName(payment.from)}
+              {' owes '}
+              {playerName(payment.to)}
+              {' '}
+              <span className="font-semibold">{formatAmount(payment.amount)}</span>
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+NassauLedger.propTypes = {
+  nassau: PropTypes.shape({
+    value: PropTypes.number,
+    useNet: PropTypes.bool,
+    pressMode: PropTypes.oneOf(['none', 'auto', 'manual']),
+    pressAt: PropTypes.number,
+    sides: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+    sideNames: PropTypes.arrayOf(PropTypes.string),
+    thru: PropTypes.number,
+    bets: PropTypes.arrayOf(PropTypes.shape({
+      segment: PropTypes.string,
+      press: PropTypes.bool,
+      pressedBy: PropTypes.number,
+      startHole: PropTypes.number,
+      endHole: PropTypes.number,
+      leader: PropTypes.number,
+      status: PropTypes.string,
+      settled: PropTypes.bool,
+      winner: PropTypes.number,
+    })),
+    players: PropTypes.arrayOf(PropTypes.shape({
+      balance: PropTypes.number,
+    })),
+    payments: PropTypes.arrayOf(PropTypes.shape({
+      from: PropTypes.number,
+      to: PropTypes.number,
+      amount: PropTypes.number,
+    })),
+  }).isRequired,
+  players: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+  })),
+  pressSide: PropTypes.number,
+  onPress: PropTypes.func,
+};
+
+NassauLedger.defaultProps = {
+  players: [],
+  pressSide: null,
+  onPress: null,
+};
+
+export default NassauLedger;
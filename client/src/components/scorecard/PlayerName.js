@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+
+/**
+ * Player name that links to the head-to-head page for linked players
+ */
+function PlayerName({ name, userId, className }) {
+  if (!userId) return <span className={className}>{name}</span>;
+  return (
+    <Link
+      to={`/head-to-head/${userId}`}
+      className={`${className} hover:underline`}
+      title={`Head-to-head vs ${name}`}
+    >
+      {name}
+    </Link>
+  );
+}
+
+PlayerName.propTypes = {
+  name: PropTypes.string.isRequired,
+  userId: PropTypes.string,
+  className: PropTypes.string,
+};
+
+PlayerName.defaultProps = {
+  userId: null,
+  className: '',
+};
+
+export default PlayerName;
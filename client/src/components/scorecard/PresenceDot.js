@@ -0,0 +1,30 @@
+import PropTypes from 'prop-types';
+
+/**
+ * Green avatar dot for a player who has the round open right now, with the
+ * hole they're on when entering scores hole by hole
+ */
+function PresenceDot({ name, holeNumber }) {
+  const label = holeNumber ? `${name} is live on hole ${holeNumber}` : `${name} is live`;
+  return (
+    <span className="inline-flex shrink-0 items-center gap-1" title={label}>
+      <span className="relative flex h-2.5 w-2.5">
+        <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-green-400 opacity-75" />
+        <span className="relative inline-flex h-2.5 w-2.5 rounded-full bg-green-500 ring-2 ring-white" />
+      </span>
+      {holeNumber && <span className="text-xs font-medium text-green-700">{`#${holeNumber}`}</span>}
+      <span className="sr-only">{label}</span>
+    </span>
+  );
+}
+
+PresenceDot.propTypes = {
+  name: PropTypes.string.isRequired,
+  holeNumber: PropTypes.number,
+};
+
+PresenceDot.defaultProps = {
+  holeNumber: null,
+};
+
+export default PresenceDot;
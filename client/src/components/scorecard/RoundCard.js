@@ -2,6 +2,10 @@ import PropTypes from 'prop-types';
 import {
   CalendarIcon, UserGroupIcon, ShareIcon, TrashIcon,
 } from '@heroicons/react/24/outline';
+import {
+  calculatePlayedPar, formatMatchStatus,
+} from '../../utils/scoring';
+import RoundStatusBadge from './RoundStatusBadge';
 
 /**
  * Calculate total score for a player
@@ -78,16 +82,7 @@ function RoundCard({
   const holes = round.holes || [];
   const totalPar = calculateTotalPar(holes);
   const playerCount = players.filter((p) => p?.name).length;
-
-  // Check if round is complete (all holes have scores for at least one player)
-  const holesWithScores = holes.filter((h) => {
-    const hasAnyScore = players.some((p) => {
-      const score = h.scores?.[p.name];
-      return score != null;
-    });
-    return hasAnyScore;
-  }).length;
-  const isComplete = holesWithScores === holes.length && holes.length > 0;
+  const isComplete = ['completed', 'finalized'].includes(round.status);
 
   return (
     <div className="rounded-xl bg-white p-5 shadow-sm ring-1 ring-gray-200 transition-shadow hover:shadow-md">
@@ -110,20 +105,29 @@ function RoundCard({
             </span>
           </div>
         </div>
-        {isComplete && (
-          <span className="rounded-full bg-green-100 px-2.5 py-0.5 text-xs font-medium text-green-700">
-            Complete
-          </span>
-        )}
+        <RoundStatusBadge status={round.status} />
       </div>
 
+      {/* Match play status */}
+      {round.format === 'match' && round.results?.match && (
+        <div className="mt-3 rounded-lg bg-indigo-50 px-3 py-2 text-sm font-semibold text-indigo-700">
+          {formatMatchStatus(round.results.match)}
+        </div>
+      )}
+
       {/* Player scores */}
       {playerCount > 0 && (
         <div className="mt-4 grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
           {players.filter((p) => p?.name).map((player) => {
-            const scores = holes.map((h) => h.scores?.[player.name]);
-            const total = calculateTotal(scores);
-            const colorClass = getScoreColorClass(total, totalPar);
+            const scores = holes.map((_, i) => player.scores?.[i] || 0);
+            const total = calculateTotal(scores.filter((s) => s > 0));
+            const playedPar = calculatePlayedPar(scores, holes);
+            const colorClass = getScoreColorClass(total, playedPar || totalPar);
+            // Net as the server scored it, over the same holes played
+            const result = round.results?.players?.[players.indexOf(player)];
+            const net = player.courseHandicap != null && result?.holesPlayed > 0
+              ? result.net
+              : null;
 
             return (
               <div
@@ -136,9 +140,22 @@ function RoundCard({
                 <div className={`mt-1 text-2xl font-bold ${colorClass}`}>
                   {total ?? '-'}
                 </div>
-                {total != null && totalPar != null && (
+                {total != null && playedPar > 0 && (
                   <div className={`text-sm font-medium ${colorClass}`}>
-                    {getDifferential(total, totalPar)}
+                    {getDifferential(total, playedPar)}
+                  </div>
+                )}
+                {net != null && (
+                  <div className="mt-1 text-xs font-medium text-gray-500">
+                    Net
+                    {' '}
+                    {net}
+                    {' '}
+                    <span className={getScoreColorClass(net, playedPar)}>
+                      (
+                      {getDifferential(net, playedPar)}
+                      )
+                    </span>
                   </div>
                 )}
               </div>
@@ -182,16 +199,31 @@ RoundCard.propTypes = {
     _id: PropTypes.string,
     courseName: PropTypes.string,
     date: PropTypes.string,
+    format: PropTypes.string,
+    status: PropTypes.string,
+    results: PropTypes.shape({
+      players: PropTypes.arrayOf(
+        PropTypes.shape({
+          net: PropTypes.number,
+          holesPlayed: PropTypes.number,
+        }),
+      ),
+      match: PropTypes.shape({
+        sideNames: PropTypes.arrayOf(PropTypes.string),
+        status: PropTypes.string,
+      }),
+    }),
     players: PropTypes.arrayOf(
       PropTypes.shape({
         name: PropTypes.string,
+        scores: PropTypes.arrayOf(PropTypes.number),
+        courseHandicap: PropTypes.number,
       }),
     ),
     holes: PropTypes.arrayOf(
       PropTypes.shape({
         holeNumber: PropTypes.number,
         par: PropTypes.number,
-        scores: PropTypes.objectOf(PropTypes.number),
       }),
     ),
   }).isRequired,
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types';
+import { LockClosedIcon } from '@heroicons/react/24/solid';
+import { ROUND_STATUS_LABELS } from '../../utils/scoring';
+
+const STATUS_CLASSES = {
+  scheduled: 'bg-gray-100 text-gray-600',
+  in_progress: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  finalized: 'bg-indigo-100 text-indigo-700',
+};
+
+/**
+ * Pill showing where a round is in its lifecycle
+ */
+function RoundStatusBadge({ status }) {
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full px-2.5 py-0.5 text-xs font-medium ${STATUS_CLASSES[status]}`}>
+      {status === 'finalized' && <LockClosedIcon className="h-3 w-3" />}
+      {ROUND_STATUS_LABELS[status]}
+    </span>
+  );
+}
+
+RoundStatusBadge.propTypes = {
+  status: PropTypes.oneOf(Object.keys(ROUND_STATUS_LABELS)),
+};
+
+RoundStatusBadge.defaultProps = {
+  status: 'scheduled',
+};
+
+export default RoundStatusBadge;
@@ -0,0 +1,139 @@
+import PropTypes from 'prop-types';
+
+/**
+ * Format a money amount, dropping cents when they are zero
+ */
+function formatAmount(amount) {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Skins game summary: holes won, carryovers and who owes whom
+ * Updates live from the round results sent with each score update
+ */
+function SkinsSummary({ skins, players, holes }) {
+  const playerName = (index) => players[index]?.name || `Player ${index + 1}`;
+
+  return (
+    <div className="mt-6 rounded-xl border-2 border-amber-200 bg-amber-50 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">Skins</h3>
+        <span className="text-sm text-gray-600">
+          {formatAmount(skins.value)}
+          {' per skin · '}
+          {skins.useNet ? 'Net' : 'Gross'}
+          {skins.carryover ? ' · Carryovers' : ''}
+        </span>
+      </div>
+
+      {/* Hole by hole */}
+      <div className="flex flex-wrap gap-1 mb-4">
+        {skins.holes.map((result, index) => {
+          const holeNumber = holes[index]?.holeNumber ?? index + 1;
+          let label = '-';
+          let className = 'bg-white text-gray-400';
+          if (result?.winner != null) {
+            label = `${playerName(result.winner).charAt(0)}${result.skins > 1 ? ` ×${result.skins}` : ''}`;
+            className = 'bg-green-100 text-green-800';
+          } else if (result) {
+            label = result.carried ? 'C/O' : 'Tie';
+            className = 'bg-gray-200 text-gray-600';
+          }
+          return (
+            <div
+              key={holeNumber}
+              className={`w-12 rounded-md px-1 py-1 text-center text-xs ${className}`}
+              title={result?.winner != null ? `${playerName(result.winner)} won hole ${holeNumber}` : undefined}
+            >
+              <span className="block font-medium text-gray-500">{holeNumber}</span>
+              <span className="block font-semibold">{label}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {skins.pending > 0 && (
+        <p className="mb-3 text-sm text-amber-700">
+          {skins.pending + 1}
+          {' skins riding on the next hole'}
+        </p>
+      )}
+
+      {/* Standings */}
+      <div className="space-y-1 mb-4">
+        {skins.players.map((standing, index) => (
+          // eslint-disable-next-line react/no-array-index-key
+          <div key={index} className="flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-900">
+              {playerName(index)}
+              <span className="ml-2 text-gray-500">
+                {standing.skins}
+                {standing.skins === 1 ? ' skin' : ' skins'}
+                {standing.holes.length > 0 && ` (${standing.holes.join(', ')})`}
+              </span>
+            </span>
+            <span className={`font-semibold ${standing.balance < 0 ? 'text-red-600' : 'text-green-700'}`}>
+              {standing.balance < 0 ? '-' : '+'}
+              {formatAmount(Math.abs(standing.balance))}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Settlement */}
+      {skins.payments.length > 0 && (
+        <div className="border-t border-amber-200 pt-3">
+          <span className="block text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">
+            Settle Up
+          </span>
+          {skins.payments.map((payment) => (
+            <p key={`${payment.from}-${payment.to}`} className="text-sm text-gray-700">
+              {playerName(payment.from)}
+              {' owes '}
+              {playerName(payment.to)}
+              {' '}
+              <span className="font-semibold">{formatAmount(payment.amount)}</span>
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+SkinsSummary.propTypes = {
+  skins: PropTypes.shape({
+    value: PropTypes.number,
+    useNet: PropTypes.bool,
+    carryover: PropTypes.bool,
+    holes: PropTypes.arrayOf(PropTypes.shape({
+      winner: PropTypes.number,
+      skins: PropTypes.number,
+      carried: PropTypes.bool,
+    })),
+    pending: PropTypes.number,
+    players: PropTypes.arrayOf(PropTypes.shape({
+      skins: PropTypes.number,
+      holes: PropTypes.arrayOf(PropTypes.number),
+      balance: PropTypes.number,
+    })),
+    payments: PropTypes.arrayOf(PropTypes.shape({
+      from: PropTypes.number,
+      to: PropTypes.number,
+      amount: PropTypes.number,
+    })),
+  }).isRequired,
+  players: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+  })),
+  holes: PropTypes.arrayOf(PropTypes.shape({
+    holeNumber: PropTypes.number,
+  })),
+};
+
+SkinsSummary.defaultProps = {
+  players: [],
+  holes: [],
+};
+
+export default SkinsSummary;
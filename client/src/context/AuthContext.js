@@ -3,6 +3,7 @@ import {
 } from 'react';
 import PropTypes from 'prop-types';
 import axios from 'axios';
+import { clearOfflineStore } from '../utils/offlineStore';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
 
@@ -37,6 +38,8 @@ export function AuthProvider({ children }) {
     setToken(null);
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    // Rounds and unsent scores saved for offline play belong to this user only
+    clearOfflineStore().catch(() => {});
   };
 
   const refreshUser = useCallback(async () => {
@@ -0,0 +1,199 @@
+import {
+  useState, useEffect, useCallback, useRef,
+} from 'react';
+import {
+  isOfflineStoreAvailable,
+  queueWrite,
+  updateQueuedWrite,
+  getQueuedWrites,
+  removeQueuedWrites,
+} from '../utils/offlineStore';
+
+const RETRY_INTERVAL = 30000;
+
+// Endpoint for each kind of score write, and the body field naming its card
+const ENDPOINTS = {
+  score: { path: 'score', indexField: 'playerIndex' },
+  'team-score': { path: 'team-score', indexField: 'teamIndex' },
+};
+
+const sameHole = (a, b) => a.roundId === b.roundId && a.type === b.type
+  && a.index === b.index && a.holeIndex === b.holeIndex;
+
+// Queue storage is best effort: without IndexedDB, writes are only kept in memory
+const persist = async (action, fallback) => {
+  if (!isOfflineStoreAvailable()) return fallback;
+  try {
+    return await action();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to store offline scores:', err);
+    return fallback;
+  }
+};
+
+let memoryId = 0;
+
+/**
+ * Score writes that survive losing signal. Every write goes through a queue
+ * kept in IndexedDB and is sent in order; when a send fails the queue stays
+ * put and is replayed once the connection returns, including after a reload.
+ * Writes carry the score they replaced (`expected`), so the server refuses
+ * them if someone else changed the hole meanwhile.
+ *
+ * Queued writes belong to `userId` and are only sent with their owner's
+ * token; writes another user left on the device are dropped, never sent.
+ *
+ * `write` is { roundId, type: 'score' | 'team-score', index, holeIndex, score,
+ * expected }. Handlers: onSaved(write, data); onConflict(write, serverScore),
+ * returning true to send this device's score over the server's anyway; and
+ * onRejected(write, error) for writes the server refused outright.
+ */
+function useScoreQueue(token, userId, handlers) {
+  const [pending, setPending] = useState([]);
+  const [offline, setOffline] = useState(!navigator.onLine);
+  const queueRef = useRef([]);
+  const sendingRef = useRef(null);
+  const flushingRef = useRef(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const publish = useCallback(() => setPending([...queueRef.current]), []);
+
+  const enqueue = useCallback(async (write) => {
+    memoryId -= 1;
+    const queued = await persist(
+      () => queueWrite(userId, write),
+      { ...write, userId, id: memoryId },
+    );
+    queueRef.current = [...queueRef.current, queued];
+  }, [userId]);
+
+  // Resolves with the server's answer; rejects only when it couldn't be reached
+  const send = useCallback(async (write) => {
+    const { path, indexField } = ENDPOINTS[write.type];
+    const response = await fetch(
+      `${process.env.REACT_APP_API_URL}/api/rounds/${write.roundId}/${path}`,
+      {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          [indexField]: write.index,
+          holeIndex: write.holeIndex,
+          score: write.score,
+          expected: write.expected,
+        }),
+      },
+    );
+    // An answer that isn't JSON (e.g. a proxy's error page) is still an answer:
+    // only a failed fetch means there's no connection
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+  }, [token]);
+
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !token || !userId) return;
+    flushingRef.current = true;
+    try {
+      while (queueRef.current.length > 0) {
+        const write = queueRef.current[0];
+        // Signed in as someone else since this flush started
+        if (write.userId !== userId) break;
+        sendingRef.current = write.id;
+        let result;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          result = await send(write);
+        } catch (err) {
+          // Still no connection: keep the queue for the next attempt
+          setOffline(true);
+          break;
+        }
+        setOffline(false);
+        // eslint-disable-next-line no-await-in-loop
+        await persist(() => removeQueuedWrites([write.id]));
+        queueRef.current = queueRef.current.filter((w) => w.id !== write.id);
+        sendingRef.current = null;
+        publish();
+
+        const { response, data } = result;
+        const { onSaved, onConflict, onRejected } = handlersRef.current;
+        if (response.ok) onSaved?.(write, data);
+        else if (response.status === 409 && data.data?.score !== undefined) {
+          // A newer score for the hole is still queued; its own conflict is the one to resolve
+          const superseded = queueRef.current.some((w) => sameHole(w, write));
+          if (!superseded && onConflict?.(write, data.data.score)) {
+            const { id, ...retry } = write;
+            // eslint-disable-next-line no-await-in-loop
+            await enqueue({ ...retry, expected: data.data.score });
+            publish();
+          }
+        } else onRejected?.(write, data.error);
+      }
+    } finally {
+      sendingRef.current = null;
+      flushingRef.current = false;
+    }
+  }, [token, userId, send, enqueue, publish]);
+
+  /**
+   * Queue a score write and send it as soon as possible. A newer score for a
+   * hole still waiting in the queue replaces the older one.
+   */
+  const submit = useCallback(async (write) => {
+    const waiting = [...queueRef.current].reverse().find((w) => sameHole(w, write));
+    if (waiting && waiting.id !== sendingRef.current) {
+      const updated = { ...waiting, score: write.score };
+      queueRef.current = queueRef.current.map((w) => (w === waiting ? updated : w));
+      await persist(() => updateQueuedWrite(updated));
+    } else {
+      await enqueue(write);
+    }
+    publish();
+    flush();
+  }, [enqueue, flush, publish]);
+
+  // Pick up this user's writes left over from an earlier visit, and drop any
+  // another user left behind: sent with this user's token they'd be credited
+  // to the wrong person
+  useEffect(() => {
+    queueRef.current = queueRef.current.filter((w) => w.userId === userId);
+    publish();
+    if (!userId) return;
+    persist(getQueuedWrites, []).then(async (writes) => {
+      const others = writes.filter((w) => w.userId !== userId);
+      if (others.length > 0) await persist(() => removeQueuedWrites(others.map((w) => w.id)));
+      const known = new Set(queueRef.current.map((w) => w.id));
+      queueRef.current = [
+        ...writes.filter((w) => w.userId === userId && !known.has(w.id)),
+        ...queueRef.current,
+      ];
+      publish();
+      flush();
+    });
+  }, [userId, flush, publish]);
+
+  // Replay when the connection comes back, and keep retrying while writes wait
+  useEffect(() => {
+    const handleOnline = () => {
+      setOffline(false);
+      flush();
+    };
+    const handleOffline = () => setOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const timer = offline ? setInterval(flush, RETRY_INTERVAL) : null;
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if (timer) clearInterval(timer);
+    };
+  }, [flush, offline]);
+
+  return { pending, offline, submit };
+}
+
+export default useScoreQueue;
@@ -0,0 +1,196 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useScoreQueue from './useScoreQueue';
+
+// In-memory stand-in for the IndexedDB queue, kept across renders like the real one
+let mockWrites = [];
+let mockNextId = 1;
+jest.mock('../utils/offlineStore', () => ({
+  isOfflineStoreAvailable: () => true,
+  queueWrite: async (userId, write) => {
+    const queued = { ...write, userId, id: mockNextId };
+    mockNextId += 1;
+    mockWrites = [...mockWrites, queued];
+    return queued;
+  },
+  updateQueuedWrite: async (write) => {
+    mockWrites = mockWrites.map((w) => (w.id === write.id ? write : w));
+  },
+  getQueuedWrites: async () => [...mockWrites],
+  removeQueuedWrites: async (ids) => {
+    mockWrites = mockWrites.filter((w) => !ids.includes(w.id));
+  },
+}));
+
+const write = (holeIndex, score, expected = 0) => ({
+  roundId: 'r1', type: 'score', index: 0, holeIndex, score, expected,
+});
+
+const answer = (status, body) => ({
+  ok: status < 300,
+  status,
+  json: async () => body,
+});
+
+const offline = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// What each request sent, in order
+const sentBodies = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+const renderQueue = (userId = 'u1', handlers = {}) => renderHook(
+  () => useScoreQueue('token', userId, handlers),
+);
+
+beforeEach(() => {
+  mockWrites = [];
+  mockNextId = 1;
+  global.fetch = jest.fn(async () => answer(200, { data: {} }));
+});
+
+describe('useScoreQueue', () => {
+  it('sends writes one at a time, in the order they were made', async () => {
+    const onSaved = jest.fn();
+    const { result } = renderQueue('u1', { onSaved });
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+
+    await act(async () => {
+      result.current.submit(write(0, 4));
+      result.current.submit(write(1, 5));
+    });
+
+    await waitFor(() => expect(onSaved).toHaveBeenCalledTimes(2));
+    expect(sentBodies()).toEqual([
+      {
+        playerIndex: 0, holeIndex: 0, score: 4, expected: 0,
+      },
+      {
+        playerIndex: 0, holeIndex: 1, score: 5, expected: 0,
+      },
+    ]);
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/api\/rounds\/r1\/score$/);
+    expect(result.current.pending).toEqual([]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  it('keeps writes while offline and replays them after a reload', async () => {
+    global.fetch.mockImplementation(offline);
+    const first = renderQueue();
+    await act(async () => {
+      await first.result.current.submit(write(0, 4));
+    });
+    await waitFor(() => expect(first.result.current.offline).toBe(true));
+    await act(async () => {
+      await first.result.current.submit(write(1, 5));
+    });
+
+    expect(first.result.current.pending.map((w) => w.holeIndex)).toEqual([0, 1]);
+    first.unmount();
+
+    global.fetch.mockClear();
+    global.fetch.mockImplementation(async () => answer(200, { data: {} }));
+    const reloaded = renderQueue();
+
+    await waitFor(() => expect(reloaded.result.current.pending).toEqual([]));
+    expect(sentBodies().map((body) => body.holeIndex)).toEqual([0, 1]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  it('drops writes another user left on the device without sending them', async () => {
+    mockWrites = [
+      { ...write(0, 7), userId: 'u2', id: 100 },
+      { ...write(1, 4), userId: 'u1', id: 101 },
+    ];
+
+    const { result } = renderQueue('u1');
+
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+    expect(sentBodies()).toEqual([{
+      playerIndex: 0, holeIndex: 1, score: 4, expected: 0,
+    }]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  it('sends only the newest score for a hole that was changed while waiting', async () => {
+    global.fetch.mockImplementation(offline);
+    const { result } = renderQueue();
+    await act(async () => {
+      await result.current.submit(write(0, 4, 3));
+    });
+    await waitFor(() => expect(result.current.offline).toBe(true));
+
+    await act(async () => {
+      await result.current.submit(write(0, 5, 4));
+    });
+    expect(result.current.pending).toHaveLength(1);
+
+    global.fetch.mockClear();
+    global.fetch.mockImplementation(async () => answer(200, { data: {} }));
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+    // Still based on the score before the first change, which the server has
+    expect(sentBodies()).toEqual([{
+      playerIndex: 0, holeIndex: 0, score: 5, expected: 3,
+    }]);
+  });
+
+  it('sends a conflicting write again over the server\'s score when asked to', async () => {
+    global.fetch
+      .mockImplementationOnce(async () => answer(409, { error: 'Conflict', data: { score: 6 } }))
+      .mockImplementationOnce(async () => answer(200, { data: {} }));
+    const onConflict = jest.fn(() => true);
+    const { result } = renderQueue('u1', { onConflict });
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+
+    await act(async () => {
+      await result.current.submit(write(0, 4));
+    });
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+    expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({ score: 4 }), 6);
+    expect(sentBodies()[1]).toEqual({
+      playerIndex: 0, holeIndex: 0, score: 4, expected: 6,
+    });
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+  });
+
+  it('keeps the server\'s score for a conflicting write when told to', async () => {
+    global.fetch.mockImplementation(async () => answer(409, { data: { score: 6 } }));
+    const onConflict = jest.fn(() => false);
+    const { result } = renderQueue('u1', { onConflict });
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+
+    await act(async () => {
+      await result.current.submit(write(0, 4));
+    });
+
+    await waitFor(() => expect(onConflict).toHaveBeenCalled());
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.current.pending).toEqual([]);
+  });
+
+  it('reports an answer that isn\'t JSON as rejected and moves on', async () => {
+    global.fetch
+      .mockImplementationOnce(async () => ({
+        ok: false,
+        status: 502,
+        json: async () => { throw new SyntaxError('Unexpected token <'); },
+      }))
+      .mockImplementationOnce(async () => answer(200, { data: {} }));
+    const onRejected = jest.fn();
+    const onSaved = jest.fn();
+    const { result } = renderQueue('u1', { onRejected, onSaved });
+    await waitFor(() => expect(result.current.pending).toEqual([]));
+
+    await act(async () => {
+      result.current.submit(write(0, 4));
+      result.current.submit(write(1, 5));
+    });
+
+    await waitFor(() => expect(onSaved).toHaveBeenCalledTimes(1));
+    expect(onRejected).toHaveBeenCalledWith(expect.objectContaining({ holeIndex: 0 }), undefined);
+    expect(result.current.offline).toBe(false);
+    expect(result.current.pending).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+import { useState, useCallback, useRef } from 'react';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Undo/redo stacks of edits. Each change records the value before and after
+ * (`from`/`to`); undo and redo hand the change and the value to restore to an
+ * `apply` callback, so the caller decides how to write it back (and sync it).
+ * Changes flagged `coalesce` merge into the previous change with the same
+ * `key`, so typing a name is a single undo step.
+ */
+function useUndoRedo(limit = DEFAULT_LIMIT) {
+  // The stacks live in a ref so edits, undos and redos made before the next
+  // render (a double tap, a held key) each see the ones before them; the
+  // state copy only re-renders the undo and redo buttons
+  const stacksRef = useRef({ past: [], future: [] });
+  const [stacks, setStacks] = useState(stacksRef.current);
+
+  const update = useCallback((next) => {
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  const record = useCallback((change) => {
+    if (change.from === change.to) return;
+    const { past } = stacksRef.current;
+    const last = past[past.length - 1];
+    if (!change.coalesce || last?.key !== change.key) {
+      update({ past: [...past, change].slice(-limit), future: [] });
+      return;
+    }
+    // Drop the merged change entirely if it ends where it started
+    const merged = { ...last, to: change.to };
+    update({
+      past: merged.from === merged.to ? past.slice(0, -1) : [...past.slice(0, -1), merged],
+      future: [],
+    });
+  }, [limit, update]);
+
+  const undo = useCallback((apply) => {
+    const { past, future } = stacksRef.current;
+    const change = past[past.length - 1];
+    if (!change) return;
+    update({ past: past.slice(0, -1), future: [...future, change] });
+    apply(change, change.from);
+  }, [update]);
+
+  const redo = useCallback((apply) => {
+    const { past, future } = stacksRef.current;
+    const change = future[future.length - 1];
+    if (!change) return;
+    update({ past: [...past, change], future: future.slice(0, -1) });
+    apply(change, change.to);
+  }, [update]);
+
+  const reset = useCallback(() => {
+    update({ past: [], future: [] });
+  }, [update]);
+
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+  };
+}
+
+export default useUndoRedo;
@@ -0,0 +1,130 @@
+import { renderHook, act } from '@testing-library/react';
+import useUndoRedo from './useUndoRedo';
+
+const scoreChange = (holeIndex, from, to) => ({
+  type: 'score', playerIndex: 0, holeIndex, from, to,
+});
+
+const nameChange = (from, to) => ({
+  type: 'player-name', key: 'player-name-0', coalesce: true, playerIndex: 0, from, to,
+});
+
+describe('useUndoRedo', () => {
+  it('undoes and redoes changes in order', () => {
+    const { result } = renderHook(() => useUndoRedo());
+    const apply = jest.fn();
+
+    act(() => {
+      result.current.record(scoreChange(0, 0, 4));
+      result.current.record(scoreChange(1, 0, 5));
+    });
+    act(() => result.current.undo(apply));
+    act(() => result.current.undo(apply));
+    act(() => result.current.redo(apply));
+
+    expect(apply.mock.calls).toEqual([
+      [scoreChange(1, 0, 5), 0],
+      [scoreChange(0, 0, 4), 0],
+      [scoreChange(0, 0, 4), 4],
+    ]);
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.canRedo).toBe(true);
+  });
+
+  it('applies each change once when undoing twice before a re-render', () => {
+    const { result } = renderHook(() => useUndoRedo());
+    const apply = jest.fn();
+    act(() => {
+      result.current.record(scoreChange(0, 0, 4));
+      result.current.record(scoreChange(1, 0, 5));
+    });
+
+    act(() => {
+      result.current.undo(apply);
+      result.current.undo(apply);
+      result.current.undo(apply);
+    });
+
+    expect(apply.mock.calls.map(([change]) => change.holeIndex)).toEqual([1, 0]);
+    expect(result.current.canUndo).toBe(false);
+
+    act(() => {
+      result.current.redo(apply);
+      result.current.redo(apply);
+    });
+
+    expect(apply.mock.calls.slice(2).map(([change, value]) => [change.holeIndex, value]))
+      .toEqual([[0, 4], [1, 5]]);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('merges coalescing changes with the same key into one step', () => {
+    const { result } = renderHook(() => useUndoRedo());
+    const apply = jest.fn();
+
+    act(() => {
+      result.current.record(nameChange('', 'J'));
+      result.current.record(nameChange('J', 'Jo'));
+      result.current.record(nameChange('Jo', 'Joe'));
+    });
+    act(() => result.current.undo(apply));
+
+    expect(apply).toHaveBeenCalledTimes(1);
+    expect(apply).toHaveBeenCalledWith(expect.objectContaining({ from: '', to: 'Joe' }), '');
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  it('drops a coalesced change that ends where it started', () => {
+    const { result } = renderHook(() => useUndoRedo());
+
+    act(() => {
+      result.current.record(nameChange('Joe', 'Jo'));
+      result.current.record(nameChange('Jo', 'Joe'));
+    });
+
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  it('ignores changes that change nothing and clears redo on a new change', () => {
+    const { result } = renderHook(() => useUndoRedo());
+    const apply = jest.fn();
+
+    act(() => result.current.record(scoreChange(0, 4, 4)));
+    expect(result.current.canUndo).toBe(false);
+
+    act(() => result.current.record(scoreChange(0, 0, 4)));
+    act(() => result.current.undo(apply));
+    act(() => result.current.record(scoreChange(1, 0, 3)));
+
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('keeps only the most recent changes up to the limit', () => {
+    const { result } = renderHook(() => useUndoRedo(2));
+    const apply = jest.fn();
+
+    act(() => {
+      [0, 1, 2].forEach((holeIndex) => result.current.record(scoreChange(holeIndex, 0, 4)));
+    });
+    act(() => {
+      result.current.undo(apply);
+      result.current.undo(apply);
+      result.current.undo(apply);
+    });
+
+    expect(apply.mock.calls.map(([change]) => change.holeIndex)).toEqual([2, 1]);
+  });
+
+  it('forgets everything on reset', () => {
+    const { result } = renderHook(() => useUndoRedo());
+    const apply = jest.fn();
+
+    act(() => result.current.record(scoreChange(0, 0, 4)));
+    act(() => result.current.undo(apply));
+    act(() => result.current.record(scoreChange(1, 0, 4)));
+    act(() => result.current.reset());
+
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
+  });
+});
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { UserCircleIcon } from '@heroicons/react/24/solid';
 import { AuthContext } from '../context/AuthContext';
+import AchievementList from '../components/account/AchievementList';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
 
@@ -29,6 +30,9 @@ function Account() {
   const [passwordSaving, setPasswordSaving] = useState(false);
   const [passwordMessage, setPasswordMessage] = useState('');
 
+  // Achievements state
+  const [achievements, setAchievements] = useState({ achievements: [], available: [] });
+
   // Delete account state
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deletePassword, setDeletePassword] = useState('');
@@ -42,6 +46,21 @@ function Account() {
     }
   }, [user]);
 
+  useEffect(() => {
+    if (!token) return;
+    const fetchAchievements = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/users/me/achievements`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setAchievements(response.data);
+      } catch (error) {
+        setAchievements({ achievements: [], available: [] });
+      }
+    };
+    fetchAchievements();
+  }, [token]);
+
   const handleProfileSubmit = async (e) => {
     e.preventDefault();
     setProfileSaving(true);
@@ -291,6 +310,22 @@ function Account() {
             )}
           </div>
 
+          {/* Achievements Section */}
+          <div className="border-b border-gray-900/10 pb-12">
+            <h2 className="text-base/7 font-semibold text-gray-900">Achievements</h2>
+            <p className="mt-1 text-sm/6 text-gray-600">
+              {`${new Set(achievements.achievements.map((a) => a.key)).size} of ${achievements.available.length} badges earned. `}
+              Badges are awarded when you finish scoring a round.
+            </p>
+
+            <div className="mt-10">
+              <AchievementList
+                earned={achievements.achievements}
+                available={achievements.available}
+              />
+            </div>
+          </div>
+
           {/* Change Password Section */}
           <div className="border-b border-gray-900/10 pb-12">
             <h2 className="text-base/7 font-semibold text-gray-900">Change Password</h2>
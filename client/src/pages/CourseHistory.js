@@ -0,0 +1,215 @@
+import {
+  useState, useContext, useEffect, useCallback,
+} from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { formatToPar } from '../utils/scoring';
+
+/**
+ * Format a date string (YYYY-MM-DD...) for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+/**
+ * Get color class for a score relative to par
+ */
+function getToParColorClass(diff) {
+  if (diff == null) return 'text-gray-400';
+  if (diff < 0) return 'text-green-600';
+  if (diff === 0) return 'text-gray-700';
+  return 'text-red-500';
+}
+
+// Search params identifying a course: saved courses by id, others by name
+function courseParams(course) {
+  return course.courseId ? { courseId: course.courseId } : { courseName: course.courseName };
+}
+
+function CourseHistory() {
+  const { token, loading: authLoading } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const courseId = searchParams.get('courseId');
+  const courseName = searchParams.get('courseName');
+
+  const [courses, setCourses] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchCourses = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/stats/courses`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch courses');
+      setCourses(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  const fetchHistory = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (courseId) params.set('courseId', courseId);
+    if (courseName) params.set('courseName', courseName);
+    try {
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/stats/courses/history?${params}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch course history');
+      setHistory(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [token, courseId, courseName]);
+
+  useEffect(() => {
+    if (!authLoading && !token) navigate('/login');
+  }, [token, authLoading, navigate]);
+
+  useEffect(() => {
+    if (token) fetchCourses();
+  }, [token, fetchCourses]);
+
+  useEffect(() => {
+    if (token && (courseId || courseName)) fetchHistory();
+    else setHistory(null);
+  }, [token, courseId, courseName, fetchHistory]);
+
+  // Open the most recently played course when none is selected
+  useEffect(() => {
+    if (!courseId && !courseName && courses.length > 0) {
+      setSearchParams(courseParams(courses[0]), { replace: true });
+    }
+  }, [courseId, courseName, courses, setSearchParams]);
+
+  const isSelected = (course) => (course.courseId
+    ? course.courseId === courseId
+    : !courseId && course.courseName === courseName);
+
+  if (loading) {
+    return <p className="text-gray-500">Loading courses...</p>;
+  }
+
+  return (
+    <div className="bg-gray-100 min-h-full">
+      <div className="max-w-7xl mx-auto py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900">Courses</h1>
+          <p className="mt-2 text-gray-600">How you have played each hole on the courses you know</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-xl bg-red-50 border border-red-200 p-4">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {courses.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-12 text-center">
+            <h3 className="text-lg font-semibold text-gray-900">No rounds played yet</h3>
+            <p className="mt-2 text-gray-500">Your course history builds up as you score rounds.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Played courses */}
+            <div className="space-y-3">
+              {courses.map((course) => (
+                <button
+                  key={course.courseId || course.courseName}
+                  type="button"
+                  onClick={() => setSearchParams(courseParams(course))}
+                  className={`w-full rounded-xl p-4 text-left shadow-sm transition-colors ${
+                    isSelected(course)
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-white text-gray-900 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="font-semibold truncate">{course.courseName}</div>
+                  <div className={`mt-1 text-sm ${isSelected(course) ? 'text-indigo-100' : 'text-gray-500'}`}>
+                    {`${course.roundsPlayed} ${course.roundsPlayed === 1 ? 'round' : 'rounds'}`}
+                    {' · '}
+                    {`Last played ${formatDate(course.lastPlayed)}`}
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            {/* Selected course */}
+            {history && (
+              <div className="lg:col-span-2 space-y-6">
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                  {[
+                    ['Rounds', history.roundsPlayed],
+                    ['Average', history.scoringAverage ?? '-'],
+                    ['Avg to Par', formatToPar(history.averageToPar)],
+                    ['Best', history.best ? `${history.best.gross} (${formatToPar(history.best.toPar)})` : '-'],
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-xl bg-white p-4 shadow-sm">
+                      <div className="text-sm font-medium text-gray-500">{label}</div>
+                      <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="rounded-xl bg-white p-6 shadow-sm overflow-x-auto">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Hole by Hole</h3>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+                        <th className="py-2 font-medium">Hole</th>
+                        <th className="py-2 font-medium text-right">Par</th>
+                        <th className="py-2 font-medium text-right">Played</th>
+                        <th className="py-2 font-medium text-right">Avg</th>
+                        <th className="py-2 font-medium text-right">+/-</th>
+                        <th className="py-2 font-medium text-right">Best</th>
+                        <th className="py-2 font-medium text-right">Birdie-</th>
+                        <th className="py-2 font-medium text-right">Par</th>
+                        <th className="py-2 font-medium text-right">Bogey</th>
+                        <th className="py-2 font-medium text-right">Double+</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {history.holes.map((hole) => (
+                        <tr key={hole.holeNumber} className="border-t border-gray-100">
+                          <td className="py-2 font-medium text-gray-900">{hole.holeNumber}</td>
+                          <td className="py-2 text-right text-gray-700">{hole.par}</td>
+                          <td className="py-2 text-right text-gray-700">{hole.played}</td>
+                          <td className="py-2 text-right font-semibold text-gray-900">{hole.average}</td>
+                          <td className={`py-2 text-right font-medium ${getToParColorClass(hole.averageToPar)}`}>
+                            {formatToPar(hole.averageToPar)}
+                          </td>
+                          <td className="py-2 text-right text-gray-700">{hole.best}</td>
+                          <td className="py-2 text-right text-green-600">
+                            {hole.distribution.eagles + hole.distribution.birdies}
+                          </td>
+                          <td className="py-2 text-right text-gray-700">{hole.distribution.pars}</td>
+                          <td className="py-2 text-right text-red-400">{hole.distribution.bogeys}</td>
+                          <td className="py-2 text-right text-red-600">{hole.distribution.doubles}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CourseHistory;
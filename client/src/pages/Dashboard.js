@@ -0,0 +1,244 @@
+import {
+  useState, useContext, useEffect, useCallback,
+} from 'react';
+import { useNavigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { AuthContext } from '../context/AuthContext';
+import TrendChart from '../components/dashboard/TrendChart';
+import DistributionChart from '../components/dashboard/DistributionChart';
+import { formatToPar } from '../utils/scoring';
+
+const TREND_LENGTHS = [10, 20, 50];
+
+/**
+ * Format a date string (YYYY-MM-DD...) for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+/**
+ * Single headline number with a label
+ */
+function StatTile({ label, value, detail }) {
+  return (
+    <div className="rounded-xl bg-white p-5 shadow-sm">
+      <div className="text-sm font-medium text-gray-500">{label}</div>
+      <div className="mt-1 text-3xl font-bold text-gray-900">{value ?? '-'}</div>
+      {detail && <div className="mt-1 text-sm text-gray-500 truncate">{detail}</div>}
+    </div>
+  );
+}
+
+StatTile.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  detail: PropTypes.string,
+};
+
+StatTile.defaultProps = {
+  value: null,
+  detail: '',
+};
+
+/**
+ * Describe a round for a stat tile, e.g. "Pine Valley · May 3, 2026"
+ */
+function describeRound(round) {
+  return round ? `${round.courseName} · ${formatDate(round.date)}` : '';
+}
+
+function Dashboard() {
+  const { token, loading: authLoading } = useContext(AuthContext);
+  const navigate = useNavigate();
+
+  const [stats, setStats] = useState(null);
+  const [trendLength, setTrendLength] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    setError('');
+    try {
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/stats/me?limit=${trendLength}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch stats');
+      setStats(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, trendLength]);
+
+  useEffect(() => {
+    if (!authLoading && !token) navigate('/login');
+  }, [token, authLoading, navigate]);
+
+  useEffect(() => {
+    if (token) fetchStats();
+  }, [token, fetchStats]);
+
+  if (loading) {
+    return <p className="text-gray-500">Loading your stats...</p>;
+  }
+
+  return (
+    <div className="bg-gray-100 min-h-full">
+      <div className="max-w-7xl mx-auto py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900">Dashboard</h1>
+          <p className="mt-2 text-gray-600">Your scoring across completed rounds</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-xl bg-red-50 border border-red-200 p-4">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {stats && stats.rounds === 0 && (
+          <div className="bg-white rounded-lg shadow p-12 text-center">
+            <h3 className="text-lg font-semibold text-gray-900">No completed rounds yet</h3>
+            <p className="mt-2 text-gray-500">Finish a round with every hole scored to see your stats.</p>
+            <button
+              type="button"
+              onClick={() => navigate('/scorecard')}
+              className="mt-6 inline-flex items-center rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500"
+            >
+              Go to Scorecard
+            </button>
+          </div>
+        )}
+
+        {stats && stats.rounds > 0 && (
+          <div className="space-y-6">
+            {/* Headline numbers */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <StatTile
+                label="Scoring Average (18)"
+                value={stats.splits.eighteen.scoringAverage}
+                detail={`${stats.splits.eighteen.rounds} rounds`}
+              />
+              <StatTile
+                label="Scoring Average (9)"
+                value={stats.splits.nine.scoringAverage}
+                detail={`${stats.splits.nine.rounds} rounds`}
+              />
+              <StatTile
+                label="Best Round"
+                value={stats.best && `${stats.best.gross} (${formatToPar(stats.best.toPar)})`}
+                detail={describeRound(stats.best)}
+              />
+              <StatTile
+                label="Worst Round"
+                value={stats.worst && `${stats.worst.gross} (${formatToPar(stats.worst.toPar)})`}
+                detail={describeRound(stats.worst)}
+              />
+            </div>
+
+            {/* Trend */}
+            <div className="rounded-xl bg-white p-6 shadow-sm">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Score to Par</h3>
+                <div className="flex rounded-lg bg-gray-100 p-1">
+                  {TREND_LENGTHS.map((length) => (
+                    <button
+                      key={length}
+                      type="button"
+                      onClick={() => setTrendLength(length)}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                        trendLength === length
+                          ? 'bg-white text-gray-900 shadow-sm'
+                          : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                    >
+                      {`Last ${length}`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <TrendChart rounds={stats.trend} />
+              <p className="mt-2 text-xs text-gray-500">Filled points are 18-hole rounds, open points 9-hole rounds.</p>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="rounded-xl bg-white p-6 shadow-sm">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Gross Score (18 holes)</h3>
+                <TrendChart
+                  rounds={stats.trend.filter((r) => r.holes === 18)}
+                  valueKey="gross"
+                />
+              </div>
+
+              <div className="rounded-xl bg-white p-6 shadow-sm">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Scoring Distribution</h3>
+                <DistributionChart distribution={stats.distribution} />
+              </div>
+            </div>
+
+            {/* Par averages and splits */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="rounded-xl bg-white p-6 shadow-sm">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Average by Par</h3>
+                <div className="grid grid-cols-3 gap-4 text-center">
+                  {[3, 4, 5].map((par) => {
+                    const avg = stats.parAverages[par];
+                    return (
+                      <div key={par} className="rounded-lg bg-gray-50 p-4">
+                        <div className="text-sm font-medium text-gray-500">{`Par ${par}`}</div>
+                        <div className="mt-1 text-2xl font-bold text-gray-900">{avg ?? '-'}</div>
+                        {avg != null && (
+                          <div className="text-sm text-gray-500">
+                            {formatToPar(Math.round((avg - par) * 10) / 10)}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="rounded-xl bg-white p-6 shadow-sm">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">9 vs 18 Holes</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+                      <th className="py-2 font-medium">Holes</th>
+                      <th className="py-2 font-medium text-right">Rounds</th>
+                      <th className="py-2 font-medium text-right">Average</th>
+                      <th className="py-2 font-medium text-right">To Par</th>
+                      <th className="py-2 font-medium text-right">Best</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[['9', stats.splits.nine], ['18', stats.splits.eighteen]].map(([label, split]) => (
+                      <tr key={label} className="border-t border-gray-100">
+                        <td className="py-2 font-medium text-gray-900">{label}</td>
+                        <td className="py-2 text-right text-gray-700">{split.rounds}</td>
+                        <td className="py-2 text-right text-gray-700">{split.scoringAverage ?? '-'}</td>
+                        <td className="py-2 text-right text-gray-700">
+                          {split.averageToPar == null ? '-' : formatToPar(split.averageToPar)}
+                        </td>
+                        <td className="py-2 text-right text-gray-700">{split.best?.gross ?? '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,208 @@
+import {
+  useState, useContext, useEffect, useCallback,
+} from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { AuthContext } from '../context/AuthContext';
+
+/**
+ * Format a date string (YYYY-MM-DD...) for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+/**
+ * Format an average margin from the user's point of view, e.g. "+2.5" when ahead
+ */
+function formatMargin(margin) {
+  if (margin == null) return '-';
+  if (margin === 0) return 'Even';
+  return margin > 0 ? `+${margin}` : `${margin}`;
+}
+
+/**
+ * Win/loss/tie record with a proportional bar
+ */
+function RecordCard({ title, record, showMargin }) {
+  const total = record.wins + record.losses + record.ties;
+  const segments = [
+    { key: 'wins', color: 'bg-green-500' },
+    { key: 'ties', color: 'bg-gray-300' },
+    { key: 'losses', color: 'bg-red-500' },
+  ];
+
+  return (
+    <div className="rounded-xl bg-white p-6 shadow-sm">
+      <h3 className="text-sm font-medium text-gray-500">{title}</h3>
+      <div className="mt-2 text-3xl font-bold text-gray-900">
+        {`${record.wins}-${record.losses}-${record.ties}`}
+      </div>
+      <div className="text-xs uppercase tracking-wide text-gray-400">W-L-T</div>
+      {total > 0 && (
+        <div className="mt-3 flex h-2 w-full overflow-hidden rounded-full bg-gray-100">
+          {segments.map((segment) => (record[segment.key] > 0 ? (
+            <div
+              key={segment.key}
+              className={segment.color}
+              style={{ width: `${(record[segment.key] / total) * 100}%` }}
+            />
+          ) : null))}
+        </div>
+      )}
+      {showMargin && (
+        <div className="mt-3 text-sm text-gray-500">
+          Average margin
+          {' '}
+          <span className="font-semibold text-gray-900">{formatMargin(record.averageMargin)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+RecordCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  record: PropTypes.shape({
+    wins: PropTypes.number,
+    losses: PropTypes.number,
+    ties: PropTypes.number,
+    averageMargin: PropTypes.number,
+  }).isRequired,
+  showMargin: PropTypes.bool,
+};
+
+RecordCard.defaultProps = {
+  showMargin: false,
+};
+
+/**
+ * Colour a pair of totals by who won
+ */
+function resultClass(score, opponentScore) {
+  if (score < opponentScore) return 'text-green-600';
+  if (score > opponentScore) return 'text-red-500';
+  return 'text-gray-700';
+}
+
+function HeadToHead() {
+  const { token, loading: authLoading } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const { userId } = useParams();
+
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchRecord = useCallback(async () => {
+    setError('');
+    try {
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/stats/head-to-head/${userId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch head-to-head record');
+      setRecord(data);
+    } catch (err) {
+      setRecord(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, userId]);
+
+  useEffect(() => {
+    if (!authLoading && !token) navigate('/login');
+  }, [token, authLoading, navigate]);
+
+  useEffect(() => {
+    if (token) fetchRecord();
+  }, [token, fetchRecord]);
+
+  if (loading) {
+    return <p className="text-gray-500">Loading head-to-head...</p>;
+  }
+
+  return (
+    <div className="bg-gray-100 min-h-full">
+      <div className="max-w-7xl mx-auto py-8">
+        <button
+          type="button"
+          onClick={() => navigate(-1)}
+          className="mb-4 text-sm font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          &larr; Back
+        </button>
+
+        {error && (
+          <div className="mb-6 rounded-xl bg-red-50 border border-red-200 p-4">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {record && (
+          <div className="space-y-6">
+            <div>
+              <h1 className="text-3xl sm:text-4xl font-bold text-gray-900">
+                {`${record.user.name} vs ${record.opponent.name}`}
+              </h1>
+              <p className="mt-2 text-gray-600">
+                {`${record.sharedRounds} shared ${record.sharedRounds === 1 ? 'round' : 'rounds'}, `}
+                {`${record.completedRounds} completed by both`}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <RecordCard title="Gross Total" record={record.gross} showMargin />
+              <RecordCard title="Net Total" record={record.net} showMargin />
+              <RecordCard title="Holes (Gross)" record={record.holes.gross} />
+              <RecordCard title="Holes (Net)" record={record.holes.net} />
+            </div>
+
+            <div className="rounded-xl bg-white p-6 shadow-sm overflow-x-auto">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Completed Rounds</h3>
+              {record.history.length === 0 ? (
+                <p className="text-sm text-gray-500">No rounds completed by both players yet.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+                      <th className="py-2 font-medium">Date</th>
+                      <th className="py-2 font-medium">Course</th>
+                      <th className="py-2 font-medium text-right">Gross</th>
+                      <th className="py-2 font-medium text-right">Net</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.history.map((round) => (
+                      <tr key={round.roundId} className="border-t border-gray-100">
+                        <td className="py-2 text-gray-700">{formatDate(round.date)}</td>
+                        <td className="py-2 text-gray-900">
+                          {round.courseName}
+                          {round.holes === 9 && <span className="ml-1 text-xs text-gray-400">(9)</span>}
+                        </td>
+                        <td className={`py-2 text-right font-semibold ${resultClass(...round.gross)}`}>
+                          {round.gross.join(' - ')}
+                        </td>
+                        <td className={`py-2 text-right font-semibold ${resultClass(...round.net)}`}>
+                          {round.net.join(' - ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HeadToHead;
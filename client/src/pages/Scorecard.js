@@ -3,31 +3,120 @@ import {
 } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { io } from 'socket.io-client';
+import { ClockIcon, TrophyIcon } from '@heroicons/react/24/solid';
+import {
+  ArrowUturnLeftIcon, ArrowUturnRightIcon, CloudArrowUpIcon,
+} from '@heroicons/react/24/outline';
 import { AuthContext } from '../context/AuthContext';
 import RoundCard from '../components/scorecard/RoundCard';
+import RoundStatusBadge from '../components/scorecard/RoundStatusBadge';
 import HoleCard from '../components/scorecard/HoleCard';
 import HoleStepper from '../components/scorecard/HoleStepper';
+import SkinsSummary from '../components/scorecard/SkinsSummary';
+import NassauLedger from '../components/scorecard/NassauLedger';
+import PlayerName from '../components/scorecard/PlayerName';
+import PresenceDot from '../components/scorecard/PresenceDot';
+import AttestationPanel from '../components/scorecard/AttestationPanel';
+import HistoryDrawer from '../components/scorecard/HistoryDrawer';
+import useUndoRedo from '../hooks/useUndoRedo';
+import useScoreQueue from '../hooks/useScoreQueue';
+import mergeRound from '../utils/mergeRound';
+import { cacheRounds, getCachedRounds, removeCachedRound } from '../utils/offlineStore';
+import {
+  formatToPar,
+  formatMatchStatus,
+  formatMatchHole,
+  getBestBallScore,
+  TEAM_FORMATS,
+  TEAM_SCORE_FORMATS,
+  ROUND_STATUS_LABELS,
+} from '../utils/scoring';
+
+const DEFAULT_GAMES = {
+  skins: {
+    enabled: false, value: 1, useNet: false, carryover: true,
+  },
+  nassau: {
+    enabled: false, value: 5, useNet: false, pressMode: 'auto', pressAt: 2,
+  },
+};
+
+const DEFAULT_FORMAT_OPTIONS = { stablefordTable: 'standard', useNet: false };
+
+// A round's format options and side games as the form holds them. Manual
+// presses are managed by the server, so they stay out of the form state
+const getFormSettings = (round) => {
+  const { presses, ...nassau } = round.games?.nassau || {};
+  return {
+    formatOptions: { ...DEFAULT_FORMAT_OPTIONS, ...round.formatOptions },
+    games: {
+      skins: { ...DEFAULT_GAMES.skins, ...round.games?.skins },
+      nassau: { ...DEFAULT_GAMES.nassau, ...nassau },
+    },
+  };
+};
+
+const createTeams = (holeCount = 18) => [1, 2].map((n) => ({
+  name: `Team ${n}`,
+  scores: Array(holeCount).fill(0),
+}));
+
+// A card's scores with any queued (not yet synced) writes to it applied
+const withQueuedScores = (scores, writes, type, index) => {
+  const updated = [...scores];
+  writes
+    .filter((write) => write.type === type && write.index === index)
+    .forEach((write) => { updated[write.holeIndex] = write.score; });
+  return updated;
+};
 
 function Scorecard() {
   const { token, user, loading: authLoading } = useContext(AuthContext);
+  // eslint-disable-next-line no-underscore-dangle
+  const userId = user?._id || user?.id || null;
   const navigate = useNavigate();
   const socketRef = useRef(null);
+  // Last live event applied for the joined round, sent back when rejoining to catch up
+  const syncRef = useRef({ roundId: null, epoch: null, seq: 0 });
+  const refreshRoundRef = useRef(null);
+  const applyRoundUpdateRef = useRef(null);
 
   const [rounds, setRounds] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
   const [view, setView] = useState('list');
   const [selectedRound, setSelectedRound] = useState(null);
 
   const [courseName, setCourseName] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [courses, setCourses] = useState([]);
+  const [shareCourse, setShareCourse] = useState(false);
+  const [courseMessage, setCourseMessage] = useState('');
   const [date, setDate] = useState(new Date().toLocaleDateString('en-CA'));
   const [players, setPlayers] = useState([{ name: '', scores: Array(18).fill(0) }]);
   const [holes, setHoles] = useState(
     Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 })),
   );
+  const [format, setFormat] = useState('stroke');
+  const [formatOptions, setFormatOptions] = useState(DEFAULT_FORMAT_OPTIONS);
+  const [games, setGames] = useState(DEFAULT_GAMES);
+  const [teams, setTeams] = useState(createTeams);
+  const [results, setResults] = useState(null);
+  const [roundStatus, setRoundStatus] = useState('scheduled');
+  const [courseHistory, setCourseHistory] = useState(null);
+  const [achievementNotices, setAchievementNotices] = useState([]);
+  // Users with the round open right now, from the socket room
+  const [presence, setPresence] = useState({ roundId: null, users: [] });
+  const [joinedRoundId, setJoinedRoundId] = useState(null);
   const [parsLocked, setParsLocked] = useState(false);
   const [editingPars, setEditingPars] = useState(false);
 
+  // Undo/redo of score, par and player name edits
+  const {
+    record: recordEdit, undo, redo, reset: resetEdits, canUndo, canRedo,
+  } = useUndoRedo();
+
   // Hole-by-hole entry state
   const [entryMode, setEntryMode] = useState('holes'); // 'holes' | 'table'
   const [currentHoleIndex, setCurrentHoleIndex] = useState(0);
@@ -40,17 +129,32 @@ function Scorecard() {
   const [joiningRound, setJoiningRound] = useState(null);
   const [selectedSlot, setSelectedSlot] = useState(null);
 
+  // Audit timeline state
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
   const resetForm = useCallback(() => {
     setCourseName('');
+    setCourseId('');
+    setShareCourse(false);
+    setCourseMessage('');
     setDate(new Date().toLocaleDateString('en-CA'));
     setPlayers([{ name: '', scores: Array(18).fill(0) }]);
     setHoles(Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 })));
+    setFormat('stroke');
+    setFormatOptions(DEFAULT_FORMAT_OPTIONS);
+    setGames(DEFAULT_GAMES);
+    setTeams(createTeams());
+    setResults(null);
+    setRoundStatus('scheduled');
     setSelectedRound(null);
     setParsLocked(false);
     setEditingPars(false);
     setShareCode('');
     setCurrentHoleIndex(0);
-  }, []);
+    resetEdits();
+  }, [resetEdits]);
 
   // WebSocket connection for real-time updates
   useEffect(() => {
@@ -60,12 +164,30 @@ function Scorecard() {
       auth: { token },
     });
 
+    // Score changes carry every card's attestation, since stale ones are cleared
+    const applyAttestations = (attestations) => {
+      setPlayers((prev) => prev.map((player, index) => ({
+        ...player,
+        attestation: attestations[index] ?? null,
+      })));
+    };
+
     socket.on('connect', () => {
       // eslint-disable-next-line no-console
       console.log('Connected to WebSocket');
     });
 
-    socket.on('score-update', (data) => {
+    // Room events carry the round's sequence number; skip any already applied
+    const onRoundEvent = (event, handler) => socket.on(event, (data) => {
+      const sync = syncRef.current;
+      if (data.roundId === sync.roundId && Number.isInteger(data.seq)) {
+        if (data.seq <= sync.seq) return;
+        sync.seq = data.seq;
+      }
+      handler(data);
+    });
+
+    onRoundEvent('score-update', (data) => {
       setPlayers((prev) => {
         const updated = [...prev];
         if (updated[data.playerIndex]) {
@@ -73,19 +195,77 @@ function Scorecard() {
         }
         return updated;
       });
+      if (data.status) setRoundStatus(data.status);
+      if (data.attestations) applyAttestations(data.attestations);
+      if (data.results) setResults(data.results);
+    });
+
+    onRoundEvent('stats-update', (data) => {
+      setPlayers((prev) => {
+        const updated = [...prev];
+        const player = updated[data.playerIndex];
+        if (player) {
+          player.stats = [
+            ...(player.stats || []).filter((st) => st.holeNumber !== data.stats.holeNumber),
+            data.stats,
+          ];
+        }
+        return updated;
+      });
+    });
+
+    onRoundEvent('team-score-update', (data) => {
+      setTeams((prev) => {
+        const updated = [...prev];
+        if (updated[data.teamIndex]) {
+          updated[data.teamIndex].scores[data.holeIndex] = data.score;
+        }
+        return updated;
+      });
+      if (data.status) setRoundStatus(data.status);
+      if (data.attestations) applyAttestations(data.attestations);
+      if (data.results) setResults(data.results);
+    });
+
+    onRoundEvent('nassau-press', (data) => {
+      if (data.results) setResults(data.results);
+    });
+
+    onRoundEvent('attestation-update', (data) => {
+      setPlayers((prev) => prev.map((player, index) => (
+        index === data.playerIndex ? { ...player, attestation: data.attestation } : player
+      )));
+    });
+
+    onRoundEvent('round-status', (data) => {
+      setRoundStatus(data.status);
+    });
+
+    onRoundEvent('achievement-unlocked', (data) => {
+      setAchievementNotices((prev) => [
+        ...prev,
+        ...data.achievements.map((achievement) => ({
+          id: `${data.userId}-${achievement.key}-${achievement.earnedAt}`,
+          playerName: data.playerName,
+          name: achievement.name,
+        })),
+      ]);
     });
 
-    socket.on('player-joined', (data) => {
+    onRoundEvent('player-joined', (data) => {
       setPlayers((prev) => {
         const updated = [...prev];
         if (updated[data.playerIndex]) {
           updated[data.playerIndex].userId = data.userId;
+          if (data.courseHandicap !== undefined) {
+            updated[data.playerIndex].courseHandicap = data.courseHandicap;
+          }
         }
         return updated;
       });
     });
 
-    socket.on('player-removed', (data) => {
+    onRoundEvent('player-removed', (data) => {
       setPlayers((prev) => {
         const updated = [...prev];
         if (updated[data.playerIndex]) {
@@ -95,39 +275,182 @@ function Scorecard() {
       });
     });
 
+    // The creator saved changes to the round as a whole (course, pars, players...)
+    onRoundEvent('round-updated', (data) => {
+      setRounds((prev) => prev.map((r) => (
+        // eslint-disable-next-line no-underscore-dangle
+        r._id === data.roundId ? { ...r, ...data.changes, version: data.version } : r
+      )));
+      applyRoundUpdateRef.current?.(data);
+    });
+
+    onRoundEvent('round-deleted', (data) => {
+      // eslint-disable-next-line no-underscore-dangle
+      setRounds((prev) => prev.filter((r) => r._id !== data.roundId));
+      removeCachedRound(userId, data.roundId).catch(() => {});
+      resetForm();
+      setView('list');
+      setError('This round was deleted by its creator.');
+    });
+
+    socket.on('presence', (data) => {
+      setPresence(data);
+    });
+
+    // Unlinked from the round by its creator, so it's no longer visible to us
+    socket.on('round-access-revoked', (data) => {
+      // eslint-disable-next-line no-underscore-dangle
+      setRounds((prev) => prev.filter((r) => r._id !== data.roundId));
+      resetForm();
+      setView('list');
+      setError('You were removed from this round.');
+    });
+
     socketRef.current = socket;
 
     return () => {
       socket.disconnect();
     };
-  }, [token]);
+  }, [token, userId, resetForm]);
 
-  // Join room when editing a round
+  // Join room when editing a round, and again after reconnecting, when the
+  // server replays the events missed meanwhile or asks for a refetch
+  // eslint-disable-next-line no-underscore-dangle
+  const selectedRoundId = selectedRound?._id;
   useEffect(() => {
-    if (selectedRound && socketRef.current) {
-      // eslint-disable-next-line no-underscore-dangle
-      socketRef.current.emit('join-round', selectedRound._id);
-    }
-    return () => {
-      if (selectedRound && socketRef.current) {
-        // eslint-disable-next-line no-underscore-dangle
-        socketRef.current.emit('leave-round', selectedRound._id);
+    const socket = socketRef.current;
+    if (!selectedRoundId || !socket) return undefined;
+
+    const join = () => {
+      if (syncRef.current.roundId !== selectedRoundId) {
+        syncRef.current = { roundId: selectedRoundId, epoch: null, seq: 0 };
       }
+      const { epoch, seq } = syncRef.current;
+      const since = epoch ? { epoch, seq } : undefined;
+      socket.emit('join-round', { roundId: selectedRoundId, since }, (response) => {
+        if (response?.error) {
+          setError(`Live updates unavailable: ${response.error}`);
+          return;
+        }
+        syncRef.current = { roundId: selectedRoundId, epoch: response.epoch, seq: response.seq };
+        setJoinedRoundId(selectedRoundId);
+        if (response.resync) refreshRoundRef.current?.();
+      });
+    };
+    const handleDisconnect = () => setJoinedRoundId(null);
+
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('disconnect', handleDisconnect);
+    return () => {
+      socket.off('connect', join);
+      socket.off('disconnect', handleDisconnect);
+      socket.emit('leave-round', selectedRoundId);
+      syncRef.current = { roundId: null, epoch: null, seq: 0 };
+      setJoinedRoundId(null);
     };
-  }, [selectedRound]);
+  }, [selectedRoundId]);
+
+  // Tell the room which hole we're on; null in table view, where we're on no single hole
+  const liveHoleNumber = view === 'edit' && entryMode === 'holes'
+    ? holes[currentHoleIndex]?.holeNumber ?? null
+    : null;
+  useEffect(() => {
+    if (joinedRoundId && socketRef.current) {
+      socketRef.current.emit('presence-hole', { roundId: joinedRoundId, holeNumber: liveHoleNumber });
+    }
+  }, [joinedRoundId, liveHoleNumber]);
+
+  // Achievement toasts dismiss themselves one at a time
+  useEffect(() => {
+    if (achievementNotices.length === 0) return undefined;
+    const timer = setTimeout(() => setAchievementNotices((prev) => prev.slice(1)), 6000);
+    return () => clearTimeout(timer);
+  }, [achievementNotices]);
 
   const fetchRounds = useCallback(async () => {
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/rounds`, {
+      const query = statusFilter ? `?status=${statusFilter}` : '';
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/rounds${query}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setRounds(data);
+        // Keep a copy for opening rounds without signal; the cache is best effort
+        if (userId) cacheRounds(userId, data).catch(() => {});
+      }
+    } catch (err) {
+      // Offline: fall back to the rounds saved on this device
+      const cached = userId ? await getCachedRounds(userId).catch(() => []) : [];
+      const matching = cached
+        .filter((r) => !statusFilter || r.status === statusFilter)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+      if (matching.length > 0) setRounds(matching);
+      else setError('Failed to fetch rounds');
+    }
+  }, [token, userId, statusFilter]);
+
+  const fetchCourses = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/courses`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       const data = await response.json();
-      if (response.ok) setRounds(data);
+      if (response.ok) setCourses(data);
     } catch (err) {
-      setError('Failed to fetch rounds');
+      setError('Failed to fetch courses');
     }
   }, [token]);
 
+  // Fill the form from a saved course so pars don't have to be re-entered
+  const handleSelectCourse = (id) => {
+    setCourseId(id);
+    setCourseMessage('');
+    // eslint-disable-next-line no-underscore-dangle
+    const course = courses.find((c) => c._id === id);
+    if (!course) {
+      setParsLocked(false);
+      return;
+    }
+    setCourseName(course.name);
+    setHoles(course.holes.map((h) => ({ holeNumber: h.holeNumber, par: h.par })));
+    setPlayers(players.map((p) => ({
+      ...p,
+      scores: Array(course.holes.length).fill(0),
+      teeName: course.teeSets?.[0]?.name || '',
+    })));
+    setParsLocked(true);
+  };
+
+  // Save the current course name and pars to the course library
+  const handleSaveCourse = async () => {
+    setError('');
+    setCourseMessage('');
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/courses`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          name: courseName,
+          holes,
+          visibility: shareCourse ? 'shared' : 'private',
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save course');
+      setCourses([...courses, data.data]);
+      // eslint-disable-next-line no-underscore-dangle
+      setCourseId(data.data._id);
+      setCourseMessage('Course saved to your library');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   // Generate share code for a round
   const handleGenerateShareCode = async (roundId) => {
     try {
@@ -201,31 +524,180 @@ function Scorecard() {
     }
   };
 
+  // Card and hole a queued score write is for, for messages about it
+  const describeWrite = (write) => {
+    // eslint-disable-next-line no-underscore-dangle
+    const round = selectedRound?._id === write.roundId
+      ? { players, teams }
+      // eslint-disable-next-line no-underscore-dangle
+      : rounds.find((r) => r._id === write.roundId);
+    const isTeam = write.type === 'team-score';
+    const card = (isTeam ? round?.teams : round?.players)?.[write.index];
+    const fallback = isTeam ? `Team ${write.index + 1}` : `Player ${write.index + 1}`;
+    return `${card?.name || fallback}, hole ${write.holeIndex + 1}`;
+  };
+
+  // Show the server's score for a hole on the open card
+  const showServerScore = (write, score) => {
+    // eslint-disable-next-line no-underscore-dangle
+    if (selectedRound?._id !== write.roundId) return;
+    const withScore = (card, i) => (i === write.index
+      ? { ...card, scores: card.scores.map((s, h) => (h === write.holeIndex ? score : s)) }
+      : card);
+    if (write.type === 'team-score') setTeams((prev) => prev.map(withScore));
+    else setPlayers((prev) => prev.map(withScore));
+  };
+
+  const {
+    pending: pendingWrites,
+    offline,
+    submit: submitScore,
+  } = useScoreQueue(token, userId, {
+    onSaved: (write, data) => {
+      // eslint-disable-next-line no-underscore-dangle
+      if (selectedRound?._id === write.roundId && data.data?.results) {
+        setResults(data.data.results);
+      }
+    },
+    // Someone else changed the hole while this score waited to be sent
+    onConflict: (write, serverScore) => {
+      // eslint-disable-next-line no-alert
+      const keepMine = window.confirm(
+        `${describeWrite(write)}: you entered ${write.score}, but it was changed to `
+        + `${serverScore || 'no score'} before yours synced. Keep your ${write.score}?`,
+      );
+      if (!keepMine) showServerScore(write, serverScore);
+      return keepMine;
+    },
+    onRejected: (write, message) => {
+      setError(`${describeWrite(write)} was not saved: ${message || 'request failed'}`);
+    },
+  });
+
+  // Whether a hole's score is waiting on this device for signal
+  const isPendingScore = (type, index, holeIndex) => offline && pendingWrites.some((write) => (
+    // eslint-disable-next-line no-underscore-dangle
+    write.roundId === selectedRound?._id && write.type === type
+      && write.index === index && write.holeIndex === holeIndex
+  ));
+
   // Update score via API for real-time sync
-  const handleScoreUpdate = async (playerIndex, holeIndex, score) => {
+  const handleScoreUpdate = async (playerIndex, holeIndex, score, track = true) => {
     if (!selectedRound) return;
+    if (track) {
+      recordEdit({
+        type: 'score',
+        playerIndex,
+        holeIndex,
+        from: players[playerIndex].scores[holeIndex] || 0,
+        to: parseInt(score, 10) || 0,
+      });
+    }
     // Update local state immediately
+    const expected = players[playerIndex].scores[holeIndex] || 0;
     const updated = [...players];
     updated[playerIndex].scores[holeIndex] = parseInt(score, 10) || 0;
     setPlayers(updated);
 
-    // Send to server
+    // Send to server, or keep it on this device until there's signal
+    await submitScore({
+      // eslint-disable-next-line no-underscore-dangle
+      roundId: selectedRound._id,
+      type: 'score',
+      index: playerIndex,
+      holeIndex,
+      score: parseInt(score, 10) || 0,
+      expected,
+    });
+  };
+
+  // Stats a player has recorded on a hole (empty when none)
+  const getHoleStats = (playerIndex, holeIndex) => players[playerIndex]?.stats
+    ?.find((st) => st.holeNumber === holes[holeIndex]?.holeNumber) || {};
+
+  // Update a player's hole stats via API for real-time sync
+  const handleStatsUpdate = async (playerIndex, holeIndex, changes) => {
+    if (!selectedRound) return;
+    const { holeNumber } = holes[holeIndex];
+    const updated = [...players];
+    const player = updated[playerIndex];
+    player.stats = [
+      ...(player.stats || []).filter((st) => st.holeNumber !== holeNumber),
+      { ...getHoleStats(playerIndex, holeIndex), holeNumber, ...changes },
+    ];
+    setPlayers(updated);
+
     try {
-      await fetch(
+      const response = await fetch(
         // eslint-disable-next-line no-underscore-dangle
-        `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}/score`,
+        `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}/stats`,
         {
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`,
           },
-          body: JSON.stringify({ playerIndex, holeIndex, score: parseInt(score, 10) || 0 }),
+          body: JSON.stringify({ playerIndex, holeIndex, stats: changes }),
         },
       );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save stats');
     } catch (err) {
       // eslint-disable-next-line no-console
-      console.error('Failed to sync score:', err);
+      console.error('Failed to sync stats:', err);
+    }
+  };
+
+  // Update a scramble or alternate shot team score via API for real-time sync
+  const handleTeamScoreUpdate = async (teamIndex, holeIndex, score, track = true) => {
+    if (!selectedRound) return;
+    if (track) {
+      recordEdit({
+        type: 'team-score',
+        teamIndex,
+        holeIndex,
+        from: teams[teamIndex].scores[holeIndex] || 0,
+        to: parseInt(score, 10) || 0,
+      });
+    }
+    const expected = teams[teamIndex].scores[holeIndex] || 0;
+    const updated = [...teams];
+    updated[teamIndex].scores[holeIndex] = parseInt(score, 10) || 0;
+    setTeams(updated);
+
+    await submitScore({
+      // eslint-disable-next-line no-underscore-dangle
+      roundId: selectedRound._id,
+      type: 'team-score',
+      index: teamIndex,
+      holeIndex,
+      score: parseInt(score, 10) || 0,
+      expected,
+    });
+  };
+
+  // Start a manual Nassau press for the current user's side
+  const handlePress = async (segment) => {
+    if (!selectedRound) return;
+    setError('');
+    try {
+      const response = await fetch(
+        // eslint-disable-next-line no-underscore-dangle
+        `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}/press`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ segment }),
+        },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to press');
+      setResults(data.data.results);
+    } catch (err) {
+      setError(err.message);
     }
   };
 
@@ -236,14 +708,54 @@ function Scorecard() {
     return selectedRound.createdBy === user._id || selectedRound.createdBy === user.id;
   }, [selectedRound, user]);
 
+  // Finalized rounds are locked for everyone, including the creator
+  const isFinalized = view === 'edit' && roundStatus === 'finalized';
+  // Round settings can be changed on new rounds, or by the creator until finalized
+  const canEditRound = view !== 'edit' || (isAdmin() && !isFinalized);
+
+  // Every linked player's card has been signed off by a marker
+  const linkedPlayers = players.filter((p) => p.userId);
+  // Without a second linked player there's no marker, so attestation isn't required
+  const isFullyAttested = linkedPlayers.length < 2 || linkedPlayers.every((p) => p.attestation);
+
   // Check if current user can edit a specific player's scores
   const canEditPlayer = useCallback((playerIndex) => {
+    if (isFinalized) return false;
     if (isAdmin()) return true;
     if (!user || !players[playerIndex]) return false;
     const player = players[playerIndex];
     // eslint-disable-next-line no-underscore-dangle
     return player.userId === user._id || player.userId === user.id;
-  }, [isAdmin, user, players]);
+  }, [isFinalized, isAdmin, user, players]);
+
+  // Live presence of a linked player other than the current user (null when not live)
+  const getLivePresence = (player) => {
+    // eslint-disable-next-line no-underscore-dangle
+    if (!player?.userId || !user || presence.roundId !== selectedRound?._id) return null;
+    // eslint-disable-next-line no-underscore-dangle
+    if (player.userId === user._id || player.userId === user.id) return null;
+    return presence.users.find((u) => u.userId === player.userId) || null;
+  };
+
+  // Linked players other than the current user get a head-to-head link
+  const getHeadToHeadId = useCallback((player) => {
+    // eslint-disable-next-line no-underscore-dangle
+    if (!player.userId || !user || player.userId === user._id || player.userId === user.id) {
+      return null;
+    }
+    return player.userId;
+  }, [user]);
+
+  // Check if current user can edit a team's scores (admin, or a player on the team)
+  const canEditTeam = useCallback((teamIndex) => {
+    if (isFinalized) return false;
+    if (isAdmin()) return true;
+    if (!user) return false;
+    return players.some(
+      // eslint-disable-next-line no-underscore-dangle
+      (p) => p.team === teamIndex && (p.userId === user._id || p.userId === user.id),
+    );
+  }, [isFinalized, isAdmin, user, players]);
 
   useEffect(() => {
     if (!authLoading && !token) navigate('/login');
@@ -253,6 +765,35 @@ function Scorecard() {
     if (token) fetchRounds();
   }, [token, fetchRounds]);
 
+  useEffect(() => {
+    if (token && view === 'create') fetchCourses();
+  }, [token, view, fetchCourses]);
+
+  // The user's past scores on this course, shown on each hole card
+  const fetchCourseHistory = useCallback(async (round) => {
+    const params = new URLSearchParams({
+      courseName: round.courseName,
+      // eslint-disable-next-line no-underscore-dangle
+      excludeRoundId: round._id,
+    });
+    if (round.courseId) params.set('courseId', round.courseId);
+    try {
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/stats/courses/history?${params}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      setCourseHistory(response.ok ? data : null);
+    } catch (err) {
+      setCourseHistory(null);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token && selectedRound) fetchCourseHistory(selectedRound);
+    else setCourseHistory(null);
+  }, [token, selectedRound, fetchCourseHistory]);
+
   const handleCreateRound = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -265,7 +806,15 @@ function Scorecard() {
           Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
-          courseName, date, holes, players,
+          courseName,
+          courseId: courseId || undefined,
+          date,
+          holes,
+          players,
+          teams: TEAM_FORMATS.includes(format) ? teams : [],
+          format,
+          formatOptions,
+          games,
         }),
       });
       const data = await response.json();
@@ -286,36 +835,203 @@ function Scorecard() {
     }
   };
 
+  // Put the form state for an edit on top of a newer server round
+  const applyMergedRound = (merged, serverRound) => {
+    setSelectedRound(serverRound);
+    setCourseName(merged.courseName);
+    setDate(merged.date);
+    setFormat(merged.format);
+    setHoles(merged.holes);
+    setPlayers(merged.players);
+    setTeams(merged.teams);
+    setResults(serverRound.results || null);
+    setRoundStatus(serverRound.status || 'scheduled');
+    if (merged.formatOptions) setFormatOptions(merged.formatOptions);
+    if (merged.games) setGames(merged.games);
+    resetEdits();
+  };
+
+  // Reload the open round after missing live updates that can't be replayed,
+  // keeping unsaved form edits the server hasn't overwritten
+  const refreshRound = async () => {
+    if (!selectedRound) return;
+    try {
+      const response = await fetch(
+        // eslint-disable-next-line no-underscore-dangle
+        `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to reload round');
+      const { round: merged } = mergeRound(selectedRound, {
+        courseName, date, holes, players, teams, format,
+      }, data, 'server');
+      applyMergedRound(merged, data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  refreshRoundRef.current = refreshRound;
+
+  // Apply the fields another user's round update changed, keeping unsaved
+  // form edits to anything they didn't change
+  const applyRoundUpdate = ({ roundId, version, changes }) => {
+    // eslint-disable-next-line no-underscore-dangle
+    if (selectedRound?._id !== roundId) return;
+    const serverRound = { ...selectedRound, ...changes, version };
+    const { round: merged } = mergeRound(selectedRound, {
+      courseName, date, holes, players, teams, format,
+    }, serverRound, 'server');
+    // Slots no longer line up after holes or players are added or removed, so take the server's
+    ['holes', 'players', 'teams'].forEach((field) => {
+      if (changes[field]?.length && changes[field].length !== merged[field].length) {
+        merged[field] = changes[field].map((item) => (
+          item.scores ? { ...item, scores: [...item.scores] } : { ...item }
+        ));
+      }
+    });
+    applyMergedRound(merged, serverRound);
+    if (changes.formatOptions) setFormatOptions(getFormSettings(changes).formatOptions);
+    if (changes.games) setGames(getFormSettings(changes).games);
+  };
+  applyRoundUpdateRef.current = applyRoundUpdate;
+
+  const saveRound = (roundId, version, round) => fetch(
+    `${process.env.REACT_APP_API_URL}/api/rounds/${roundId}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        version,
+        ...round,
+        teams: TEAM_FORMATS.includes(round.format) ? round.teams : [],
+      }),
+    },
+  );
+
   const handleUpdateRound = async (e) => {
     e.preventDefault();
     setSaving(true);
+    setError('');
+    try {
+      // eslint-disable-next-line no-underscore-dangle
+      const roundId = selectedRound._id;
+      const edited = {
+        courseName, date, holes, players, teams, format, formatOptions, games,
+      };
+      let response = await saveRound(roundId, selectedRound.version ?? 0, edited);
+      let data = await response.json();
+
+      // Someone saved the round since it was opened: merge their changes in
+      // rather than overwriting them, asking only when both sides changed a value
+      if (response.status === 409 && data.data) {
+        const serverRound = data.data;
+        // Compare settings as the form holds them, so defaults don't count as changes
+        const base = { ...selectedRound, ...getFormSettings(selectedRound) };
+        const current = { ...serverRound, ...getFormSettings(serverRound) };
+        const { round: merged, conflicts } = mergeRound(base, edited, current);
+        const keepMine = conflicts.length === 0
+          // eslint-disable-next-line no-alert
+          || window.confirm(
+            `This round was changed while you were editing. ${conflicts.length} of your changes `
+            + `conflict (${conflicts.slice(0, 3).map((c) => c.label).join(', ')}`
+            + `${conflicts.length > 3 ? ', ...' : ''}).\n\nOK keeps your values, Cancel keeps theirs.`,
+          );
+        const resolved = keepMine
+          ? merged
+          : mergeRound(base, edited, current, 'server').round;
+        applyMergedRound(resolved, serverRound);
+        response = await saveRound(roundId, serverRound.version, resolved);
+        data = await response.json();
+      }
+
+      if (!response.ok) throw new Error(data.error || 'Failed to update round');
+      // eslint-disable-next-line no-underscore-dangle
+      setRounds(rounds.map((r) => (r._id === roundId ? data.data : r)));
+      resetForm();
+      setView('list');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Sign off another linked player's completed card as their marker
+  const handleAttest = async (playerIndex) => {
     setError('');
     try {
       // eslint-disable-next-line no-underscore-dangle
       const roundId = selectedRound._id;
       const response = await fetch(
-        `${process.env.REACT_APP_API_URL}/api/rounds/${roundId}`,
+        `${process.env.REACT_APP_API_URL}/api/rounds/${roundId}/attest`,
         {
-          method: 'PUT',
+          method: 'POST',
           headers: {
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`,
           },
-          body: JSON.stringify({
-            courseName, date, holes, players,
-          }),
+          body: JSON.stringify({ playerIndex }),
         },
       );
       const data = await response.json();
-      if (!response.ok) throw new Error(data.error || 'Failed to update round');
+      if (!response.ok) throw new Error(data.error || 'Failed to attest card');
+      setPlayers((prev) => prev.map((player, index) => (
+        index === playerIndex ? { ...player, attestation: data.data.attestation } : player
+      )));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Open the timeline drawer with the latest recorded changes
+  const handleOpenHistory = async () => {
+    setShowHistory(true);
+    setHistoryLoading(true);
+    try {
+      const response = await fetch(
+        // eslint-disable-next-line no-underscore-dangle
+        `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}/history`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch round history');
+      setHistoryEntries(data);
+    } catch (err) {
+      setShowHistory(false);
+      setError(err.message);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // Lock a completed round so no more scores can be entered (creator only)
+  const handleFinalizeRound = async () => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm('Finalize this round? Scores can no longer be changed afterwards.')) {
+      return;
+    }
+    setError('');
+    try {
+      // eslint-disable-next-line no-underscore-dangle
+      const roundId = selectedRound._id;
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/rounds/${roundId}/finalize`,
+        {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to finalize round');
+      setRoundStatus(data.data.status);
       // eslint-disable-next-line no-underscore-dangle
       setRounds(rounds.map((r) => (r._id === roundId ? data.data : r)));
-      resetForm();
-      setView('list');
     } catch (err) {
       setError(err.message);
-    } finally {
-      setSaving(false);
     }
   };
 
@@ -339,6 +1055,7 @@ function Scorecard() {
       // Remove from local state
       // eslint-disable-next-line no-underscore-dangle
       setRounds(rounds.filter((r) => r._id !== roundId));
+      removeCachedRound(userId, roundId).catch(() => {});
     } catch (err) {
       setError(err.message);
     }
@@ -348,73 +1065,224 @@ function Scorecard() {
     setSelectedRound(round);
     setCourseName(round.courseName);
     setDate(round.date.split('T')[0]);
-    setHoles(round.holes);
-    setPlayers(round.players);
+    // Copies, since edits mutate these in place and the loaded round is the merge base.
+    // Scores still queued on this device are newer than the round's.
+    // eslint-disable-next-line no-underscore-dangle
+    const queued = pendingWrites.filter((write) => write.roundId === round._id);
+    setHoles(round.holes.map((hole) => ({ ...hole })));
+    setPlayers(round.players.map((player, i) => ({
+      ...player,
+      scores: withQueuedScores(player.scores, queued, 'score', i),
+    })));
+    resetEdits();
+    setFormat(round.format || 'stroke');
+    const settings = getFormSettings(round);
+    setFormatOptions(settings.formatOptions);
+    setGames(settings.games);
+    setTeams(round.teams?.length
+      ? round.teams.map((team, teamIndex) => ({
+        ...team,
+        scores: withQueuedScores(
+          round.holes.map((_, i) => team.scores[i] || 0),
+          queued,
+          'team-score',
+          teamIndex,
+        ),
+      }))
+      : createTeams(round.holes.length));
+    setResults(round.results || null);
+    setRoundStatus(round.status || 'scheduled');
     setParsLocked(true);
     setView('edit');
   };
 
   const addPlayer = () => {
     if (players.length < 4) {
-      setPlayers([...players, { name: '', scores: Array(holes.length).fill(0) }]);
+      // In team formats, new players join the smaller team
+      const team = TEAM_FORMATS.includes(format)
+        ? Number(players.filter((p) => p.team === 0).length
+          > players.filter((p) => p.team === 1).length)
+        : null;
+      setPlayers([...players, { name: '', scores: Array(holes.length).fill(0), team }]);
+    }
+  };
+
+  // Switching to a team format splits players into two teams in order
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    if (TEAM_FORMATS.includes(value)) {
+      setPlayers(players.map((p, i) => ({
+        ...p,
+        team: p.team ?? Number(i >= Math.ceil(players.length / 2)),
+      })));
+    }
+  };
+
+  const updatePlayerTeam = (index, team) => {
+    const updated = [...players];
+    updated[index].team = team;
+    setPlayers(updated);
+  };
+
+  const updateTeamName = (teamIndex, name) => {
+    const updated = [...teams];
+    updated[teamIndex].name = name;
+    setTeams(updated);
+  };
+
+  const updateTeamScore = (teamIndex, holeIndex, score, track = true) => {
+    if (track) {
+      recordEdit({
+        type: 'team-score',
+        teamIndex,
+        holeIndex,
+        from: teams[teamIndex].scores[holeIndex] || 0,
+        to: parseInt(score, 10) || 0,
+      });
     }
+    const updated = [...teams];
+    updated[teamIndex].scores[holeIndex] = parseInt(score, 10) || 0;
+    setTeams(updated);
   };
 
+  // Team score on a hole: the recorded score, or the best ball (net from the server when set)
+  const getTeamHoleScore = (teamIndex, holeIndex) => {
+    if (TEAM_SCORE_FORMATS.includes(format)) return teams[teamIndex]?.scores[holeIndex] || null;
+    return results?.teams?.[teamIndex]?.scores?.[holeIndex]
+      ?? getBestBallScore(players, teamIndex, holeIndex);
+  };
+
+  const getTeamTotal = (teamIndex, start = 0, end = holes.length) => holes
+    .slice(start, end)
+    .reduce((sum, _, i) => sum + (getTeamHoleScore(teamIndex, start + i) || 0), 0);
+
   const removePlayer = (index) => {
     if (players.length > 1) {
       setPlayers(players.filter((_, i) => i !== index));
+      // Recorded edits refer to players by position, which has just shifted
+      resetEdits();
     }
   };
 
-  const updatePlayerName = (index, name) => {
+  const updatePlayerName = (index, name, track = true) => {
+    if (track) {
+      recordEdit({
+        type: 'player-name',
+        key: `player-name-${index}`,
+        coalesce: true,
+        playerIndex: index,
+        from: players[index].name,
+        to: name,
+      });
+    }
     const updated = [...players];
     updated[index].name = name;
     setPlayers(updated);
   };
 
-  const updatePlayerScore = (playerIndex, holeIndex, score) => {
+  const updatePlayerHandicap = (index, value) => {
+    const updated = [...players];
+    updated[index].courseHandicap = value === '' ? null : parseInt(value, 10);
+    setPlayers(updated);
+  };
+
+  const updatePlayerTee = (index, teeName) => {
+    const updated = [...players];
+    updated[index].teeName = teeName;
+    setPlayers(updated);
+  };
+
+  const updateGame = (game, changes) => {
+    setGames({ ...games, [game]: { ...games[game], ...changes } });
+  };
+
+  const updatePlayerScore = (playerIndex, holeIndex, score, track = true) => {
+    if (track) {
+      recordEdit({
+        type: 'score',
+        playerIndex,
+        holeIndex,
+        from: players[playerIndex].scores[holeIndex] || 0,
+        to: parseInt(score, 10) || 0,
+      });
+    }
     const updated = [...players];
     updated[playerIndex].scores[holeIndex] = parseInt(score, 10) || 0;
     setPlayers(updated);
   };
 
-  // Clear all scores for a specific player
-  const clearAllPlayerScores = async (playerIndex) => {
+  // Replace all of a player's scores as a single undo step. On a saved round
+  // every hole that changes is synced through the score queue
+  const setPlayerScores = async (playerIndex, scores, track = true) => {
+    const previous = [...players[playerIndex].scores];
+    if (track) {
+      if (scores.every((score, holeIndex) => score === (previous[holeIndex] || 0))) return;
+      recordEdit({
+        type: 'player-scores', playerIndex, from: previous, to: scores,
+      });
+    }
     const updated = [...players];
-    updated[playerIndex].scores = Array(18).fill(0);
+    updated[playerIndex].scores = [...scores];
     setPlayers(updated);
 
-    // If editing an existing round, sync each hole to server
     if (selectedRound) {
-      try {
-        // Clear all 18 holes for this player
-        await Promise.all(
-          Array.from({ length: 18 }, (_, holeIndex) => fetch(
-            // eslint-disable-next-line no-underscore-dangle
-            `${process.env.REACT_APP_API_URL}/api/rounds/${selectedRound._id}/score`,
-            {
-              method: 'PUT',
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${token}`,
-              },
-              body: JSON.stringify({ playerIndex, holeIndex, score: 0 }),
-            },
-          )),
-        );
-      } catch (err) {
-        // eslint-disable-next-line no-console
-        console.error('Failed to clear scores:', err);
-      }
+      await Promise.all(scores.map((score, holeIndex) => {
+        const expected = previous[holeIndex] || 0;
+        return score !== expected && submitScore({
+          // eslint-disable-next-line no-underscore-dangle
+          roundId: selectedRound._id,
+          type: 'score',
+          index: playerIndex,
+          holeIndex,
+          score,
+          expected,
+        });
+      }));
     }
   };
 
-  const updateHolePar = (index, par) => {
+  // Clear all scores for a specific player
+  const clearAllPlayerScores = (playerIndex) => setPlayerScores(
+    playerIndex,
+    holes.map(() => 0),
+  );
+
+  const updateHolePar = (index, par, track = true) => {
+    if (track) {
+      recordEdit({
+        type: 'par', holeIndex: index, from: holes[index].par, to: parseInt(par, 10) || 4,
+      });
+    }
     const updated = [...holes];
     updated[index].par = parseInt(par, 10) || 4;
     setHoles(updated);
   };
 
+  // Write an undone or redone value back; scores on a saved round go through the
+  // score endpoints so the server and other clients see the change
+  const applyEdit = (change, value) => {
+    switch (change.type) {
+      case 'score':
+        if (selectedRound) handleScoreUpdate(change.playerIndex, change.holeIndex, value, false);
+        else updatePlayerScore(change.playerIndex, change.holeIndex, value, false);
+        break;
+      case 'player-scores':
+        setPlayerScores(change.playerIndex, value, false);
+        break;
+      case 'team-score':
+        if (selectedRound) handleTeamScoreUpdate(change.teamIndex, change.holeIndex, value, false);
+        else updateTeamScore(change.teamIndex, change.holeIndex, value, false);
+        break;
+      case 'par':
+        updateHolePar(change.holeIndex, value, false);
+        break;
+      case 'player-name':
+        updatePlayerName(change.playerIndex, value, false);
+        break;
+      default:
+    }
+  };
+
   const calculateTotal = (scores) => scores.reduce((sum, s) => sum + s, 0);
   const calculateTotalPar = () => holes.reduce((sum, h) => sum + h.par, 0);
 
@@ -440,6 +1308,29 @@ function Scorecard() {
     return diff > 0 ? `+${diff}` : diff.toString();
   };
 
+  // Handicap strokes a player receives on each hole, as the server allocated them
+  const getPlayerStrokes = (playerIndex) => results?.players?.[playerIndex]?.strokes || [];
+
+  // Net score over holes played, and net relative to the par of those holes
+  const calculateNet = (playerIndex) => {
+    const result = results?.players?.[playerIndex];
+    if (!result?.holesPlayed) return { net: null, netDiff: '-' };
+    return { net: result.net, netDiff: formatToPar(result.net - result.parPlayed) };
+  };
+
+  // Stableford points for a player over a range of holes (null if not Stableford)
+  const getPlayerPoints = (playerIndex, startHole = 0, endHole = holes.length) => {
+    const points = format === 'stableford' ? results?.players?.[playerIndex]?.points : null;
+    if (!points) return null;
+    return points.slice(startHole, endHole).reduce((sum, p) => sum + (p || 0), 0);
+  };
+
+  // Stableford points a player scored on one hole (null if unscored or not Stableford)
+  const getHolePoints = (playerIndex, holeIndex) => {
+    if (format !== 'stableford') return null;
+    return results?.players?.[playerIndex]?.points?.[holeIndex] ?? null;
+  };
+
   const getDiffColor = (diff) => {
     if (diff === '-' || diff === 'E') return 'text-gray-300';
     if (diff.startsWith('+')) return 'text-red-400';
@@ -448,6 +1339,17 @@ function Scorecard() {
 
   const getRoundId = (round) => round._id; // eslint-disable-line no-underscore-dangle
 
+  // eslint-disable-next-line no-underscore-dangle
+  const selectedCourse = courses.find((c) => c._id === courseId);
+
+  // Yardage for a hole from the tee the player is playing (null if no tee)
+  const getPlayerYardage = (playerIndex, holeIndex) => {
+    const tee = players[playerIndex]?.tee;
+    const hole = holes[holeIndex];
+    if (!tee || !hole) return null;
+    return tee.holes?.find((h) => h.holeNumber === hole.holeNumber)?.yardage ?? null;
+  };
+
   // Get current user's player index
   const getCurrentUserPlayerIndex = useCallback(() => {
     if (!user) return 0;
@@ -459,6 +1361,20 @@ function Scorecard() {
     return index >= 0 ? index : 0;
   }, [user, players]);
 
+  // Team of the current user's player slot (first team if unassigned)
+  const getCurrentUserTeamIndex = () => players[getCurrentUserPlayerIndex()]?.team ?? 0;
+
+  // Nassau side of the current user, or null if they are not in the match
+  const getPressSide = () => {
+    if (!user || !results?.nassau) return null;
+    const index = players.findIndex(
+      // eslint-disable-next-line no-underscore-dangle
+      (p) => p.userId && (p.userId === user._id || p.userId === user.id),
+    );
+    const side = results.nassau.sides.findIndex((s) => s.includes(index));
+    return side >= 0 ? side : null;
+  };
+
   // Auto-save current hole's score if not entered (defaults to par)
   const autoSaveCurrentHoleIfNeeded = useCallback(() => {
     const playerIndex = getCurrentUserPlayerIndex();
@@ -513,10 +1429,70 @@ function Scorecard() {
 
   if (!user) return null;
 
+  // Team rows: editable team scores for scramble/alternate shot, best ball otherwise
+  const renderTeamRows = (holeSlice, startHole, endHole) => teams.map((team, teamIndex) => {
+    const editable = TEAM_SCORE_FORMATS.includes(format);
+    const canEdit = !selectedRound || canEditTeam(teamIndex);
+    const members = players
+      .filter((p) => p.team === teamIndex)
+      .map((p) => p.name)
+      .filter(Boolean)
+      .join(' & ');
+    const subtotal = getTeamTotal(teamIndex, startHole, endHole);
+    return (
+      <tr
+        key={`team-row-${teamIndex + 1}-${startHole}`}
+        className="border-b border-gray-100 bg-blue-50"
+      >
+        <td className="sticky left-0 bg-blue-50 z-10 px-3 py-2 text-sm font-semibold text-gray-900 max-w-[120px]">
+          <div className="truncate">{team.name || `Team ${teamIndex + 1}`}</div>
+          <div className="truncate text-xs font-normal text-gray-500">
+            {format === 'bestball' && results?.teams?.[teamIndex]?.useNet ? 'Net best ball' : members}
+          </div>
+        </td>
+        {holeSlice.map((hole, index) => {
+          const holeIndex = startHole + index;
+          const score = getTeamHoleScore(teamIndex, holeIndex);
+          return (
+            <td key={`team-score-${holeIndex}`} className="px-1 py-2">
+              {editable ? (
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="1"
+                  max="15"
+                  value={score || ''}
+                  disabled={!canEdit}
+                  onChange={(e) => {
+                    if (selectedRound) {
+                      handleTeamScoreUpdate(teamIndex, holeIndex, e.target.value);
+                    } else {
+                      updateTeamScore(teamIndex, holeIndex, e.target.value);
+                    }
+                  }}
+                  aria-label={`${team.name || `Team ${teamIndex + 1}`} hole ${holeIndex + 1} score`}
+                  className={`w-11 h-11 text-center text-sm font-medium border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all ${!canEdit ? 'bg-gray-100 cursor-not-allowed' : ''}`}
+                />
+              ) : (
+                <div className="w-11 h-11 flex items-center justify-center text-sm font-semibold text-gray-800">
+                  {score ?? '-'}
+                </div>
+              )}
+            </td>
+          );
+        })}
+        <td className="px-3 py-3 text-center text-sm font-bold text-gray-800 bg-gray-100">
+          {subtotal || '-'}
+        </td>
+      </tr>
+    );
+  });
+
   // Render scorecard section (Front 9 or Back 9)
   const renderNineHoles = (startHole, endHole, label, subtotalLabel) => {
     const holeSlice = holes.slice(startHole, endHole);
     const subtotalPar = startHole === 0 ? calculateFront9Par() : calculateBack9Par();
+    const showPoints = format === 'stableford' && results != null;
 
     return (
       <div className="mb-6">
@@ -542,6 +1518,11 @@ function Scorecard() {
                   <th className="px-3 py-3 text-center text-xs font-bold text-gray-800 uppercase bg-gray-100 min-w-[60px]">
                     {subtotalLabel}
                   </th>
+                  {showPoints && (
+                    <th className="px-3 py-3 text-center text-xs font-bold text-indigo-700 uppercase bg-indigo-50 min-w-[52px]">
+                      Pts
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody>
@@ -586,12 +1567,20 @@ function Scorecard() {
                   <td className="px-3 py-3 text-center text-sm font-bold text-gray-800 bg-gray-100">
                     {subtotalPar}
                   </td>
+                  {showPoints && (
+                    <td className="px-3 py-3 text-center text-sm text-indigo-300 bg-indigo-50">-</td>
+                  )}
                 </tr>
-                {players.map((player, playerIndex) => {
+                {!TEAM_SCORE_FORMATS.includes(format) && players.map((player, playerIndex) => {
                   const playerScores = player.scores.slice(startHole, endHole);
                   const subtotal = startHole === 0
                     ? calculateFront9(player.scores)
                     : calculateBack9(player.scores);
+                  const strokes = getPlayerStrokes(playerIndex);
+                  const subtotalStrokes = strokes.slice(startHole, endHole).reduce(
+                    (sum, st, i) => (playerScores[i] > 0 ? sum + st : sum),
+                    0,
+                  );
                   return (
                     <tr
                       // eslint-disable-next-line react/no-array-index-key
@@ -599,7 +1588,19 @@ function Scorecard() {
                       className="border-b border-gray-100 hover:bg-gray-50 transition-colors"
                     >
                       <td className="sticky left-0 bg-white z-10 px-3 py-2 text-sm font-medium text-gray-900 max-w-[120px]">
-                        <div className="truncate">{player.name || `Player ${playerIndex + 1}`}</div>
+                        <span className="flex items-center gap-1.5">
+                          <PlayerName
+                            name={player.name || `Player ${playerIndex + 1}`}
+                            userId={getHeadToHeadId(player)}
+                            className="block truncate"
+                          />
+                          {getLivePresence(player) && (
+                            <PresenceDot
+                              name={player.name || `Player ${playerIndex + 1}`}
+                              holeNumber={getLivePresence(player).holeNumber}
+                            />
+                          )}
+                        </span>
                         {/* Clear All button - only show for admin in edit mode on Front 9 */}
                         {startHole === 0 && isAdmin() && view === 'edit' && (
                           <button
@@ -622,8 +1623,19 @@ function Scorecard() {
                           scoreBg = 'bg-red-50 border-red-200';
                         }
                         const canEdit = !selectedRound || canEditPlayer(playerIndex);
+                        const holeStrokes = strokes[actualHoleIndex];
                         return (
-                          <td key={`score-${actualHoleIndex}`} className="px-1 py-2">
+                          <td key={`score-${actualHoleIndex}`} className="relative px-1 py-2">
+                            {holeStrokes > 0 && (
+                              <span
+                                className="pointer-events-none absolute right-1.5 top-2.5 flex gap-0.5"
+                                title={`Receives ${holeStrokes} stroke${holeStrokes > 1 ? 's' : ''}`}
+                              >
+                                {Array.from({ length: holeStrokes }, (_, i) => (
+                                  <span key={i} className="h-1.5 w-1.5 rounded-full bg-gray-800" />
+                                ))}
+                              </span>
+                            )}
                             <input
                               type="number"
                               inputMode="numeric"
@@ -646,10 +1658,23 @@ function Scorecard() {
                       })}
                       <td className="px-3 py-3 text-center text-sm font-bold text-gray-800 bg-gray-100">
                         {subtotal}
+                        {player.courseHandicap != null && subtotal > 0 && (
+                          <div className="text-xs font-medium text-gray-500">
+                            net
+                            {' '}
+                            {subtotal - subtotalStrokes}
+                          </div>
+                        )}
                       </td>
+                      {showPoints && (
+                        <td className="px-3 py-3 text-center text-sm font-bold text-indigo-700 bg-indigo-50">
+                          {getPlayerPoints(playerIndex, startHole, endHole) ?? '-'}
+                        </td>
+                      )}
                     </tr>
                   );
                 })}
+                {TEAM_FORMATS.includes(format) && renderTeamRows(holeSlice, startHole, endHole)}
               </tbody>
             </table>
           </div>
@@ -664,21 +1689,75 @@ function Scorecard() {
       <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-400 mb-4">
         Final Scores
       </h4>
+      {TEAM_FORMATS.includes(format) && (
+        <div className="space-y-3 mb-4">
+          {teams.map((team, teamIndex) => {
+            const total = getTeamTotal(teamIndex);
+            const parPlayed = holes.reduce(
+              (sum, hole, i) => sum + (getTeamHoleScore(teamIndex, i) ? hole.par : 0),
+              0,
+            );
+            const diff = total > 0 ? formatToPar(total - parPlayed) : '-';
+            return (
+              <div
+                key={`team-total-${teamIndex + 1}`}
+                className="flex items-center justify-between py-2 border-b border-gray-700"
+              >
+                <span className="font-semibold text-blue-200">
+                  {team.name || `Team ${teamIndex + 1}`}
+                </span>
+                <div className="flex items-center gap-4">
+                  <span className="text-2xl font-bold">{total || '-'}</span>
+                  <span className={`text-lg font-semibold ${getDiffColor(diff)}`}>{diff}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
       <div className="space-y-3">
-        {players.map((player, index) => {
+        {!TEAM_SCORE_FORMATS.includes(format) && players.map((player, index) => {
           const total = calculateTotal(player.scores);
           const diff = formatScoreDiff(player.scores);
           const diffColor = getDiffColor(diff);
+          const { net, netDiff } = calculateNet(index);
+          const showNet = player.courseHandicap != null;
+          const points = getPlayerPoints(index);
           return (
             <div
               // eslint-disable-next-line react/no-array-index-key
               key={`total-${index}`}
               className="flex items-center justify-between py-2 border-b border-gray-700 last:border-0"
             >
-              <span className="font-medium">{player.name || `Player ${index + 1}`}</span>
+              <span className="font-medium">
+                <PlayerName
+                  name={player.name || `Player ${index + 1}`}
+                  userId={getHeadToHeadId(player)}
+                />
+                {showNet && (
+                  <span className="ml-2 text-xs text-gray-400">
+                    (
+                    {player.courseHandicap}
+                    )
+                  </span>
+                )}
+              </span>
               <div className="flex items-center gap-4">
                 <span className="text-2xl font-bold">{total}</span>
                 <span className={`text-lg font-semibold ${diffColor}`}>{diff}</span>
+                {showNet && (
+                  <span className="flex items-baseline gap-2 border-l border-gray-700 pl-4">
+                    <span className="text-xs uppercase text-gray-400">Net</span>
+                    <span className="text-xl font-bold">{net ?? '-'}</span>
+                    <span className={`text-base font-semibold ${getDiffColor(netDiff)}`}>{netDiff}</span>
+                  </span>
+                )}
+                {points != null && (
+                  <span className="flex items-baseline gap-2 border-l border-gray-700 pl-4">
+                    <span className="text-xl font-bold text-indigo-300">{points}</span>
+                    <span className="text-xs uppercase text-gray-400">pts</span>
+                  </span>
+                )}
               </div>
             </div>
           );
@@ -701,6 +1780,24 @@ function Scorecard() {
         </div>
 
         {/* Error Alert */}
+        {achievementNotices.length > 0 && (
+          <div className="fixed bottom-4 right-4 z-50 space-y-2" aria-live="polite">
+            {achievementNotices.map((notice) => (
+              <div
+                key={notice.id}
+                className="flex items-center gap-3 rounded-xl bg-gray-900 px-4 py-3 text-white shadow-lg"
+              >
+                <TrophyIcon className="h-6 w-6 shrink-0 text-amber-400" />
+                <div className="text-sm">
+                  <span className="font-semibold">{notice.playerName}</span>
+                  {' unlocked '}
+                  <span className="font-semibold text-amber-300">{notice.name}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {error && (
           <div className="mb-6 rounded-xl bg-red-50 border border-red-200 p-4 flex items-start gap-3">
             <svg className="w-5 h-5 text-red-500 mt-0.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
@@ -710,6 +1807,16 @@ function Scorecard() {
           </div>
         )}
 
+        {offline && pendingWrites.length > 0 && (
+          <div className="mb-6 rounded-xl bg-amber-50 border border-amber-200 p-4 flex items-start gap-3">
+            <CloudArrowUpIcon className="w-5 h-5 text-amber-500 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-amber-800">
+              {`You're offline. ${pendingWrites.length} score${pendingWrites.length === 1 ? '' : 's'} `
+                + 'saved on this device will sync when you\'re back online.'}
+            </p>
+          </div>
+        )}
+
         {/* List View */}
         {view === 'list' && (
           <div>
@@ -738,7 +1845,31 @@ function Scorecard() {
               </div>
             </div>
 
-            {rounds.length === 0 ? (
+            {/* Status filter */}
+            <div className="mb-6 flex flex-wrap gap-2">
+              {[['', 'All'], ...Object.entries(ROUND_STATUS_LABELS)].map(([status, label]) => (
+                <button
+                  key={status || 'all'}
+                  type="button"
+                  onClick={() => setStatusFilter(status)}
+                  className={`rounded-full px-3 py-1.5 text-sm font-medium transition-colors ${
+                    statusFilter === status
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-white text-gray-600 ring-1 ring-inset ring-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {rounds.length === 0 && statusFilter && (
+              <p className="py-12 text-center text-sm text-gray-500">
+                {`No ${ROUND_STATUS_LABELS[statusFilter].toLowerCase()} rounds.`}
+              </p>
+            )}
+
+            {rounds.length === 0 && !statusFilter && (
               /* Empty State */
               <div className="bg-white rounded-lg shadow p-12 text-center">
                 <div className="inline-flex items-center justify-center w-20 h-20 rounded-full bg-gray-100 mb-6">
@@ -761,7 +1892,9 @@ function Scorecard() {
                   Create Your First Round
                 </button>
               </div>
-            ) : (
+            )}
+
+            {rounds.length > 0 && (
               /* Rounds List with RoundCard */
               <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
                 {rounds.map((round) => (
@@ -795,9 +1928,92 @@ function Scorecard() {
 
             {/* Round Info Card */}
             <div className="bg-white rounded-xl shadow-md p-6 mb-6">
-              <h2 className="text-xl font-bold text-gray-900 mb-6">
-                {view === 'create' ? 'New Round' : 'Edit Round'}
-              </h2>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <h2 className="flex items-center gap-3 text-xl font-bold text-gray-900">
+                  {view === 'create' ? 'New Round' : 'Edit Round'}
+                  {view === 'edit' && <RoundStatusBadge status={roundStatus} />}
+                </h2>
+                {view === 'edit' && (
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={handleOpenHistory}
+                      className="inline-flex items-center gap-1.5 rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-700 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+                    >
+                      <ClockIcon className="h-4 w-4 text-gray-400" />
+                      History
+                    </button>
+                    {isAdmin() && roundStatus === 'completed' && isFullyAttested && (
+                      <button
+                        type="button"
+                        onClick={handleFinalizeRound}
+                        className="inline-flex items-center rounded-md bg-indigo-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500"
+                      >
+                        Finalize Round
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+              {isFinalized && (
+                <p className="-mt-3 mb-6 text-sm text-gray-500">
+                  This round is finalized and can no longer be edited.
+                </p>
+              )}
+              {view === 'edit' && isAdmin() && roundStatus === 'completed' && !isFullyAttested && (
+                <p className="-mt-3 mb-6 text-sm text-gray-500">
+                  Every linked player&apos;s card must be attested before finalizing.
+                </p>
+              )}
+
+              {view === 'create' && (
+                <div className="mb-6">
+                  <label htmlFor="courseId" className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">Saved Course</span>
+                    <select
+                      id="courseId"
+                      value={courseId}
+                      onChange={(e) => handleSelectCourse(e.target.value)}
+                      className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                    >
+                      <option value="">Enter pars manually</option>
+                      {courses.map((course) => (
+                        // eslint-disable-next-line no-underscore-dangle
+                        <option key={course._id} value={course._id}>
+                          {course.name}
+                          {course.location ? ` (${course.location})` : ''}
+                          {` - ${course.holes.length} holes`}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {!courseId && (
+                    <div className="mt-3 flex flex-wrap items-center gap-4">
+                      <button
+                        type="button"
+                        onClick={handleSaveCourse}
+                        disabled={!courseName.trim()}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+                      >
+                        Save course to library
+                      </button>
+                      <label htmlFor="shareCourse" className="inline-flex items-center gap-2 text-sm text-gray-600">
+                        <input
+                          id="shareCourse"
+                          type="checkbox"
+                          checked={shareCourse}
+                          onChange={(e) => setShareCourse(e.target.checked)}
+                          className="h-4 w-4 rounded border-gray-300 text-blue-600"
+                        />
+                        Share with all players
+                      </label>
+                    </div>
+                  )}
+                  {courseMessage && (
+                    <p className="mt-2 text-sm text-green-700">{courseMessage}</p>
+                  )}
+                </div>
+              )}
 
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-8">
                 <label htmlFor="courseName" className="block">
@@ -825,6 +2041,226 @@ function Scorecard() {
                 </label>
               </div>
 
+              {/* Format Section */}
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-8">
+                <label htmlFor="format" className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-2">Format</span>
+                  <select
+                    id="format"
+                    value={format}
+                    onChange={(e) => handleFormatChange(e.target.value)}
+                    disabled={!canEditRound}
+                    className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                  >
+                    <option value="stroke">Stroke Play</option>
+                    <option value="stableford">Stableford</option>
+                    <option value="match">Match Play</option>
+                    <option value="bestball">Four-Ball (Best Ball)</option>
+                    <option value="scramble">Scramble</option>
+                    <option value="alternate">Alternate Shot</option>
+                  </select>
+                  {format === 'match' && (
+                    <span className="mt-1 block text-xs text-gray-500">
+                      {players.length === 4
+                        ? 'Players 1 & 2 vs players 3 & 4, best ball'
+                        : 'Singles: needs exactly 2 players (or 4 for 2 vs 2)'}
+                    </span>
+                  )}
+                </label>
+                {format === 'stableford' && (
+                  <label htmlFor="stablefordTable" className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">Points Table</span>
+                    <select
+                      id="stablefordTable"
+                      value={formatOptions.stablefordTable}
+                      onChange={(e) => setFormatOptions({
+                        ...formatOptions, stablefordTable: e.target.value,
+                      })}
+                      disabled={!canEditRound}
+                      className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                    >
+                      <option value="standard">Standard</option>
+                      <option value="modified">Modified</option>
+                    </select>
+                  </label>
+                )}
+                {(format === 'stableford' || format === 'match' || format === 'bestball') && (
+                  <label htmlFor="useNet" className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">
+                      {format === 'match' ? 'Handicap Strokes' : 'Scoring'}
+                    </span>
+                    <select
+                      id="useNet"
+                      value={formatOptions.useNet ? 'net' : 'gross'}
+                      onChange={(e) => setFormatOptions({
+                        ...formatOptions, useNet: e.target.value === 'net',
+                      })}
+                      disabled={!canEditRound}
+                      className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                    >
+                      <option value="gross">{format === 'match' ? 'Off (gross)' : 'Gross'}</option>
+                      <option value="net">{format === 'match' ? 'On (net)' : 'Net'}</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              {/* Teams Section */}
+              {TEAM_FORMATS.includes(format) && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-8">
+                  {teams.map((team, teamIndex) => (
+                    <label key={`team-${teamIndex + 1}`} htmlFor={`team-${teamIndex}`} className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">
+                        {`Team ${teamIndex + 1} Name`}
+                      </span>
+                      <input
+                        id={`team-${teamIndex}`}
+                        type="text"
+                        value={team.name}
+                        onChange={(e) => updateTeamName(teamIndex, e.target.value)}
+                        required
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {/* Side Games Section */}
+              <div className="mb-8">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Side Games</span>
+                <label htmlFor="skinsEnabled" className="inline-flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    id="skinsEnabled"
+                    type="checkbox"
+                    checked={games.skins.enabled}
+                    onChange={(e) => updateGame('skins', { enabled: e.target.checked })}
+                    disabled={!canEditRound}
+                    className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  Skins
+                </label>
+                {games.skins.enabled && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mt-4">
+                    <label htmlFor="skinsValue" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Value per Skin ($)</span>
+                      <input
+                        id="skinsValue"
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={games.skins.value}
+                        onChange={(e) => updateGame('skins', { value: Number(e.target.value) || 0 })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      />
+                    </label>
+                    <label htmlFor="skinsScoring" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Scoring</span>
+                      <select
+                        id="skinsScoring"
+                        value={games.skins.useNet ? 'net' : 'gross'}
+                        onChange={(e) => updateGame('skins', { useNet: e.target.value === 'net' })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      >
+                        <option value="gross">Gross</option>
+                        <option value="net">Net</option>
+                      </select>
+                    </label>
+                    <label htmlFor="skinsCarryover" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Ties</span>
+                      <select
+                        id="skinsCarryover"
+                        value={games.skins.carryover ? 'carry' : 'void'}
+                        onChange={(e) => updateGame('skins', { carryover: e.target.value === 'carry' })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      >
+                        <option value="carry">Carry over</option>
+                        <option value="void">No skin</option>
+                      </select>
+                    </label>
+                  </div>
+                )}
+                <label htmlFor="nassauEnabled" className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    id="nassauEnabled"
+                    type="checkbox"
+                    checked={games.nassau.enabled}
+                    onChange={(e) => updateGame('nassau', { enabled: e.target.checked })}
+                    disabled={!canEditRound}
+                    className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  Nassau
+                  <span className="text-xs text-gray-500">
+                    {players.length === 4
+                      ? '(players 1 & 2 vs players 3 & 4, best ball)'
+                      : '(needs 2 players, or 4 for 2 vs 2)'}
+                  </span>
+                </label>
+                {games.nassau.enabled && (
+                  <div className="grid grid-cols-1 sm:grid-cols-4 gap-6 mt-4">
+                    <label htmlFor="nassauValue" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Value per Bet ($)</span>
+                      <input
+                        id="nassauValue"
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={games.nassau.value}
+                        onChange={(e) => updateGame('nassau', { value: Number(e.target.value) || 0 })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      />
+                    </label>
+                    <label htmlFor="nassauScoring" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Scoring</span>
+                      <select
+                        id="nassauScoring"
+                        value={games.nassau.useNet ? 'net' : 'gross'}
+                        onChange={(e) => updateGame('nassau', { useNet: e.target.value === 'net' })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      >
+                        <option value="gross">Gross</option>
+                        <option value="net">Net</option>
+                      </select>
+                    </label>
+                    <label htmlFor="nassauPressMode" className="block">
+                      <span className="block text-sm font-medium text-gray-700 mb-2">Presses</span>
+                      <select
+                        id="nassauPressMode"
+                        value={games.nassau.pressMode}
+                        onChange={(e) => updateGame('nassau', { pressMode: e.target.value })}
+                        disabled={!canEditRound}
+                        className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                      >
+                        <option value="auto">Automatic</option>
+                        <option value="manual">Manual</option>
+                        <option value="none">None</option>
+                      </select>
+                    </label>
+                    {games.nassau.pressMode === 'auto' && (
+                      <label htmlFor="nassauPressAt" className="block">
+                        <span className="block text-sm font-medium text-gray-700 mb-2">Press When Down</span>
+                        <input
+                          id="nassauPressAt"
+                          type="number"
+                          min="1"
+                          max="8"
+                          value={games.nassau.pressAt}
+                          onChange={(e) => updateGame('nassau', { pressAt: parseInt(e.target.value, 10) || 2 })}
+                          disabled={!canEditRound}
+                          className="w-full h-12 px-4 text-base border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+
               {/* Players Section */}
               <div>
                 <div className="flex items-center justify-between mb-4">
@@ -858,10 +2294,59 @@ function Scorecard() {
                         value={player.name}
                         onChange={(e) => updatePlayerName(index, e.target.value)}
                         required
-                        disabled={view === 'edit' && !isAdmin()}
+                        disabled={!canEditRound}
                         aria-label={`Player ${index + 1} name`}
-                        className={`flex-1 h-11 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all ${view === 'edit' && !isAdmin() ? 'bg-gray-100 cursor-not-allowed' : ''}`}
+                        className={`flex-1 h-11 px-4 text-base border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all ${!canEditRound ? 'bg-gray-100 cursor-not-allowed' : ''}`}
+                      />
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min="-10"
+                        max="54"
+                        placeholder="HCP"
+                        value={player.courseHandicap ?? ''}
+                        onChange={(e) => updatePlayerHandicap(index, e.target.value)}
+                        disabled={!canEditRound}
+                        title="Course handicap"
+                        aria-label={`Player ${index + 1} course handicap`}
+                        className={`flex-shrink-0 w-20 h-11 px-3 text-base text-center border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all ${!canEditRound ? 'bg-gray-100 cursor-not-allowed' : ''}`}
                       />
+                      {TEAM_FORMATS.includes(format) && (
+                        <select
+                          value={player.team ?? ''}
+                          onChange={(e) => updatePlayerTeam(index, Number(e.target.value))}
+                          disabled={!canEditRound}
+                          aria-label={`Player ${index + 1} team`}
+                          className="flex-shrink-0 h-11 px-3 text-sm border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                        >
+                          {teams.map((team, teamIndex) => (
+                            <option key={`team-option-${teamIndex + 1}`} value={teamIndex}>
+                              {team.name || `Team ${teamIndex + 1}`}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {view === 'create' && selectedCourse?.teeSets?.length > 0 && (
+                        <select
+                          value={player.teeName || ''}
+                          onChange={(e) => updatePlayerTee(index, e.target.value)}
+                          aria-label={`Player ${index + 1} tees`}
+                          className="flex-shrink-0 h-11 px-3 text-sm border-2 border-gray-200 rounded-lg bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all"
+                        >
+                          <option value="">No tees</option>
+                          {selectedCourse.teeSets.map((tee) => (
+                            <option key={tee.name} value={tee.name}>
+                              {tee.name}
+                              {tee.courseRating && tee.slope ? ` (${tee.courseRating}/${tee.slope})` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {view === 'edit' && player.tee && (
+                        <span className="flex-shrink-0 rounded-full bg-gray-200 px-2.5 py-1 text-xs font-medium text-gray-700">
+                          {player.tee.name}
+                        </span>
+                      )}
                       {players.length > 1 && (view === 'create' || isAdmin()) && (
                         <button
                           type="button"
@@ -883,7 +2368,33 @@ function Scorecard() {
             {/* Scorecard Card */}
             <div className="bg-white rounded-xl shadow-md p-6 mb-6">
               <div className="flex items-center justify-between mb-6">
-                <h3 className="text-xl font-bold text-gray-900">Scorecard</h3>
+                <div className="flex items-center gap-3">
+                  <h3 className="text-xl font-bold text-gray-900">Scorecard</h3>
+                  {!isFinalized && (
+                    <div className="flex rounded-lg bg-gray-100 p-1">
+                      <button
+                        type="button"
+                        onClick={() => undo(applyEdit)}
+                        disabled={!canUndo}
+                        title="Undo"
+                        className="rounded-md p-1.5 text-gray-600 hover:bg-white hover:text-gray-900 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      >
+                        <span className="sr-only">Undo</span>
+                        <ArrowUturnLeftIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => redo(applyEdit)}
+                        disabled={!canRedo}
+                        title="Redo"
+                        className="rounded-md p-1.5 text-gray-600 hover:bg-white hover:text-gray-900 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      >
+                        <span className="sr-only">Redo</span>
+                        <ArrowUturnRightIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
                 {/* View mode toggle - only show when pars are locked and in edit mode */}
                 {parsLocked && view === 'edit' && (
                   <div className="flex rounded-lg bg-gray-100 p-1">
@@ -953,30 +2464,91 @@ function Scorecard() {
               {/* Hole-by-hole view for mobile score entry */}
               {parsLocked && view === 'edit' && entryMode === 'holes' && (
                 <div className="bg-gray-50 rounded-xl -mx-6 -mb-6 px-2 py-4">
-                  <HoleCard
-                    holeNumber={holes[currentHoleIndex].holeNumber}
-                    par={holes[currentHoleIndex].par}
-                    currentUserName={players[getCurrentUserPlayerIndex()]?.name}
-                    currentUserScore={
-                      players[getCurrentUserPlayerIndex()]?.scores[currentHoleIndex]
-                    }
-                    otherPlayers={players
-                      .map((p, i) => ({
-                        name: p.name,
-                        score: p.scores[currentHoleIndex],
-                        index: i,
-                      }))
-                      .filter((_, i) => i !== getCurrentUserPlayerIndex())}
-                    onScoreChange={(score) => {
-                      const playerIndex = getCurrentUserPlayerIndex();
-                      if (selectedRound) {
-                        handleScoreUpdate(playerIndex, currentHoleIndex, score);
-                      } else {
-                        updatePlayerScore(playerIndex, currentHoleIndex, score);
+                  {TEAM_SCORE_FORMATS.includes(format) ? (
+                    <HoleCard
+                      holeNumber={holes[currentHoleIndex].holeNumber}
+                      par={holes[currentHoleIndex].par}
+                      yardage={getPlayerYardage(getCurrentUserPlayerIndex(), currentHoleIndex)}
+                      currentUserName={teams[getCurrentUserTeamIndex()]?.name}
+                      currentUserScore={teams[getCurrentUserTeamIndex()]?.scores[currentHoleIndex]}
+                      currentUserPending={
+                        isPendingScore('team-score', getCurrentUserTeamIndex(), currentHoleIndex)
                       }
-                    }}
-                    canEdit={canEditPlayer(getCurrentUserPlayerIndex())}
-                  />
+                      otherPlayers={teams
+                        .map((team, i) => ({
+                          name: team.name,
+                          score: team.scores[currentHoleIndex],
+                          pending: isPendingScore('team-score', i, currentHoleIndex),
+                          live: players
+                            .filter((p) => p.team === i)
+                            .map(getLivePresence)
+                            .find(Boolean),
+                          index: i,
+                        }))
+                        .filter((_, i) => i !== getCurrentUserTeamIndex())}
+                      onScoreChange={(score) => {
+                        const teamIndex = getCurrentUserTeamIndex();
+                        if (selectedRound) {
+                          handleTeamScoreUpdate(teamIndex, currentHoleIndex, score);
+                        } else {
+                          updateTeamScore(teamIndex, currentHoleIndex, score);
+                        }
+                      }}
+                      canEdit={canEditTeam(getCurrentUserTeamIndex())}
+                    />
+                  ) : (
+                    <HoleCard
+                      holeNumber={holes[currentHoleIndex].holeNumber}
+                      par={holes[currentHoleIndex].par}
+                      yardage={getPlayerYardage(getCurrentUserPlayerIndex(), currentHoleIndex)}
+                      currentUserName={players[getCurrentUserPlayerIndex()]?.name}
+                      currentUserScore={
+                        players[getCurrentUserPlayerIndex()]?.scores[currentHoleIndex]
+                      }
+                      currentUserStrokes={
+                        getPlayerStrokes(getCurrentUserPlayerIndex())[currentHoleIndex]
+                      }
+                      currentUserPoints={
+                        getHolePoints(getCurrentUserPlayerIndex(), currentHoleIndex)
+                      }
+                      currentUserStats={getHoleStats(getCurrentUserPlayerIndex(), currentHoleIndex)}
+                      currentUserPending={
+                        isPendingScore('score', getCurrentUserPlayerIndex(), currentHoleIndex)
+                      }
+                      history={courseHistory?.holes.find(
+                        (h) => h.holeNumber === holes[currentHoleIndex].holeNumber,
+                      )}
+                      matchHoleResult={format === 'match'
+                        ? formatMatchHole(results?.match, currentHoleIndex)
+                        : null}
+                      matchStatus={format === 'match' ? formatMatchStatus(results?.match) : ''}
+                      otherPlayers={players
+                        .map((p, i) => ({
+                          name: p.name,
+                          score: p.scores[currentHoleIndex],
+                          strokes: getPlayerStrokes(i)[currentHoleIndex],
+                          points: getHolePoints(i, currentHoleIndex),
+                          live: getLivePresence(p),
+                          pending: isPendingScore('score', i, currentHoleIndex),
+                          index: i,
+                        }))
+                        .filter((_, i) => i !== getCurrentUserPlayerIndex())}
+                      onScoreChange={(score) => {
+                        const playerIndex = getCurrentUserPlayerIndex();
+                        if (selectedRound) {
+                          handleScoreUpdate(playerIndex, currentHoleIndex, score);
+                        } else {
+                          updatePlayerScore(playerIndex, currentHoleIndex, score);
+                        }
+                      }}
+                      onStatsChange={(changes) => handleStatsUpdate(
+                        getCurrentUserPlayerIndex(),
+                        currentHoleIndex,
+                        changes,
+                      )}
+                      canEdit={canEditPlayer(getCurrentUserPlayerIndex())}
+                    />
+                  )}
                   <HoleStepper
                     currentHole={currentHoleIndex + 1}
                     totalHoles={holes.length}
@@ -984,6 +2556,21 @@ function Scorecard() {
                     onNext={goToNextHole}
                     onJumpToHole={jumpToHole}
                   />
+                  {(results?.skins || results?.nassau) && (
+                    <div className="px-4">
+                      {results?.skins && (
+                        <SkinsSummary skins={results.skins} players={players} holes={holes} />
+                      )}
+                      {results?.nassau && (
+                        <NassauLedger
+                          nassau={results.nassau}
+                          players={players}
+                          pressSide={isFinalized ? null : getPressSide()}
+                          onPress={handlePress}
+                        />
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -991,14 +2578,36 @@ function Scorecard() {
               {(!parsLocked || view === 'create' || entryMode === 'table') && (
                 <>
                   {renderNineHoles(0, 9, 'Front 9', 'OUT')}
-                  {renderNineHoles(9, 18, 'Back 9', 'IN')}
+                  {holes.length > 9 && renderNineHoles(9, 18, 'Back 9', 'IN')}
                   {renderTotalsSummary()}
+                  {results?.skins && (
+                    <SkinsSummary skins={results.skins} players={players} holes={holes} />
+                  )}
+                  {results?.nassau && (
+                    <NassauLedger
+                      nassau={results.nassau}
+                      players={players}
+                      pressSide={getPressSide()}
+                      onPress={handlePress}
+                    />
+                  )}
                 </>
               )}
             </div>
 
+            {/* Attestation - once every card is complete */}
+            {view === 'edit' && ['completed', 'finalized'].includes(roundStatus) && (
+              <AttestationPanel
+                players={players}
+                // eslint-disable-next-line no-underscore-dangle
+                currentUserId={user?._id || user?.id}
+                onAttest={handleAttest}
+                disabled={isFinalized}
+              />
+            )}
+
             {/* Action Buttons - only show Save/Cancel for creator or new rounds */}
-            {(view === 'create' || isAdmin()) ? (
+            {canEditRound ? (
               <div className="flex flex-col sm:flex-row gap-4">
                 <button
                   type="submit"
@@ -1044,6 +2653,16 @@ function Scorecard() {
           </form>
         )}
 
+        {/* Round History Drawer */}
+        <HistoryDrawer
+          open={showHistory}
+          onClose={() => setShowHistory(false)}
+          entries={historyEntries}
+          players={players}
+          teams={teams}
+          loading={historyLoading}
+        />
+
         {/* Share Modal */}
         {showShareModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
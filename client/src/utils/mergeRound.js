@@ -0,0 +1,119 @@
+/**
+ * Three-way merge of a round edit with changes saved by others meanwhile.
+ * `base` is the round as loaded into the edit form, `local` the form state
+ * and `server` the current round from a 409 response.
+ */
+
+const dateOnly = (value) => (value ? value.split('T')[0] : value);
+
+/**
+ * Merge one value: whichever side changed it wins, and a value both sides
+ * changed differently is a conflict resolved by `prefer`
+ */
+function mergeValue(baseValue, localValue, serverValue, label, conflicts, prefer) {
+  if (localValue === baseValue) return serverValue;
+  if (serverValue === baseValue || serverValue === localValue) return localValue;
+  conflicts.push({ label, local: localValue, server: serverValue });
+  return prefer === 'server' ? serverValue : localValue;
+}
+
+/**
+ * Merge hole-by-hole scores with `merge`, treating missing scores as not entered
+ */
+function mergeScores(base, local, server, label, merge) {
+  return local.map((score, i) => merge(
+    base?.[i] || 0,
+    score || 0,
+    server?.[i] || 0,
+    `${label}, hole ${i + 1}`,
+  ));
+}
+
+/**
+ * Merge a settings object (format options, or one side game's) key by key
+ */
+function mergeSettings(base, local, server, label, merge) {
+  return Object.fromEntries(Object.entries(local).map(([key, value]) => [
+    key,
+    merge(base?.[key], value, server?.[key], `${label} ${key}`),
+  ]));
+}
+
+/**
+ * Returns `{ round, conflicts }`: the merged course name, date, format, pars,
+ * players and teams (plus format options and side games when `local` has
+ * them), and the values both sides changed. Player links and
+ * attestations always come from the server, which is the only place they change.
+ */
+export default function mergeRound(base, local, server, prefer = 'local') {
+  const conflicts = [];
+  const merge = (b, l, s, label) => mergeValue(b, l, s, label, conflicts, prefer);
+
+  const holes = local.holes.map((hole, i) => ({
+    ...hole,
+    par: merge(base.holes[i]?.par, hole.par, server.holes[i]?.par, `Hole ${i + 1} par`),
+  }));
+
+  const players = local.players.map((player, i) => {
+    const basePlayer = base.players[i];
+    const serverPlayer = server.players[i];
+    // Players added in this edit have nothing to merge with
+    if (!basePlayer || !serverPlayer) return player;
+
+    const label = player.name || `Player ${i + 1}`;
+    return {
+      ...player,
+      userId: serverPlayer.userId,
+      attestation: serverPlayer.attestation,
+      stats: serverPlayer.stats,
+      name: merge(basePlayer.name, player.name, serverPlayer.name, `Player ${i + 1} name`),
+      courseHandicap: merge(
+        basePlayer.courseHandicap ?? null,
+        player.courseHandicap ?? null,
+        serverPlayer.courseHandicap ?? null,
+        `${label} handicap`,
+      ),
+      scores: mergeScores(basePlayer.scores, player.scores, serverPlayer.scores, label, merge),
+    };
+  });
+
+  const teams = local.teams.map((team, i) => {
+    const baseTeam = base.teams?.[i];
+    const serverTeam = server.teams?.[i];
+    if (!baseTeam || !serverTeam) return team;
+
+    const label = team.name || `Team ${i + 1}`;
+    return {
+      ...team,
+      name: merge(baseTeam.name, team.name, serverTeam.name, `Team ${i + 1} name`),
+      scores: mergeScores(baseTeam.scores, team.scores, serverTeam.scores, label, merge),
+    };
+  });
+
+  return {
+    round: {
+      courseName: merge(base.courseName, local.courseName, server.courseName, 'Course name'),
+      date: merge(dateOnly(base.date), dateOnly(local.date), dateOnly(server.date), 'Date'),
+      format: merge(base.format || 'stroke', local.format, server.format || 'stroke', 'Format'),
+      holes,
+      players,
+      teams,
+      ...(local.formatOptions && {
+        formatOptions: mergeSettings(
+          base.formatOptions,
+          local.formatOptions,
+          server.formatOptions,
+          'Format option',
+          merge,
+        ),
+      }),
+      ...(local.games && {
+        games: Object.fromEntries(Object.entries(local.games).map(([game, settings]) => [
+          game,
+          mergeSettings(base.games?.[game], settings, server.games?.[game], `${game} game`, merge),
+        ])),
+      }),
+    },
+    conflicts,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * IndexedDB storage for playing without signal: the rounds last loaded, so
+ * they can be opened offline, and score writes waiting to be sent, in order.
+ * The device may be shared, so every entry belongs to the user who made it
+ * and is only ever read back for them.
+ */
+
+const DB_NAME = 'golf-scorecard';
+const DB_VERSION = 2;
+const ROUNDS = 'rounds';
+const PENDING = 'pendingWrites';
+
+let dbPromise = null;
+
+// Resolve an IndexedDB request (or a transaction, on completion)
+const settle = (request) => new Promise((resolve, reject) => {
+  if (request instanceof IDBTransaction) {
+    request.addEventListener('complete', () => resolve());
+    request.addEventListener('abort', () => reject(request.error));
+  } else {
+    request.addEventListener('success', () => resolve(request.result));
+  }
+  request.addEventListener('error', () => reject(request.error));
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => {
+      const db = request.result;
+      // Version 1 stores had no owner, so nothing in them can be trusted to a user
+      [ROUNDS, PENDING].forEach((name) => {
+        if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+      });
+      db.createObjectStore(ROUNDS, { keyPath: ['userId', 'roundId'] })
+        .createIndex('userId', 'userId');
+      db.createObjectStore(PENDING, { keyPath: 'id', autoIncrement: true })
+        .createIndex('userId', 'userId');
+    });
+    dbPromise = settle(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work` against one store and resolve once its transaction commits
+const withStore = async (name, mode, work) => {
+  const db = await openDb();
+  const transaction = db.transaction(name, mode);
+  const result = work(transaction.objectStore(name));
+  await settle(transaction);
+  return result instanceof IDBRequest ? result.result : result;
+};
+
+/**
+ * Whether this browser can store anything offline
+ */
+export function isOfflineStoreAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Save a user's rounds for offline use, replacing older copies of the same rounds
+ */
+export function cacheRounds(userId, rounds) {
+  return withStore(ROUNDS, 'readwrite', (store) => {
+    rounds.forEach((round) => {
+      // eslint-disable-next-line no-underscore-dangle
+      store.put({ userId, roundId: round._id, round });
+    });
+  });
+}
+
+/**
+ * Every round saved for a user's offline use
+ */
+export async function getCachedRounds(userId) {
+  const entries = await withStore(
+    ROUNDS,
+    'readonly',
+    (store) => store.index('userId').getAll(userId),
+  );
+  return entries.map((entry) => entry.round);
+}
+
+/**
+ * Forget a user's copy of a round, e.g. once it has been deleted
+ */
+export function removeCachedRound(userId, roundId) {
+  return withStore(ROUNDS, 'readwrite', (store) => store.delete([userId, roundId]));
+}
+
+/**
+ * Queue a score write for a user; resolves with the write including its queue id
+ */
+export async function queueWrite(userId, write) {
+  const id = await withStore(PENDING, 'readwrite', (store) => store.add({ ...write, userId }));
+  return { ...write, userId, id };
+}
+
+/**
+ * Replace a queued write, e.g. with a newer score for the same hole
+ */
+export function updateQueuedWrite(write) {
+  return withStore(PENDING, 'readwrite', (store) => store.put(write));
+}
+
+/**
+ * Every queued write on this device, whoever made it, in the order they were made
+ */
+export function getQueuedWrites() {
+  return withStore(PENDING, 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Drop writes once they have been sent (or refused, or abandoned)
+ */
+export function removeQueuedWrites(ids) {
+  return withStore(PENDING, 'readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
+
+/**
+ * Remove everything stored offline, for when the user signs out
+ */
+export async function clearOfflineStore() {
+  const db = await openDb();
+  const transaction = db.transaction([ROUNDS, PENDING], 'readwrite');
+  [ROUNDS, PENDING].forEach((name) => transaction.objectStore(name).clear());
+  await settle(transaction);
+}
@@ -0,0 +1,73 @@
+import 'fake-indexeddb/auto';
+import { serialize, deserialize } from 'v8';
+import {
+  cacheRounds,
+  getCachedRounds,
+  removeCachedRound,
+  queueWrite,
+  updateQueuedWrite,
+  getQueuedWrites,
+  removeQueuedWrites,
+  clearOfflineStore,
+} from './offlineStore';
+
+// jsdom has no structuredClone, which fake-indexeddb uses to store values
+global.structuredClone ??= (value) => deserialize(serialize(value));
+
+const write = (holeIndex, score) => ({
+  roundId: 'r1', type: 'score', index: 0, holeIndex, score, expected: 0,
+});
+
+beforeEach(() => clearOfflineStore());
+
+describe('offlineStore', () => {
+  describe('cached rounds', () => {
+    it('should only give a user back their own rounds', async () => {
+      await cacheRounds('u1', [{ _id: 'r1', courseName: 'Pine Valley' }]);
+      await cacheRounds('u2', [{ _id: 'r2', courseName: 'Augusta' }]);
+
+      expect(await getCachedRounds('u1')).toEqual([{ _id: 'r1', courseName: 'Pine Valley' }]);
+      expect(await getCachedRounds('u2')).toEqual([{ _id: 'r2', courseName: 'Augusta' }]);
+    });
+
+    it('should replace an older copy of a round and forget a removed one', async () => {
+      await cacheRounds('u1', [{ _id: 'r1', courseName: 'Old' }, { _id: 'r2' }]);
+      await cacheRounds('u1', [{ _id: 'r1', courseName: 'New' }]);
+      await removeCachedRound('u1', 'r2');
+
+      expect(await getCachedRounds('u1')).toEqual([{ _id: 'r1', courseName: 'New' }]);
+    });
+  });
+
+  describe('queued writes', () => {
+    it('should keep writes in the order they were made, with their owner', async () => {
+      const first = await queueWrite('u1', write(0, 4));
+      const second = await queueWrite('u2', write(1, 5));
+      const third = await queueWrite('u1', write(2, 3));
+
+      expect(await getQueuedWrites()).toEqual([first, second, third]);
+      expect(first).toEqual({ ...write(0, 4), userId: 'u1', id: expect.any(Number) });
+      expect(second.userId).toBe('u2');
+    });
+
+    it('should update a write in place and remove sent ones', async () => {
+      const first = await queueWrite('u1', write(0, 4));
+      const second = await queueWrite('u1', write(1, 5));
+
+      await updateQueuedWrite({ ...first, score: 6 });
+      await removeQueuedWrites([second.id]);
+
+      expect(await getQueuedWrites()).toEqual([{ ...first, score: 6 }]);
+    });
+  });
+
+  it('should remove everything on clear', async () => {
+    await cacheRounds('u1', [{ _id: 'r1' }]);
+    await queueWrite('u1', write(0, 4));
+
+    await clearOfflineStore();
+
+    expect(await getCachedRounds('u1')).toEqual([]);
+    expect(await getQueuedWrites()).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Scoring helpers shared by the scorecard views.
+ * Handicap strokes and net totals come from the server's round results.
+ */
+
+/**
+ * Par of the holes that have a score
+ */
+export function calculatePlayedPar(scores, holes) {
+  return scores.reduce((sum, s, i) => (s > 0 && holes[i] ? sum + holes[i].par : sum), 0);
+}
+
+/**
+ * Format a score relative to par: "E", "+3", "-2"
+ */
+export function formatToPar(diff) {
+  if (diff == null) return '-';
+  if (diff === 0) return 'E';
+  return diff > 0 ? `+${diff}` : `${diff}`;
+}
+
+/**
+ * One-line match play summary, e.g. "Alice 2 UP thru 12" or "Alice & Bob win 3&2"
+ */
+export function formatMatchStatus(match) {
+  if (!match) return '';
+  if (match.thru === 0) return 'Match not started';
+  if (match.leader == null) {
+    return match.concluded ? 'Match halved' : `AS thru ${match.thru}`;
+  }
+  const leaderName = match.sideNames[match.leader];
+  if (match.concluded) return `${leaderName} win${match.sides[match.leader].length > 1 ? '' : 's'} ${match.status}`;
+  return `${leaderName} ${match.status} thru ${match.thru}`;
+}
+
+/**
+ * Result of one match play hole with the running status after it, or null if undecided
+ */
+export function formatMatchHole(match, holeIndex) {
+  const hole = match?.holes?.[holeIndex];
+  if (!hole) return null;
+  const result = hole.winner == null
+    ? 'Hole halved'
+    : `${match.sideNames[hole.winner]} won the hole`;
+  const status = hole.leader == null ? 'AS' : `${match.sideNames[hole.leader]} ${hole.status}`;
+  return `${result} · ${status}`;
+}
+
+// Round lifecycle in order: scores move a round up to completed, the creator finalizes it
+export const ROUND_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  finalized: 'Finalized',
+};
+
+// Formats scored per team; scramble and alternate shot record one team score per hole
+export const TEAM_FORMATS = ['bestball', 'scramble', 'alternate'];
+export const TEAM_SCORE_FORMATS = ['scramble', 'alternate'];
+
+/**
+ * Best gross score among a team's players on a hole, or null if none has scored
+ */
+export function getBestBallScore(players, teamIndex, holeIndex) {
+  const scores = players
+    .filter((p) => p.team === teamIndex && p.scores?.[holeIndex] > 0)
+    .map((p) => p.scores[holeIndex]);
+  return scores.length > 0 ? Math.min(...scores) : null;
+}
@@ -0,0 +1,88 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import coursesRouter from '../../routes/courses.js';
+import Course from '../../models/Course.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/courses', coursesRouter);
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const tokenFor = (id) => jwt.sign({ userId: id.toString() }, process.env.JWT_SECRET);
+
+const nineHoles = Array.from({ length: 9 }, (_, i) => ({ holeNumber: i + 1, par: 4 }));
+
+describe('POST /api/courses', () => {
+  it('should create a course owned by the user', async () => {
+    const response = await request(app)
+      .post('/api/courses')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ name: 'Pine Valley', location: 'NJ', holes: nineHoles })
+      .expect(201);
+
+    expect(response.body).toHaveProperty('message', 'Course created successfully');
+    expect(response.body.data).toHaveProperty('name', 'Pine Valley');
+    expect(response.body.data).toHaveProperty('visibility', 'private');
+    expect(response.body.data).toHaveProperty('createdBy', userId.toString());
+  });
+
+  it('should return 400 when the hole count is invalid', async () => {
+    await request(app)
+      .post('/api/courses')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ name: 'Short', holes: nineHoles.slice(0, 3) })
+      .expect(400);
+  });
+
+  it('should return 401 without a token', async () => {
+    await request(app)
+      .post('/api/courses')
+      .send({ name: 'Pine Valley', holes: nineHoles })
+      .expect(401);
+  });
+});
+
+describe('GET /api/courses', () => {
+  it('should return own and shared courses but not others\' private ones', async () => {
+    await Course.create({ name: 'Mine', holes: nineHoles, createdBy: userId });
+    await Course.create({
+      name: 'Shared', holes: nineHoles, createdBy: otherUserId, visibility: 'shared',
+    });
+    await Course.create({ name: 'Hidden', holes: nineHoles, createdBy: otherUserId });
+
+    const response = await request(app)
+      .get('/api/courses')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.map((c) => c.name)).toEqual(['Mine', 'Shared']);
+  });
+
+  it('should return 400 when search is given more than once', async () => {
+    await request(app)
+      .get('/api/courses?search=pine&search=valley')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(400);
+  });
+});
+
+describe('PUT /api/courses/:id', () => {
+  it('should not let another user edit a shared course', async () => {
+    const course = await Course.create({
+      name: 'Shared', holes: nineHoles, createdBy: otherUserId, visibility: 'shared',
+    });
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/courses/${course._id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ name: 'Renamed' })
+      .expect(404);
+  });
+});
@@ -0,0 +1,520 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import roundsRouter from '../../routes/rounds.js';
+import Round from '../../models/Round.js';
+import Course from '../../models/Course.js';
+import RoundAudit from '../../models/RoundAudit.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/rounds', roundsRouter);
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const tokenFor = (id) => jwt.sign({ userId: id.toString() }, process.env.JWT_SECRET);
+
+const nineHoles = Array.from({ length: 9 }, (_, i) => ({ holeNumber: i + 1, par: 4 }));
+
+const createRound = (overrides = {}) => Round.create({
+  courseName: 'Pine Valley',
+  date: '2026-05-01',
+  holes: nineHoles,
+  players: [
+    { name: 'Me', userId, scores: Array(9).fill(0) },
+    { name: 'Other', userId: otherUserId, scores: Array(9).fill(0) },
+  ],
+  createdBy: userId,
+  ...overrides,
+});
+
+describe('PUT /api/rounds/:id/stats', () => {
+  it('should merge stats for the hole', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const url = `/api/rounds/${round._id}/stats`;
+
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 2, stats: { putts: 2, fairway: 'left' } })
+      .expect(200);
+    const response = await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 2, stats: { gir: true } })
+      .expect(200);
+
+    expect(response.body.data.stats).toMatchObject({
+      holeNumber: 3, putts: 2, fairway: 'left', gir: true, penalties: null,
+    });
+  });
+
+  it('should reject invalid stat values', async () => {
+    const round = await createRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}/stats`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, stats: { fairway: 'long' } })
+      .expect(400);
+  });
+
+  it('should not let a participant edit another player\'s stats', async () => {
+    const round = await createRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}/stats`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, stats: { putts: 1 } })
+      .expect(403);
+  });
+});
+
+describe('round lifecycle', () => {
+  const fullCard = Array(9).fill(4);
+
+  it('should move from scheduled to in progress to completed as scores come in', async () => {
+    const round = await createRound();
+    expect(round.status).toBe('scheduled');
+
+    // eslint-disable-next-line no-underscore-dangle
+    const url = `/api/rounds/${round._id}/score`;
+    const response = await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, score: 4 })
+      .expect(200);
+    expect(response.body.data.status).toBe('in_progress');
+
+    const completed = await createRound({
+      players: [
+        { name: 'Me', userId, scores: fullCard },
+        { name: 'Other', userId: otherUserId, scores: fullCard },
+      ],
+    });
+    expect(completed.status).toBe('completed');
+  });
+
+  it('should only let the creator finalize a completed, attested round', async () => {
+    const inProgress = await createRound();
+    const completed = await createRound({
+      players: [
+        {
+          name: 'Me', userId, scores: fullCard, attestation: { attestedBy: otherUserId, scores: fullCard },
+        },
+        {
+          name: 'Other', userId: otherUserId, scores: fullCard, attestation: { attestedBy: userId, scores: fullCard },
+        },
+      ],
+    });
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${inProgress._id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(409);
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${completed._id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .expect(404);
+    const response = await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${completed._id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.data.status).toBe('finalized');
+    expect(response.body.data.finalizedAt).toBeTruthy();
+  });
+
+  it('should finalize a round scored for guests without attestation', async () => {
+    const round = await createRound({
+      players: [
+        { name: 'Me', userId, scores: fullCard },
+        { name: 'Guest', scores: fullCard },
+      ],
+    });
+
+    const response = await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${round._id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.data.status).toBe('finalized');
+  });
+
+  it('should reject score updates on a finalized round', async () => {
+    const round = await createRound({
+      players: [{ name: 'Me', userId, scores: fullCard }],
+      status: 'finalized',
+    });
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, score: 3 })
+      .expect(409);
+  });
+
+  it('should filter the round list by status', async () => {
+    await createRound();
+    await createRound({ players: [{ name: 'Me', userId, scores: fullCard }] });
+
+    const response = await request(app)
+      .get('/api/rounds?status=completed')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+    expect(response.body.every((r) => r.status === 'completed')).toBe(true);
+    expect(response.body.length).toBeGreaterThan(0);
+
+    await request(app)
+      .get('/api/rounds?status=done')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(400);
+    await request(app)
+      .get('/api/rounds?status=completed&status=finalized')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(400);
+  });
+
+  it('should backfill the status of rounds stored without one', async () => {
+    const round = await createRound({ players: [{ name: 'Me', userId, scores: fullCard }] });
+    // eslint-disable-next-line no-underscore-dangle
+    await Round.collection.updateOne({ _id: round._id }, { $unset: { status: '' } });
+
+    expect(await Round.backfillStatus()).toBe(1);
+    expect(await Round.backfillStatus()).toBe(0);
+
+    const response = await request(app)
+      .get('/api/rounds?status=completed')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+    // eslint-disable-next-line no-underscore-dangle
+    expect(response.body.map((r) => r._id)).toContain(round._id.toString());
+  });
+});
+
+describe('POST /api/rounds from a course', () => {
+  const createCourse = () => Course.create({
+    name: 'Pine Valley',
+    holes: nineHoles,
+    teeSets: [
+      { name: 'Blue', courseRating: 36.1, slope: 131 },
+      { name: 'White', courseRating: 34.8, slope: 124 },
+    ],
+    createdBy: userId,
+  });
+
+  it('should snapshot each player\'s chosen tee', async () => {
+    const course = await createCourse();
+
+    const response = await request(app)
+      .post('/api/rounds')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({
+        // eslint-disable-next-line no-underscore-dangle
+        courseId: course._id,
+        date: '2026-05-01',
+        players: [
+          { name: 'Me', userId, teeName: 'Blue' },
+          { name: 'Guest', teeName: 'White' },
+          { name: 'No tee' },
+        ],
+      })
+      .expect(201);
+
+    const [me, guest, noTee] = response.body.data.players;
+    expect(me.tee).toMatchObject({ name: 'Blue', courseRating: 36.1, slope: 131 });
+    expect(guest.tee).toMatchObject({ name: 'White', courseRating: 34.8, slope: 124 });
+    expect(noTee.tee).toBeNull();
+    expect(me).not.toHaveProperty('teeName');
+
+    // Later course edits leave the round's snapshot alone
+    // eslint-disable-next-line no-underscore-dangle
+    await Course.updateOne({ _id: course._id }, { 'teeSets.0.courseRating': 37 });
+    // eslint-disable-next-line no-underscore-dangle
+    const stored = await Round.findById(response.body.data._id);
+    expect(stored.players[0].tee.courseRating).toBe(36.1);
+  });
+
+  it('should reject a tee the course doesn\'t have', async () => {
+    const course = await createCourse();
+
+    const response = await request(app)
+      .post('/api/rounds')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({
+        // eslint-disable-next-line no-underscore-dangle
+        courseId: course._id,
+        date: '2026-05-01',
+        players: [{ name: 'Me', userId, teeName: 'Gold' }],
+      })
+      .expect(400);
+
+    expect(response.body.error).toBe('Unknown tee set: Gold');
+    expect(await Round.countDocuments()).toBe(0);
+  });
+});
+
+describe('POST /api/rounds/:id/attest', () => {
+  const fullCard = Array(9).fill(4);
+  const completedRound = () => createRound({
+    players: [
+      { name: 'Me', userId, scores: fullCard },
+      { name: 'Other', userId: otherUserId, scores: fullCard },
+    ],
+  });
+
+  it('should let another linked player attest a completed card', async () => {
+    const round = await completedRound();
+
+    const response = await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${round._id}/attest`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 0 })
+      .expect(200);
+
+    expect(response.body.data.attestation.attestedBy).toBe(otherUserId.toString());
+    expect(response.body.data.attestation.scores).toEqual(fullCard);
+    expect(response.body.data.fullyAttested).toBe(false);
+  });
+
+  it('should not let a player attest their own card', async () => {
+    const round = await completedRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${round._id}/attest`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0 })
+      .expect(403);
+  });
+
+  it('should reject attesting an incomplete card', async () => {
+    const round = await createRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${round._id}/attest`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 0 })
+      .expect(400);
+  });
+
+  it('should clear the attestation when the attested scores change', async () => {
+    const round = await completedRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await request(app)
+      .post(`/api/rounds/${id}/attest`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 0 })
+      .expect(200);
+    const response = await request(app)
+      .put(`/api/rounds/${id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 3, score: 5 })
+      .expect(200);
+
+    expect(response.body.data.attestations[0]).toBeNull();
+    await request(app)
+      .post(`/api/rounds/${id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(409);
+  });
+});
+
+describe('GET /api/rounds/:id/history', () => {
+  it('should record score and bulk changes with who made them', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await request(app)
+      .put(`/api/rounds/${id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 1, holeIndex: 0, score: 5 })
+      .expect(200);
+    await request(app)
+      .put(`/api/rounds/${id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({
+        version: 1,
+        courseName: 'Augusta',
+        players: [
+          { name: 'Me', userId, scores: Array(9).fill(0) },
+          { name: 'Other', userId: otherUserId, scores: [4, ...Array(8).fill(0)] },
+        ],
+      })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/rounds/${id}/history`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .expect(200);
+
+    expect(response.body).toHaveLength(3);
+    expect(response.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        source: 'rest', type: 'score', playerIndex: 1, holeNumber: 1, oldValue: 0, newValue: 5,
+      }),
+      expect.objectContaining({
+        source: 'bulk', type: 'score', playerIndex: 1, holeNumber: 1, oldValue: 5, newValue: 4,
+      }),
+      expect.objectContaining({
+        source: 'bulk', type: 'course', field: 'courseName', newValue: 'Augusta',
+      }),
+    ]));
+  });
+
+  it('should record each stat that changed', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+    const url = `/api/rounds/${id}/stats`;
+
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 2, stats: { putts: 2, fairway: 'left' } })
+      .expect(200);
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 2, stats: { putts: 2, fairway: null } })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/rounds/${id}/history`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body).toHaveLength(3);
+    expect(response.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        type: 'stats', field: 'putts', playerIndex: 0, holeNumber: 3, oldValue: null, newValue: 2,
+      }),
+      expect.objectContaining({
+        type: 'stats', field: 'fairway', holeNumber: 3, oldValue: null, newValue: 'left',
+      }),
+      expect.objectContaining({
+        type: 'stats', field: 'fairway', holeNumber: 3, oldValue: 'left', newValue: null,
+      }),
+    ]));
+  });
+
+  it('should delete the history along with the round', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+    await request(app)
+      .put(`/api/rounds/${id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, score: 4 })
+      .expect(200);
+    expect(await RoundAudit.countDocuments({ roundId: id })).toBe(1);
+
+    await request(app)
+      .delete(`/api/rounds/${id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(await RoundAudit.countDocuments({ roundId: id })).toBe(0);
+  });
+
+  it('should not show history to users outside the round', async () => {
+    const round = await createRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .get(`/api/rounds/${round._id}/history`)
+      .set('Authorization', `Bearer ${tokenFor(new mongoose.Types.ObjectId())}`)
+      .expect(404);
+  });
+});
+
+describe('PUT /api/rounds/:id versioning', () => {
+  it('should bump the version on every save', async () => {
+    const round = await createRound();
+    expect(round.version).toBe(0);
+
+    const response = await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ version: 0, courseName: 'Augusta' })
+      .expect(200);
+
+    expect(response.body.data.version).toBe(1);
+  });
+
+  it('should require the version the update is based on', async () => {
+    const round = await createRound();
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ courseName: 'Augusta' })
+      .expect(400);
+  });
+
+  it('should not overwrite scores entered since the edit began', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await request(app)
+      .put(`/api/rounds/${id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .send({ playerIndex: 1, holeIndex: 0, score: 5 })
+      .expect(200);
+    const response = await request(app)
+      .put(`/api/rounds/${id}`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({
+        version: 0,
+        players: [
+          { name: 'Me', userId, scores: Array(9).fill(0) },
+          { name: 'Other', userId: otherUserId, scores: Array(9).fill(0) },
+        ],
+      })
+      .expect(409);
+
+    expect(response.body.data.version).toBe(1);
+    expect(response.body.data.players[1].scores[0]).toBe(5);
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores[0]).toBe(5);
+  });
+});
+
+describe('POST /api/rounds/:id/spectator-grant', () => {
+  it('should only let the creator issue a grant', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const url = `/api/rounds/${round._id}/spectator-grant`;
+
+    const response = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+    expect(response.body.data.token).toEqual(expect.any(String));
+
+    await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${tokenFor(otherUserId)}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,259 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import roundsRouter from '../../routes/rounds.js';
+import Round from '../../models/Round.js';
+import User from '../../models/User.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/rounds', roundsRouter);
+
+const creatorId = new mongoose.Types.ObjectId();
+const playerIds = [creatorId, ...Array.from({ length: 3 }, () => new mongoose.Types.ObjectId())];
+const tokenFor = (id) => jwt.sign({ userId: id.toString() }, process.env.JWT_SECRET);
+
+const holes = Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 }));
+
+const createRound = (overrides = {}) => Round.create({
+  courseName: 'Pine Valley',
+  date: '2026-05-01',
+  holes,
+  players: playerIds.map((userId, i) => ({
+    name: `Player ${i + 1}`, userId, scores: Array(18).fill(0),
+  })),
+  createdBy: creatorId,
+  ...overrides,
+});
+
+const putScore = (roundId, userId, playerIndex, holeIndex, score) => request(app)
+  .put(`/api/rounds/${roundId}/score`)
+  .set('Authorization', `Bearer ${tokenFor(userId)}`)
+  .send({ playerIndex, holeIndex, score });
+
+describe('concurrent score updates', () => {
+  it('should keep every player\'s score when all four save the same hole at once', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    const responses = await Promise.all(playerIds.map((userId, playerIndex) => putScore(
+      id,
+      userId,
+      playerIndex,
+      0,
+      playerIndex + 3,
+    )));
+
+    responses.forEach((response) => expect(response.status).toBe(200));
+    const stored = await Round.findById(id);
+    expect(stored.players.map((p) => p.scores[0])).toEqual([3, 4, 5, 6]);
+  });
+
+  it('should keep every hole when one card is updated concurrently', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    // The creator and the player both write to player 2's card
+    const responses = await Promise.all(holes.map((_, holeIndex) => putScore(
+      id,
+      holeIndex % 2 === 0 ? creatorId : playerIds[1],
+      1,
+      holeIndex,
+      5,
+    )));
+
+    responses.forEach((response) => expect(response.status).toBe(200));
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores).toEqual(Array(18).fill(5));
+    expect(stored.version).toBe(18);
+    expect(stored.status).toBe('in_progress');
+  });
+
+  it('should pad short cards only once under concurrent writes', async () => {
+    const round = await createRound({
+      players: playerIds.map((userId, i) => ({ name: `Player ${i + 1}`, userId, scores: [] })),
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await Promise.all([0, 5, 17].map((holeIndex) => putScore(id, creatorId, 0, holeIndex, 4)));
+
+    const stored = await Round.findById(id);
+    expect(stored.players[0].scores).toHaveLength(18);
+    expect(stored.players[0].scores.filter((score) => score === 4)).toHaveLength(3);
+  });
+
+  it('should mark the round completed once the last concurrent score lands', async () => {
+    const round = await createRound({
+      players: playerIds.map((userId, i) => ({
+        name: `Player ${i + 1}`, userId, scores: [0, ...Array(17).fill(4)],
+      })),
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await Promise.all(playerIds.map((userId, index) => putScore(id, userId, index, 0, 4)));
+
+    const stored = await Round.findById(id);
+    expect(stored.players.every((p) => p.scores[0] === 4)).toBe(true);
+    expect(stored.status).toBe('completed');
+  });
+
+  it('should keep both teams\' scores in a scramble', async () => {
+    const round = await createRound({
+      format: 'scramble',
+      players: playerIds.map((userId, i) => ({
+        name: `Player ${i + 1}`, userId, scores: Array(18).fill(0), team: i < 2 ? 0 : 1,
+      })),
+      teams: [
+        { name: 'Team 1', scores: Array(18).fill(0) },
+        { name: 'Team 2', scores: Array(18).fill(0) },
+      ],
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    const responses = await Promise.all([[playerIds[1], 0, 3], [playerIds[2], 1, 5]].map(
+      ([userId, teamIndex, score]) => request(app)
+        .put(`/api/rounds/${id}/team-score`)
+        .set('Authorization', `Bearer ${tokenFor(userId)}`)
+        .send({ teamIndex, holeIndex: 0, score }),
+    ));
+
+    responses.forEach((response) => expect(response.status).toBe(200));
+    const stored = await Round.findById(id);
+    expect(stored.teams.map((team) => team.scores[0])).toEqual([3, 5]);
+  });
+});
+
+describe('score writes mixed with document saves', () => {
+  it('should refuse a save of a round loaded before a score write', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+    const loaded = await Round.findById(id);
+
+    await putScore(id, playerIds[1], 1, 0, 4);
+    loaded.courseName = 'Augusta National';
+
+    await expect(loaded.save()).rejects.toThrow(mongoose.Error.DocumentNotFoundError);
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores[0]).toBe(4);
+    expect(stored.courseName).toBe('Pine Valley');
+    expect(stored.version).toBe(1);
+  });
+
+  it('should give every write its own version', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await putScore(id, playerIds[1], 1, 0, 4);
+    const loaded = await Round.findById(id);
+    loaded.courseName = 'Augusta National';
+    await loaded.save();
+    await putScore(id, playerIds[2], 2, 0, 5);
+
+    const stored = await Round.findById(id);
+    expect(stored.version).toBe(3);
+    expect(stored.courseName).toBe('Augusta National');
+    expect(stored.players.map((p) => p.scores[0])).toEqual([0, 4, 5, 0]);
+  });
+
+  it('should answer 409 when a stats save loses the race with a score write', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    const responses = await Promise.all([
+      putScore(id, playerIds[1], 1, 0, 4),
+      request(app)
+        .put(`/api/rounds/${id}/stats`)
+        .set('Authorization', `Bearer ${tokenFor(playerIds[1])}`)
+        .send({ playerIndex: 1, holeIndex: 0, stats: { putts: 2 } }),
+    ]);
+
+    expect(responses[0].status).toBe(200);
+    expect([200, 409]).toContain(responses[1].status);
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores[0]).toBe(4);
+  });
+});
+
+describe('score updates with an expected value', () => {
+  const putExpected = (roundId, body) => request(app)
+    .put(`/api/rounds/${roundId}/score`)
+    .set('Authorization', `Bearer ${tokenFor(creatorId)}`)
+    .send(body);
+
+  it('should save when the hole still has the expected score', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    const response = await putExpected(id, {
+      playerIndex: 1, holeIndex: 0, score: 5, expected: 0,
+    });
+
+    expect(response.status).toBe(200);
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores[0]).toBe(5);
+  });
+
+  it('should refuse with the current score when it changed meanwhile', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+    await putScore(id, playerIds[1], 1, 0, 4);
+
+    const response = await putExpected(id, {
+      playerIndex: 1, holeIndex: 0, score: 5, expected: 0,
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.data).toEqual({ score: 4 });
+    const stored = await Round.findById(id);
+    expect(stored.players[1].scores[0]).toBe(4);
+  });
+
+  it('should treat a hole missing from a short card as not entered', async () => {
+    const round = await createRound({
+      players: [{
+        name: 'Player 1', userId: creatorId, scores: [],
+      }],
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    const response = await putExpected(id, {
+      playerIndex: 0, holeIndex: 3, score: 6, expected: 0,
+    });
+
+    expect(response.status).toBe(200);
+    const stored = await Round.findById(id);
+    expect(stored.players[0].scores[3]).toBe(6);
+  });
+});
+
+describe('concurrent achievement awards', () => {
+  it('should award a badge once when two saves complete the card at once', async () => {
+    await User.create({ _id: creatorId, email: 'creator@example.com', password: 'secret123' });
+    const round = await createRound({
+      players: [{ name: 'Player 1', userId: creatorId, scores: [...Array(17).fill(4), 0] }],
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const id = round._id;
+
+    await Promise.all([putScore(id, creatorId, 0, 17, 4), putScore(id, creatorId, 0, 17, 4)]);
+
+    const keys = (await User.findById(creatorId)).achievements.map((a) => a.key);
+    expect(keys).toContain('first-round');
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
@@ -0,0 +1,131 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import roundsRouter from '../../routes/rounds.js';
+import usersRouter from '../../routes/users.js';
+import Round from '../../models/Round.js';
+import User from '../../models/User.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/rounds', roundsRouter);
+app.use('/api/users', usersRouter);
+
+const tokenFor = (id) => jwt.sign({ userId: id.toString() }, process.env.JWT_SECRET);
+
+const holes = Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 }));
+const tee = { name: 'White', courseRating: 72, slope: 113 };
+const card = Array(18).fill(5);
+const markerId = new mongoose.Types.ObjectId();
+
+// A completed 18-hole round, attested by the user and their marker for each other
+const createRatedRound = (userId, date) => Round.create({
+  courseName: 'Pine Valley',
+  date,
+  holes,
+  players: [
+    {
+      name: 'Me', userId, scores: card, tee, attestation: { attestedBy: markerId, scores: card },
+    },
+    {
+      name: 'Marker', userId: markerId, scores: card, tee, attestation: { attestedBy: userId, scores: card },
+    },
+  ],
+  createdBy: userId,
+});
+
+describe('/api/users/me/handicap', () => {
+  let userId;
+
+  beforeEach(async () => {
+    const user = await User.create({ email: 'golfer@example.com', password: 'secret123' });
+    // eslint-disable-next-line no-underscore-dangle
+    userId = user._id;
+    await createRatedRound(userId, '2026-05-01');
+    await createRatedRound(userId, '2026-05-02');
+    await createRatedRound(userId, '2026-05-03');
+  });
+
+  it('should calculate the index without storing it', async () => {
+    const response = await request(app)
+      .get('/api/users/me/handicap')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.handicapIndex).not.toBeNull();
+    expect(response.body.roundsInRecord).toBe(3);
+    expect((await User.findById(userId)).handicapIndex).toBeNull();
+  });
+
+  it('should store the index when asked to recalculate it', async () => {
+    const response = await request(app)
+      .post('/api/users/me/handicap')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.data.handicapIndex).not.toBeNull();
+    expect((await User.findById(userId)).handicapIndex)
+      .toBe(response.body.data.handicapIndex);
+  });
+
+  it('should store the index when a round is finalized', async () => {
+    const round = await createRatedRound(userId, '2026-05-04');
+
+    await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/api/rounds/${round._id}/finalize`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    const { handicapIndex } = await User.findById(userId);
+    const { body } = await request(app)
+      .get('/api/users/me/handicap')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+    expect(handicapIndex).not.toBeNull();
+    expect(handicapIndex).toBe(body.handicapIndex);
+  });
+
+  it('should update the stored index when a counted round is edited', async () => {
+    await request(app)
+      .post('/api/users/me/handicap')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+    expect((await User.findById(userId)).handicapIndex).not.toBeNull();
+    const round = await Round.findOne({ 'players.userId': userId });
+
+    // Changing a score clears the attestations, so the round stops counting
+    const response = await request(app)
+      // eslint-disable-next-line no-underscore-dangle
+      .put(`/api/rounds/${round._id}/score`)
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ playerIndex: 0, holeIndex: 0, score: 3 })
+      .expect(200);
+
+    expect(response.body.data.attestations[0]).toBeNull();
+    expect((await User.findById(userId)).handicapIndex).toBeNull();
+  });
+
+  it('should leave out rounds without a marker to attest them', async () => {
+    await Round.create({
+      courseName: 'Pine Valley',
+      date: '2026-05-04',
+      holes,
+      players: [{
+        name: 'Me', userId, scores: Array(18).fill(4), tee,
+      }],
+      createdBy: userId,
+    });
+
+    const response = await request(app)
+      .post('/api/users/me/handicap')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .expect(200);
+
+    expect(response.body.data.roundsInRecord).toBe(3);
+  });
+});
@@ -0,0 +1,279 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { io as connectClient } from 'socket.io-client';
+import roundsRouter from '../routes/rounds.js';
+import Round from '../models/Round.js';
+import { initSocket, getIO } from '../socket.js';
+import { createSpectatorGrant } from '../utils/spectator.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Rounds API and Socket.io on one server, like in production
+const app = express();
+app.use(express.json());
+app.use('/api/rounds', roundsRouter);
+const httpServer = createServer(app);
+
+const creatorId = new mongoose.Types.ObjectId();
+const playerId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+const tokenFor = (id) => jwt.sign({ userId: id.toString() }, process.env.JWT_SECRET);
+
+let url;
+let clients = [];
+
+const connect = (id) => new Promise((resolve, reject) => {
+  const client = connectClient(url, {
+    auth: { token: tokenFor(id) },
+    transports: ['websocket'],
+    reconnection: false,
+  });
+  clients.push(client);
+  client.on('connect', () => resolve(client));
+  client.on('connect_error', reject);
+});
+
+// Socket ids currently in a round's room, as the server sees them
+const roomMembers = async (roundId) => {
+  const sockets = await getIO().in(`round:${roundId}`).fetchSockets();
+  return sockets.map((s) => s.id);
+};
+
+// Resolves with the next presence broadcast the client receives
+const nextPresence = (client) => new Promise((resolve) => {
+  client.once('presence', resolve);
+});
+
+const createRound = () => Round.create({
+  courseName: 'Pine Valley',
+  date: '2026-05-01',
+  holes: Array.from({ length: 9 }, (_, i) => ({ holeNumber: i + 1, par: 4 })),
+  players: [
+    { name: 'Creator', userId: creatorId, scores: Array(9).fill(0) },
+    { name: 'Player', userId: playerId, scores: Array(9).fill(0) },
+  ],
+  createdBy: creatorId,
+});
+
+beforeAll((done) => {
+  initSocket(httpServer);
+  httpServer.listen(0, () => {
+    url = `http://localhost:${httpServer.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  clients.forEach((client) => client.disconnect());
+  clients = [];
+});
+
+afterAll(() => new Promise((resolve) => {
+  getIO().close(resolve);
+}));
+
+describe('join-round', () => {
+  it('should join a player to the round room', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const client = await connect(playerId);
+
+    const ack = await client.emitWithAck('join-round', { roundId });
+
+    expect(ack.role).toBe('player');
+    expect(await roomMembers(roundId)).toContain(client.id);
+  });
+
+  it('should refuse a user who is not in the round', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const client = await connect(outsiderId);
+
+    const ack = await client.emitWithAck('join-round', { roundId });
+
+    expect(ack).toEqual({ error: 'Not authorized to join this round' });
+    expect(await roomMembers(roundId)).not.toContain(client.id);
+  });
+
+  it('should join an outsider with a valid spectator grant', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const { token } = createSpectatorGrant(roundId, creatorId);
+    const client = await connect(outsiderId);
+
+    const ack = await client.emitWithAck('join-round', { roundId, spectatorGrant: token });
+
+    expect(ack.role).toBe('spectator');
+    expect(await roomMembers(roundId)).toContain(client.id);
+  });
+
+  it('should refuse spectator grants that are invalid or no longer usable', async () => {
+    const round = await createRound();
+    const deleted = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    // eslint-disable-next-line no-underscore-dangle
+    const deletedId = deleted._id.toString();
+    const deletedGrant = createSpectatorGrant(deletedId, creatorId).token;
+    await Round.deleteOne({ _id: deletedId });
+    const client = await connect(outsiderId);
+
+    const attempts = [
+      // Issued for another round
+      { roundId, spectatorGrant: createSpectatorGrant(deletedId, creatorId).token },
+      // Revoked along with the round it was issued for
+      { roundId: deletedId, spectatorGrant: deletedGrant },
+      // A login token is not a grant
+      { roundId, spectatorGrant: tokenFor(creatorId) },
+      { roundId, spectatorGrant: 'not-a-grant' },
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const payload of attempts) {
+      // eslint-disable-next-line no-await-in-loop
+      const ack = await client.emitWithAck('join-round', payload);
+      expect(ack).toEqual({ error: 'Not authorized to join this round' });
+      // eslint-disable-next-line no-await-in-loop
+      expect(await roomMembers(payload.roundId)).not.toContain(client.id);
+    }
+  });
+});
+
+describe('removing a player', () => {
+  it('should evict the removed player\'s sockets from the round room', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const player = await connect(playerId);
+    const creator = await connect(creatorId);
+    await player.emitWithAck('join-round', { roundId });
+    await creator.emitWithAck('join-round', { roundId });
+    const revoked = new Promise((resolve) => {
+      player.on('round-access-revoked', resolve);
+    });
+
+    await request(app)
+      .delete(`/api/rounds/${roundId}/players/1`)
+      .set('Authorization', `Bearer ${tokenFor(creatorId)}`)
+      .expect(200);
+
+    expect(await revoked).toEqual({ roundId });
+    const members = await roomMembers(roundId);
+    expect(members).not.toContain(player.id);
+    expect(members).toContain(creator.id);
+
+    const ack = await player.emitWithAck('join-round', { roundId });
+    expect(ack).toEqual({ error: 'Not authorized to join this round' });
+  });
+});
+
+describe('presence-hole', () => {
+  it('should ignore payloads that are not a joined round and a hole in it', async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const client = await connect(playerId);
+    await client.emitWithAck('join-round', { roundId });
+    const updates = [];
+    client.on('presence', (update) => updates.push(update));
+
+    [
+      null,
+      'hole 3',
+      { roundId },
+      { roundId, holeNumber: '3' },
+      { roundId, holeNumber: 2.5 },
+      { roundId, holeNumber: 10 },
+      { roundId: 'other', holeNumber: 3 },
+    ].forEach((payload) => client.emit('presence-hole', payload));
+    const update = nextPresence(client);
+    client.emit('presence-hole', { roundId, holeNumber: 3 });
+
+    expect(await update).toEqual({
+      roundId,
+      users: [{ userId: playerId.toString(), role: 'player', holeNumber: 3 }],
+    });
+    expect(updates).toHaveLength(1);
+  });
+});
+
+describe('presence', () => {
+  const player = (holeNumber = null) => ({
+    userId: playerId.toString(), role: 'player', holeNumber,
+  });
+  const creator = (holeNumber = null) => ({
+    userId: creatorId.toString(), role: 'player', holeNumber,
+  });
+
+  // A round with the creator already watching it
+  const watchRound = async () => {
+    const round = await createRound();
+    // eslint-disable-next-line no-underscore-dangle
+    const roundId = round._id.toString();
+    const watcher = await connect(creatorId);
+    await watcher.emitWithAck('join-round', { roundId });
+    return { roundId, watcher };
+  };
+
+  it('should tell the room when someone joins and which hole they move to', async () => {
+    const { roundId, watcher } = await watchRound();
+    const client = await connect(playerId);
+
+    let update = nextPresence(watcher);
+    await client.emitWithAck('join-round', { roundId });
+    expect((await update).users).toEqual([creator(), player()]);
+
+    update = nextPresence(watcher);
+    client.emit('presence-hole', { roundId, holeNumber: 4 });
+    expect((await update).users).toEqual([creator(), player(4)]);
+
+    update = nextPresence(watcher);
+    client.emit('presence-hole', { roundId, holeNumber: null });
+    expect((await update).users).toEqual([creator(), player()]);
+  });
+
+  it('should tell the room when someone disconnects', async () => {
+    const { roundId, watcher } = await watchRound();
+    const client = await connect(playerId);
+    await client.emitWithAck('join-round', { roundId });
+
+    const update = nextPresence(watcher);
+    client.disconnect();
+
+    expect(await update).toEqual({ roundId, users: [creator()] });
+  });
+
+  it('should list a user with two tabs once, on the hole of the tab they used last', async () => {
+    const { roundId, watcher } = await watchRound();
+    const firstTab = await connect(playerId);
+    const secondTab = await connect(playerId);
+    // Tabs are ordered by when they last changed, so keep changes apart in time
+    const tick = () => new Promise((resolve) => { setTimeout(resolve, 10); });
+    await firstTab.emitWithAck('join-round', { roundId });
+    await secondTab.emitWithAck('join-round', { roundId });
+    await tick();
+
+    let update = nextPresence(watcher);
+    firstTab.emit('presence-hole', { roundId, holeNumber: 2 });
+    expect((await update).users).toEqual([creator(), player(2)]);
+    await tick();
+
+    update = nextPresence(watcher);
+    secondTab.emit('presence-hole', { roundId, holeNumber: 5 });
+    expect((await update).users).toEqual([creator(), player(5)]);
+
+    // Still there while the other tab is open
+    update = nextPresence(watcher);
+    secondTab.disconnect();
+    expect((await update).users).toEqual([creator(), player(2)]);
+
+    update = nextPresence(watcher);
+    firstTab.disconnect();
+    expect((await update).users).toEqual([creator()]);
+  });
+});
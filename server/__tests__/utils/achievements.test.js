@@ -0,0 +1,67 @@
+import { evaluateAchievements } from '../../utils/achievements.js';
+
+const pars = [4, 4, 3, 5, 4, 4, 3, 5, 4, 4, 4, 3, 5, 4, 4, 3, 5, 4];
+const card = (scores, roundId = 'round-1') => ({
+  roundId,
+  holes: scores.length,
+  scores,
+  gross: scores.reduce((sum, s) => sum + s, 0),
+});
+const keys = (achievements) => achievements.map((a) => a.key);
+
+describe('evaluateAchievements', () => {
+  it('should award first round, birdie and scoring badges on a first card', () => {
+    // 10 pars, one birdie and seven bogeys: 78
+    const scores = pars.map((par, i) => {
+      if (i === 0) return par - 1;
+      return i < 11 ? par : par + 1;
+    });
+
+    expect(keys(evaluateAchievements(card(scores), pars, []))).toEqual([
+      'first-round', 'first-birdie', 'ten-pars', 'break-100', 'break-90', 'break-80',
+    ]);
+  });
+
+  it('should count a hole in one without also awarding an eagle', () => {
+    const scores = pars.map((par, i) => (i === 2 ? 1 : par + 2));
+
+    const unlocked = keys(evaluateAchievements(card(scores), pars, [card(pars)]));
+
+    expect(unlocked).toContain('hole-in-one');
+    expect(unlocked).not.toContain('eagle');
+  });
+
+  it('should not award a badge the player already has', () => {
+    const scores = pars.map((par, i) => (i === 0 ? par - 1 : par));
+    const earned = [
+      { key: 'first-birdie', roundId: 'round-0' },
+      { key: 'bogey-free', roundId: 'round-0' },
+    ];
+
+    const unlocked = keys(evaluateAchievements(card(scores), pars, [card(pars)], earned));
+
+    expect(unlocked).not.toContain('first-birdie');
+    expect(unlocked).not.toContain('bogey-free');
+  });
+
+  it('should award repeatable badges once per round', () => {
+    const previous = [card(pars.map((par) => par + 1), 'round-0')];
+    const scores = pars.map((par, i) => (i === 0 ? 1 : par + 1));
+    const earned = [{ key: 'personal-best', roundId: 'round-0' }];
+
+    expect(keys(evaluateAchievements(card(scores), pars, previous, earned)))
+      .toEqual(expect.arrayContaining(['hole-in-one', 'personal-best']));
+    expect(keys(evaluateAchievements(card(scores), pars, previous, [
+      ...earned,
+      { key: 'personal-best', roundId: 'round-1' },
+    ]))).not.toContain('personal-best');
+  });
+
+  it('should only award a personal best when it beats an earlier 18-hole round', () => {
+    const scores = pars.map((par) => par + 1);
+
+    expect(keys(evaluateAchievements(card(scores), pars, []))).not.toContain('personal-best');
+    expect(keys(evaluateAchievements(card(scores), pars, [card(scores, 'round-0')])))
+      .not.toContain('personal-best');
+  });
+});
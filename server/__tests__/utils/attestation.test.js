@@ -0,0 +1,68 @@
+import {
+  isAttestationValid,
+  isAttestationRequired,
+  isFullyAttested,
+} from '../../utils/attestation.js';
+
+const holes = [{ par: 4 }, { par: 3 }, { par: 5 }];
+const card = [4, 3, 6];
+const round = (players, overrides = {}) => ({
+  format: 'stroke', holes, players, teams: [], ...overrides,
+});
+
+describe('isAttestationValid', () => {
+  it('should accept a marker attestation matching the card', () => {
+    const player = { userId: 'me', scores: card, attestation: { attestedBy: 'other', scores: card } };
+    expect(isAttestationValid(round([player]), player)).toBe(true);
+  });
+
+  it('should reject self-attestation and stale scores', () => {
+    const self = { userId: 'me', scores: card, attestation: { attestedBy: 'me', scores: card } };
+    const stale = { userId: 'me', scores: [4, 3, 5], attestation: { attestedBy: 'other', scores: card } };
+
+    expect(isAttestationValid(round([self]), self)).toBe(false);
+    expect(isAttestationValid(round([stale]), stale)).toBe(false);
+  });
+
+  it('should check the team card in scramble', () => {
+    const player = {
+      userId: 'me', team: 0, scores: [0, 0, 0], attestation: { attestedBy: 'other', scores: card },
+    };
+    const scramble = round([player], { format: 'scramble', teams: [{ scores: card }] });
+
+    expect(isAttestationValid(scramble, player)).toBe(true);
+    expect(isAttestationValid({ ...scramble, teams: [{ scores: [3, 3, 6] }] }, player)).toBe(false);
+  });
+});
+
+describe('isAttestationRequired', () => {
+  it('should only require attestation when another linked player can be the marker', () => {
+    const me = { userId: 'me', scores: card };
+    const other = { userId: 'other', scores: card };
+    const guest = { name: 'Guest', scores: card };
+
+    expect(isAttestationRequired(round([me, other, guest]))).toBe(true);
+    expect(isAttestationRequired(round([me, guest]))).toBe(false);
+    expect(isAttestationRequired(round([guest]))).toBe(false);
+  });
+});
+
+describe('isFullyAttested', () => {
+  const attested = { userId: 'me', scores: card, attestation: { attestedBy: 'other', scores: card } };
+  const unattested = { userId: 'other', scores: card, attestation: null };
+  const guest = { name: 'Guest', scores: card };
+
+  it('should require every linked player to be attested when there is a marker', () => {
+    const markerAttested = {
+      ...unattested, attestation: { attestedBy: 'me', scores: card },
+    };
+
+    expect(isFullyAttested(round([attested, markerAttested, guest]))).toBe(true);
+    expect(isFullyAttested(round([attested, unattested]))).toBe(false);
+  });
+
+  it('should never count a round without a marker as attested', () => {
+    expect(isFullyAttested(round([{ userId: 'me', scores: card }, guest]))).toBe(false);
+    expect(isFullyAttested(round([guest]))).toBe(false);
+  });
+});
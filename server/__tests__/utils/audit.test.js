@@ -0,0 +1,100 @@
+import { diffRound, diffScores } from '../../utils/audit.js';
+
+const holes = [{ holeNumber: 1, par: 4 }, { holeNumber: 2, par: 3 }];
+const round = (overrides = {}) => ({
+  courseName: 'Pine Valley',
+  holes,
+  players: [{ name: 'Me', userId: 'me', scores: [4, 0] }],
+  teams: [],
+  ...overrides,
+});
+
+describe('diffScores', () => {
+  it('should list changed holes, treating missing scores as not entered', () => {
+    expect(diffScores([4, 3], [5], 2)).toEqual([
+      { holeNumber: 1, oldValue: 4, newValue: 5 },
+      { holeNumber: 2, oldValue: 3, newValue: 0 },
+    ]);
+  });
+});
+
+describe('diffRound', () => {
+  it('should return nothing for an unchanged round', () => {
+    expect(diffRound(round(), round())).toEqual([]);
+  });
+
+  it('should record course, par and score changes', () => {
+    const after = round({
+      courseName: 'Augusta',
+      holes: [holes[0], { holeNumber: 2, par: 4 }],
+      players: [{ name: 'Me', userId: 'me', scores: [5, 0] }],
+    });
+
+    expect(diffRound(round(), after)).toEqual([
+      {
+        type: 'course', field: 'courseName', oldValue: 'Pine Valley', newValue: 'Augusta',
+      },
+      {
+        type: 'par', holeNumber: 2, oldValue: 3, newValue: 4,
+      },
+      {
+        type: 'score', playerIndex: 0, holeNumber: 1, oldValue: 4, newValue: 5,
+      },
+    ]);
+  });
+
+  it('should record players being added, renamed and unlinked', () => {
+    const after = round({
+      players: [
+        { name: 'Myself', userId: null, scores: [4, 0] },
+        { name: 'Guest', scores: [] },
+      ],
+    });
+
+    expect(diffRound(round(), after)).toEqual([
+      {
+        type: 'player', field: 'name', playerIndex: 0, oldValue: 'Me', newValue: 'Myself',
+      },
+      {
+        type: 'player', field: 'userId', playerIndex: 0, oldValue: 'me', newValue: null,
+      },
+      {
+        type: 'player', field: 'added', playerIndex: 1, oldValue: null, newValue: 'Guest',
+      },
+    ]);
+  });
+
+  it('should record holes being removed, with the scores on them', () => {
+    const after = round({
+      holes: [holes[0]],
+      players: [{ name: 'Me', userId: 'me', scores: [4] }],
+    });
+
+    expect(diffRound(round({ players: [{ name: 'Me', userId: 'me', scores: [4, 3] }] }), after))
+      .toEqual([
+        {
+          type: 'par', field: 'removed', holeNumber: 2, oldValue: 3, newValue: null,
+        },
+        {
+          type: 'score', playerIndex: 0, holeNumber: 2, oldValue: 3, newValue: 0,
+        },
+      ]);
+  });
+
+  it('should record holes being added', () => {
+    const after = round({ holes: [...holes, { holeNumber: 3, par: 5 }] });
+
+    expect(diffRound(round(), after)).toEqual([{
+      type: 'par', field: 'added', holeNumber: 3, oldValue: null, newValue: 5,
+    }]);
+  });
+
+  it('should record team score changes', () => {
+    const before = round({ teams: [{ name: 'A', scores: [4, 3] }] });
+    const after = round({ teams: [{ name: 'A', scores: [4, 2] }] });
+
+    expect(diffRound(before, after)).toEqual([{
+      type: 'team-score', teamIndex: 0, holeNumber: 2, oldValue: 3, newValue: 2,
+    }]);
+  });
+});
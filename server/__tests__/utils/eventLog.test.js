@@ -0,0 +1,69 @@
+import createEventLog from '../../utils/eventLog.js';
+
+const stamp = (data) => (seq) => ({ ...data, seq });
+
+describe('createEventLog', () => {
+  it('should number events per round starting from 1', () => {
+    const log = createEventLog();
+
+    expect(log.append('r1', 'score-update', stamp({ score: 4 }))).toEqual({ score: 4, seq: 1 });
+    expect(log.append('r1', 'score-update', stamp({ score: 5 }))).toEqual({ score: 5, seq: 2 });
+    expect(log.append('r2', 'round-status', stamp({ status: 'live' }))).toEqual({
+      status: 'live', seq: 1,
+    });
+    expect(log.current('r1')).toBe(2);
+    expect(log.current('r3')).toBe(0);
+  });
+
+  it('should replay the events after the last one seen, in order', () => {
+    const log = createEventLog();
+    log.append('r1', 'score-update', stamp({ score: 4 }));
+    log.append('r1', 'stats-update', stamp({ putts: 2 }));
+    log.append('r1', 'score-update', stamp({ score: 6 }));
+
+    const { events, resync } = log.since('r1', { epoch: log.epoch, seq: 1 });
+
+    expect(resync).toBeUndefined();
+    expect(events.map((e) => [e.event, e.payload])).toEqual([
+      ['stats-update', { putts: 2, seq: 2 }],
+      ['score-update', { score: 6, seq: 3 }],
+    ]);
+  });
+
+  it('should replay nothing to a client that is up to date', () => {
+    const log = createEventLog();
+    log.append('r1', 'score-update', stamp({ score: 4 }));
+
+    expect(log.since('r1', { epoch: log.epoch, seq: 1 })).toEqual({ events: [] });
+    expect(log.since('r2', { epoch: log.epoch, seq: 0 })).toEqual({ events: [] });
+  });
+
+  it('should ask for a resync when missed events are no longer kept', () => {
+    const log = createEventLog({ maxEvents: 2 });
+    [1, 2, 3, 4].forEach((score) => log.append('r1', 'score-update', stamp({ score })));
+
+    expect(log.since('r1', { epoch: log.epoch, seq: 1 })).toEqual({ resync: true });
+    expect(log.since('r1', { epoch: log.epoch, seq: 2 }).events).toHaveLength(2);
+  });
+
+  it('should ask for a resync when the sequence came from another log', () => {
+    const log = createEventLog();
+    log.append('r1', 'score-update', stamp({ score: 4 }));
+
+    expect(log.since('r1', { epoch: 'old', seq: 1 })).toEqual({ resync: true });
+    expect(log.since('r1', { epoch: log.epoch, seq: 5 })).toEqual({ resync: true });
+    expect(log.since('r1', { epoch: log.epoch })).toEqual({ resync: true });
+  });
+
+  it('should forget the least recently active rounds first', () => {
+    const log = createEventLog({ maxRounds: 2 });
+    log.append('r1', 'score-update', stamp({}));
+    log.append('r2', 'score-update', stamp({}));
+    log.append('r1', 'score-update', stamp({}));
+    log.append('r3', 'score-update', stamp({}));
+
+    expect(log.current('r1')).toBe(2);
+    expect(log.current('r2')).toBe(0);
+    expect(log.current('r3')).toBe(1);
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  allocateStrokes,
+  calculateAdjustedGrossScore,
+  calculateCourseHandicap,
+  calculateHandicapIndex,
+  calculateScoreDifferential,
+} from '../../utils/handicap.js';
+
+const strokeIndexes = Array.from({ length: 18 }, (_, i) => i + 1);
+
+describe('allocateStrokes', () => {
+  it('should give one stroke on the hardest holes first', () => {
+    const strokes = allocateStrokes(4, strokeIndexes);
+    expect(strokes.slice(0, 4)).toEqual([1, 1, 1, 1]);
+    expect(strokes.slice(4).every((s) => s === 0)).toBe(true);
+  });
+
+  it('should give a second stroke once the handicap exceeds the hole count', () => {
+    const strokes = allocateStrokes(20, strokeIndexes);
+    expect(strokes.slice(0, 2)).toEqual([2, 2]);
+    expect(strokes[2]).toBe(1);
+  });
+
+  it('should take strokes back on the easiest holes for plus handicaps', () => {
+    const strokes = allocateStrokes(-2, strokeIndexes);
+    expect(strokes.slice(16)).toEqual([-1, -1]);
+    expect(strokes.slice(0, 16).every((s) => s === 0)).toBe(true);
+  });
+});
+
+describe('calculateAdjustedGrossScore', () => {
+  it('should cap each hole at net double bogey', () => {
+    // Par 4 with one stroke caps at 7, without a stroke at 6
+    expect(calculateAdjustedGrossScore([9, 9], [4, 4], [1, 0])).toBe(13);
+  });
+
+  it('should cap at par + 5 without a course handicap', () => {
+    expect(calculateAdjustedGrossScore([12, 5], [4, 4], null)).toBe(14);
+  });
+});
+
+describe('calculateScoreDifferential', () => {
+  it('should normalise to standard slope and round to a tenth', () => {
+    expect(calculateScoreDifferential(85, 71.5, 128)).toBe(11.9);
+  });
+});
+
+describe('calculateCourseHandicap', () => {
+  it('should scale by slope and add rating minus par', () => {
+    expect(calculateCourseHandicap(12.3, { slope: 128, courseRating: 71.5 }, 72)).toBe(13);
+  });
+});
+
+describe('calculateHandicapIndex', () => {
+  it('should return null with fewer than 3 differentials', () => {
+    expect(calculateHandicapIndex([10, 12])).toBeNull();
+  });
+
+  it('should apply the -2.0 adjustment with 3 differentials', () => {
+    expect(calculateHandicapIndex([10, 12, 14])).toBe(8);
+  });
+
+  it('should average the best 8 of the last 20', () => {
+    const differentials = Array.from({ length: 25 }, (_, i) => i);
+    // Last 20 are 5..24, best 8 are 5..12
+    expect(calculateHandicapIndex(differentials)).toBe(8.5);
+  });
+});
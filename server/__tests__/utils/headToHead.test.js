@@ -0,0 +1,60 @@
+import buildHeadToHead from '../../utils/headToHead.js';
+
+const me = 'user-1';
+const rival = 'user-2';
+const pars = [4, 4, 3];
+
+const makeRound = (date, myScores, rivalScores, rivalHandicap = null) => ({
+  _id: `round-${date}`,
+  date,
+  courseName: 'Pine Valley',
+  holes: pars.map((par, i) => ({ holeNumber: i + 1, par })),
+  players: [
+    { name: 'Me', userId: me, scores: myScores },
+    {
+      name: 'Rival', userId: rival, scores: rivalScores, courseHandicap: rivalHandicap,
+    },
+  ],
+});
+
+describe('buildHeadToHead', () => {
+  const rounds = [
+    makeRound('2026-05-01', [4, 4, 3], [5, 5, 3]),
+    // Rival gets a stroke on every hole: loses gross, ties net
+    makeRound('2026-05-08', [4, 4, 3], [5, 5, 4], 3),
+    // Incomplete card only counts hole by hole
+    makeRound('2026-05-15', [5, 0, 0], [4, 4, 0]),
+    // Round without the rival is ignored
+    {
+      ...makeRound('2026-05-22', [4, 4, 3], [4, 4, 3]),
+      players: [{ name: 'Me', userId: me, scores: [4, 4, 3] }],
+    },
+  ];
+
+  it('should compare gross and net totals on completed shared rounds', () => {
+    const record = buildHeadToHead(rounds, me, rival);
+
+    expect(record).toMatchObject({ sharedRounds: 3, completedRounds: 2 });
+    expect(record.gross).toEqual({
+      wins: 2, losses: 0, ties: 0, averageMargin: 2.5,
+    });
+    expect(record.net).toEqual({
+      wins: 1, losses: 0, ties: 1, averageMargin: 1,
+    });
+  });
+
+  it('should count holes both players scored', () => {
+    const { holes } = buildHeadToHead(rounds, me, rival);
+
+    expect(holes.gross).toEqual({ wins: 5, losses: 1, ties: 1 });
+    expect(holes.net).toEqual({ wins: 2, losses: 1, ties: 4 });
+  });
+
+  it('should report from either player\'s point of view', () => {
+    const record = buildHeadToHead(rounds, rival, me);
+
+    expect(record.user.name).toBe('Rival');
+    expect(record.gross).toMatchObject({ wins: 0, losses: 2, averageMargin: -2.5 });
+    expect(record.history[0]).toMatchObject({ date: '2026-05-08', gross: [14, 11], net: [11, 11] });
+  });
+});
@@ -0,0 +1,39 @@
+import summarizePresence from '../../utils/presence.js';
+
+describe('summarizePresence', () => {
+  it('should list each user once with the hole from their latest tab', () => {
+    const users = summarizePresence([
+      {
+        userId: 'a', role: 'player', holeNumber: 3, updatedAt: 1,
+      },
+      {
+        userId: 'b', role: 'spectator', holeNumber: null, updatedAt: 2,
+      },
+      {
+        userId: 'a', role: 'player', holeNumber: 7, updatedAt: 5,
+      },
+    ]);
+
+    expect(users).toEqual([
+      { userId: 'a', role: 'player', holeNumber: 7 },
+      { userId: 'b', role: 'spectator', holeNumber: null },
+    ]);
+  });
+
+  it('should count a user as a player if any of their tabs joined as one', () => {
+    const users = summarizePresence([
+      {
+        userId: 'a', role: 'player', holeNumber: 4, updatedAt: 1,
+      },
+      {
+        userId: 'a', role: 'spectator', holeNumber: 9, updatedAt: 2,
+      },
+    ]);
+
+    expect(users).toEqual([{ userId: 'a', role: 'player', holeNumber: 9 }]);
+  });
+
+  it('should be empty when nobody is connected', () => {
+    expect(summarizePresence([])).toEqual([]);
+  });
+});
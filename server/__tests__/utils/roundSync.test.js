@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { diffRoundFields } from '../../utils/roundSync.js';
+
+describe('diffRoundFields', () => {
+  const base = {
+    courseName: 'Pebble Beach',
+    date: new Date('2026-06-01'),
+    holes: [{ holeNumber: 1, par: 4 }, { holeNumber: 2, par: 3 }],
+    players: [{ name: 'Alice', scores: [4, 3] }],
+    format: 'stroke',
+  };
+
+  it('should return nothing when the round is unchanged', () => {
+    expect(diffRoundFields(base, { ...base, players: [{ name: 'Alice', scores: [4, 3] }] }))
+      .toEqual({});
+  });
+
+  it('should return only the changed fields with their new values', () => {
+    const changes = diffRoundFields(base, {
+      ...base,
+      courseName: 'Spyglass Hill',
+      holes: [{ holeNumber: 1, par: 5 }, { holeNumber: 2, par: 3 }],
+    });
+
+    expect(changes).toEqual({
+      courseName: 'Spyglass Hill',
+      holes: [{ holeNumber: 1, par: 5 }, { holeNumber: 2, par: 3 }],
+    });
+  });
+
+  it('should return plain JSON values, with null for removed fields', () => {
+    const courseId = new mongoose.Types.ObjectId();
+    const changes = diffRoundFields(
+      { ...base, courseId },
+      { ...base, courseId: undefined, date: new Date('2026-06-02') },
+    );
+
+    expect(changes).toEqual({ courseId: null, date: '2026-06-02T00:00:00.000Z' });
+    expect(diffRoundFields(base, { ...base, courseId })).toEqual({
+      courseId: courseId.toString(),
+    });
+  });
+
+  it('should ignore fields that are not synced', () => {
+    expect(diffRoundFields(base, { ...base, shareCode: 'ABC123', version: 4 })).toEqual({});
+  });
+});
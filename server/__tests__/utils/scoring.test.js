@@ -0,0 +1,265 @@
+import {
+  stablefordPoints, computeRoundResults, computeSkins, computeNassau, getPlayStatus,
+} from '../../utils/scoring.js';
+
+const holes = Array.from({ length: 9 }, (_, i) => ({ holeNumber: i + 1, par: 4 }));
+
+describe('stablefordPoints', () => {
+  it('should score the standard table from par', () => {
+    expect([2, 1, 0, -1, -2].map((diff) => stablefordPoints(diff, 'standard')))
+      .toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('should score the modified table', () => {
+    expect([2, 1, 0, -1, -2, -3].map((diff) => stablefordPoints(diff, 'modified')))
+      .toEqual([-3, -1, 0, 2, 5, 8]);
+  });
+});
+
+describe('computeRoundResults', () => {
+  it('should total gross and net over scored holes only', () => {
+    const results = computeRoundResults({
+      format: 'stroke',
+      holes,
+      players: [{ name: 'A', scores: [5, 4, 0], courseHandicap: 9 }],
+    });
+
+    expect(results.players[0]).toMatchObject({
+      gross: 9, net: 7, parPlayed: 8, holesPlayed: 2,
+    });
+    expect(results.players[0].points).toBeUndefined();
+  });
+
+  it('should give net strokes on the holes the player\'s tee rates hardest', () => {
+    const tee = {
+      name: 'Blue',
+      holes: holes.map((hole, i) => ({ holeNumber: hole.holeNumber, strokeIndex: 9 - i })),
+    };
+    const results = computeRoundResults({
+      format: 'stroke',
+      holes,
+      players: [{
+        name: 'A', scores: [5, 5, 0, 0, 0, 0, 0, 4, 5], courseHandicap: 2, tee,
+      }],
+    });
+
+    // Strokes fall on holes 8 and 9 (stroke indexes 2 and 1), both played
+    expect(results.players[0].strokes).toEqual([0, 0, 0, 0, 0, 0, 0, 1, 1]);
+    expect(results.players[0]).toMatchObject({ gross: 19, net: 17, holesPlayed: 4 });
+  });
+
+  it('should award net Stableford points when configured', () => {
+    const results = computeRoundResults({
+      format: 'stableford',
+      formatOptions: { stablefordTable: 'standard', useNet: true },
+      holes,
+      players: [{ name: 'A', scores: [5, 4], courseHandicap: 9 }],
+    });
+
+    // One stroke per hole: net par then net birdie
+    expect(results.players[0].points.slice(0, 3)).toEqual([2, 3, null]);
+    expect(results.players[0].totalPoints).toBe(5);
+  });
+});
+
+describe('computeMatchPlay', () => {
+  const matchRound = (scoresA, scoresB) => ({
+    format: 'match',
+    holes: Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 })),
+    players: [{ name: 'A', scores: scoresA }, { name: 'B', scores: scoresB }],
+  });
+
+  it('should report the running status hole by hole', () => {
+    const { match } = computeRoundResults(matchRound([3, 4, 5], [4, 4, 4]));
+
+    expect(match.holes.slice(0, 3).map((h) => h.status)).toEqual(['1 UP', '1 UP', 'AS']);
+    expect(match.holes[1].winner).toBeNull();
+    expect(match.thru).toBe(3);
+    expect(match.status).toBe('AS');
+  });
+
+  it('should conclude early once the lead exceeds the holes left', () => {
+    const { match } = computeRoundResults(matchRound(Array(16).fill(3), Array(16).fill(4)));
+
+    expect(match.concluded).toBe(true);
+    expect(match.leader).toBe(0);
+    expect(match.holes[9].status).toBe('10&8');
+    expect(match.thru).toBe(10);
+  });
+
+  it('should flag dormie when the lead equals the holes left', () => {
+    const { match } = computeRoundResults(
+      matchRound([...Array(2).fill(3), ...Array(14).fill(4)], Array(16).fill(4)),
+    );
+
+    expect(match.status).toBe('2 UP (dormie)');
+  });
+
+  it('should report a match won on the last hole as holes up', () => {
+    const { match } = computeRoundResults(matchRound([3, ...Array(17).fill(4)], Array(18).fill(4)));
+
+    expect(match.status).toBe('1 UP');
+    expect(match.concluded).toBe(true);
+  });
+});
+
+describe('computeSkins', () => {
+  const skinsRound = (scores, skins = {}) => ({
+    holes: Array.from({ length: 4 }, (_, i) => ({ holeNumber: i + 1, par: 4 })),
+    players: scores.map((s, i) => ({ name: `P${i}`, scores: s })),
+    games: {
+      skins: {
+        enabled: true, value: 5, carryover: true, ...skins,
+      },
+    },
+  });
+
+  it('should carry tied skins to the next hole', () => {
+    const skins = computeSkins(skinsRound([[4, 3, 4], [4, 4, 4], [4, 5, 5]]));
+
+    expect(skins.holes.slice(0, 3)).toEqual([
+      { winner: null, skins: 1, carried: true },
+      { winner: 0, skins: 2, carried: false },
+      { winner: null, skins: 1, carried: true },
+    ]);
+    expect(skins.pending).toBe(1);
+    expect(skins.players[0]).toMatchObject({ skins: 2, holes: [2], balance: 20 });
+    expect(skins.players[1].balance).toBe(-10);
+    expect(skins.payments).toEqual([
+      { from: 1, to: 0, amount: 10 },
+      { from: 2, to: 0, amount: 10 },
+    ]);
+  });
+
+  it('should drop tied skins when carryovers are off', () => {
+    const skins = computeSkins(skinsRound([[4, 3], [4, 4]], { carryover: false }));
+
+    expect(skins.holes[1]).toEqual({ winner: 0, skins: 1, carried: false });
+    expect(skins.pending).toBe(0);
+  });
+
+  it('should stop settling at the first hole missing a score', () => {
+    const skins = computeSkins(skinsRound([[4, 0, 3], [5, 4, 4]]));
+
+    expect(skins.holes.slice(0, 3)).toEqual([{ winner: 0, skins: 1, carried: false }, null, null]);
+  });
+});
+
+describe('computeNassau', () => {
+  const nassauRound = (scoresA, scoresB, nassau = {}) => ({
+    holes: Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4 })),
+    players: [{ name: 'A', scores: scoresA }, { name: 'B', scores: scoresB }],
+    games: {
+      nassau: {
+        enabled: true, value: 5, pressMode: 'none', pressAt: 2, ...nassau,
+      },
+    },
+  });
+
+  it('should settle front, back and overall separately', () => {
+    const nassau = computeNassau(nassauRound(
+      [...Array(9).fill(3), ...Array(9).fill(5)],
+      [...Array(9).fill(4), ...Array(8).fill(4), 5],
+    ));
+
+    expect(nassau.bets.map((b) => [b.segment, b.winner, b.status])).toEqual([
+      ['front', 0, '5&4'],
+      ['back', 1, '5&4'],
+      ['overall', 0, '1 UP'],
+    ]);
+    expect(nassau.players.map((p) => p.balance)).toEqual([5, -5]);
+    expect(nassau.payments).toEqual([{ from: 1, to: 0, amount: 5 }]);
+  });
+
+  it('should press automatically when a side goes two down', () => {
+    const nassau = computeNassau(
+      nassauRound([3, 3, 4, 4, 4, 4, 4, 4, 4], Array(9).fill(4), { pressMode: 'auto' }),
+    );
+    const press = nassau.bets.find((b) => b.press);
+
+    expect(press).toMatchObject({
+      segment: 'front', pressedBy: 1, startHole: 3, endHole: 9, settled: true, winner: null,
+    });
+    expect(nassau.bets[0]).toMatchObject({ winner: 0, status: '2&1' });
+    expect(nassau.payments).toEqual([{ from: 1, to: 0, amount: 5 }]);
+  });
+
+  it('should include manual presses from the round', () => {
+    const nassau = computeNassau(nassauRound([3, 3, 5], [4, 4, 4], {
+      pressMode: 'manual',
+      presses: [{ segment: 'front', startHole: 3, side: 1 }],
+    }));
+    const press = nassau.bets.find((b) => b.press);
+
+    expect(press).toMatchObject({ pressedBy: 1, leader: 1, status: '1 UP' });
+    expect(nassau.thru).toBe(3);
+  });
+
+  it('should need two or four players', () => {
+    const round = nassauRound([4], [4]);
+    round.players.push({ name: 'C', scores: [4] });
+
+    expect(computeNassau(round)).toBeNull();
+  });
+});
+
+describe('team formats', () => {
+  const teamRound = (format, extra = {}) => ({
+    format,
+    holes: holes.slice(0, 3),
+    teams: [{ name: 'Team 1', scores: [4, 5, 0] }, { name: 'Team 2', scores: [] }],
+    players: [
+      { name: 'A', team: 0, scores: [5, 4, 0] },
+      { name: 'B', team: 0, scores: [4, 6, 0] },
+      { name: 'C', team: 1, scores: [0, 0, 0] },
+    ],
+    ...extra,
+  });
+
+  it('should take the best score on each team for best ball', () => {
+    const { teams } = computeRoundResults(teamRound('bestball'));
+
+    expect(teams[0]).toMatchObject({
+      players: [0, 1], scores: [4, 4, null], total: 8, parPlayed: 8, holesPlayed: 2,
+    });
+    expect(teams[1].holesPlayed).toBe(0);
+  });
+
+  it('should use net scores for net best ball', () => {
+    const round = teamRound('bestball', { formatOptions: { useNet: true } });
+    round.players[0].courseHandicap = 3;
+
+    expect(computeRoundResults(round).teams[0].scores.slice(0, 2)).toEqual([4, 3]);
+  });
+
+  it('should use the recorded team score for scramble', () => {
+    const { teams } = computeRoundResults(teamRound('scramble'));
+
+    expect(teams[0]).toMatchObject({ scores: [4, 5, null], total: 9 });
+  });
+});
+
+describe('getPlayStatus', () => {
+  const card = (filled) => Array.from({ length: 9 }, (_, i) => (i < filled ? 4 : 0));
+
+  it('should follow the player cards', () => {
+    const status = (...cards) => getPlayStatus({
+      holes, players: cards.map((scores) => ({ scores })),
+    });
+
+    expect(status(card(0), card(0))).toBe('scheduled');
+    expect(status(card(9), card(3))).toBe('in_progress');
+    expect(status(card(9), card(9))).toBe('completed');
+  });
+
+  it('should follow the team cards in scramble', () => {
+    const round = {
+      holes,
+      format: 'scramble',
+      players: [{ scores: card(0), team: 0 }, { scores: card(0), team: 1 }],
+      teams: [{ scores: card(9) }, { scores: card(9) }],
+    };
+
+    expect(getPlayStatus(round)).toBe('completed');
+  });
+});
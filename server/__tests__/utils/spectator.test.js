@@ -0,0 +1,27 @@
+import jwt from 'jsonwebtoken';
+import { createSpectatorGrant, verifySpectatorGrant } from '../../utils/spectator.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+describe('spectator grants', () => {
+  it('should only be valid for the round they were issued for', () => {
+    const { token, expiresAt } = createSpectatorGrant('round-1', 'user-1');
+
+    expect(verifySpectatorGrant(token, 'round-1')).toBe(true);
+    expect(verifySpectatorGrant(token, 'round-2')).toBe(false);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should not accept login tokens, expired grants or garbage', () => {
+    const loginToken = jwt.sign({ userId: 'user-1', roundId: 'round-1' }, process.env.JWT_SECRET);
+    const expired = jwt.sign(
+      { roundId: 'round-1', exp: Math.floor(Date.now() / 1000) - 60 },
+      `${process.env.JWT_SECRET}:spectator`,
+    );
+
+    expect(verifySpectatorGrant(loginToken, 'round-1')).toBe(false);
+    expect(verifySpectatorGrant(expired, 'round-1')).toBe(false);
+    expect(verifySpectatorGrant('not-a-token', 'round-1')).toBe(false);
+    expect(verifySpectatorGrant(undefined, 'round-1')).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  buildPlayerStats, buildCourseHistory, isSameCourse, listPlayedCourses,
+} from '../../utils/stats.js';
+
+const userId = 'user-1';
+const makeRound = (date, pars, scores, extraPlayers = []) => ({
+  _id: `round-${date}`,
+  date,
+  courseName: 'Pine Valley',
+  holes: pars.map((par, i) => ({ holeNumber: i + 1, par })),
+  players: [{ name: 'Me', userId, scores }, ...extraPlayers],
+});
+
+const ninePars = [4, 4, 3, 5, 4, 4, 3, 5, 4];
+
+describe('buildPlayerStats', () => {
+  const rounds = [
+    makeRound('2026-05-03', ninePars, [4, 5, 3, 5, 4, 4, 3, 5, 4]),
+    makeRound('2026-05-01', ninePars, [3, 4, 4, 6, 4, 6, 3, 5, 4]),
+    makeRound('2026-05-02', [...ninePars, ...ninePars], Array(18).fill(5)),
+    // Incomplete card and a round the user didn't play are ignored
+    makeRound('2026-05-04', ninePars, [4, 4, 0, 0, 0, 0, 0, 0, 0]),
+    { ...makeRound('2026-05-05', ninePars, Array(9).fill(4)), players: [] },
+  ];
+
+  it('should summarize completed rounds only', () => {
+    const stats = buildPlayerStats(rounds, userId);
+
+    expect(stats.rounds).toBe(3);
+    expect(stats.holesPlayed).toBe(36);
+    expect(stats.best).toMatchObject({ date: '2026-05-03', toPar: 1 });
+    expect(stats.worst).toMatchObject({ holes: 18, toPar: 18 });
+  });
+
+  it('should split 9- and 18-hole rounds', () => {
+    const { splits } = buildPlayerStats(rounds, userId);
+
+    expect(splits.nine).toMatchObject({ rounds: 2, scoringAverage: 38, averageToPar: 2 });
+    expect(splits.eighteen).toMatchObject({ rounds: 1, scoringAverage: 90 });
+  });
+
+  it('should count the score distribution and par averages', () => {
+    const { distribution, parAverages } = buildPlayerStats(rounds, userId);
+
+    expect(distribution).toEqual({
+      eagles: 0, birdies: 1, pars: 17, bogeys: 13, doubles: 5,
+    });
+    expect(parAverages[3]).toBe(4.1);
+  });
+
+  it('should return the latest rounds oldest first in the trend', () => {
+    const { trend } = buildPlayerStats(rounds, userId, 2);
+
+    expect(trend.map((r) => r.date)).toEqual(['2026-05-02', '2026-05-03']);
+    expect(trend[0]).not.toHaveProperty('scores');
+  });
+});
+
+describe('course history', () => {
+  const pars = [4, 3, 5];
+  const course = (round, courseName, courseId = null) => ({ ...round, courseName, courseId });
+  const rounds = [
+    course(makeRound('2026-06-01', pars, [5, 3, 4]), 'Pine Valley', 'course-1'),
+    course(makeRound('2026-06-08', pars, [4, 4, 0]), '  pine  valley '),
+    course(makeRound('2026-06-15', pars, [6, 2, 5]), 'Pine Valley', 'course-1'),
+    course(makeRound('2026-06-02', pars, [4, 3, 5]), 'Oakmont'),
+  ];
+
+  it('should match rounds by course reference or normalized name', () => {
+    const target = { courseId: 'course-1', courseName: 'Pine Valley' };
+
+    expect(rounds.map((r) => isSameCourse(r, target))).toEqual([true, true, true, false]);
+    expect(isSameCourse(rounds[0], { courseName: 'PINE VALLEY' })).toBe(true);
+    expect(isSameCourse(rounds[0], { courseId: 'course-2', courseName: 'Pine Valley' })).toBe(false);
+  });
+
+  it('should list played courses with unreferenced rounds merged by name', () => {
+    const courses = listPlayedCourses(rounds, userId);
+
+    expect(courses).toHaveLength(2);
+    expect(courses[0]).toMatchObject({
+      courseId: 'course-1', roundsPlayed: 3, rounds: 2, lastPlayed: '2026-06-15',
+    });
+    expect(courses[1]).toMatchObject({ courseId: null, courseName: 'Oakmont', roundsPlayed: 1 });
+  });
+
+  it('should aggregate each hole including partial cards', () => {
+    const history = buildCourseHistory(rounds.slice(0, 3), userId);
+
+    expect(history).toMatchObject({ courseId: 'course-1', roundsPlayed: 3, rounds: 2 });
+    expect(history.holes[0]).toMatchObject({
+      holeNumber: 1, par: 4, played: 3, average: 5, averageToPar: 1, best: 4,
+    });
+    expect(history.holes[1].distribution).toEqual({
+      eagles: 0, birdies: 1, pars: 1, bogeys: 1, doubles: 0,
+    });
+    expect(history.holes[2]).toMatchObject({ played: 2, best: 4 });
+  });
+});
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const courseHoleSchema = new mongoose.Schema({
+  holeNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 18,
+  },
+  par: {
+    type: Number,
+    required: true,
+    min: 3,
+    max: 5,
+  },
+}, { _id: false });
+
+const teeHoleSchema = new mongoose.Schema({
+  holeNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 18,
+  },
+  yardage: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  strokeIndex: {
+    type: Number,
+    min: 1,
+    max: 18,
+    default: null,
+  },
+}, { _id: false });
+
+// Also embedded on Round players as a snapshot of the tee they played
+const teeSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tee name is required'],
+    trim: true,
+  },
+  courseRating: {
+    type: Number,
+    min: 20,
+    max: 90,
+    default: null,
+  },
+  slope: {
+    type: Number,
+    min: 55,
+    max: 155,
+    default: null,
+  },
+  holes: {
+    type: [teeHoleSchema],
+    default: [],
+  },
+}, { _id: false });
+
+const courseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Course name is required'],
+    trim: true,
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  holes: {
+    type: [courseHoleSchema],
+    validate: {
+      validator(v) {
+        return v.length === 9 || v.length === 18;
+      },
+      message: 'Course must have 9 or 18 holes',
+    },
+  },
+  teeSets: {
+    type: [teeSetSchema],
+    default: [],
+    validate: {
+      validator(v) {
+        const names = v.map((t) => t.name.toLowerCase());
+        return new Set(names).size === names.length;
+      },
+      message: 'Tee set names must be unique',
+    },
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+export { teeSetSchema };
+export default mongoose.model('Course', courseSchema);
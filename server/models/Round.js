@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { teeSetSchema } from './Course.js';
+import { computeRoundResults, getPlayStatus, TEAM_FORMATS } from '../utils/scoring.js';
+import { isAttestationValid } from '../utils/attestation.js';
 
 const holeSchema = new mongoose.Schema({
   holeNumber: {
@@ -15,6 +18,65 @@ const holeSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// Optional stats for one hole; unset fields are null (not tracked)
+const holeStatsSchema = new mongoose.Schema({
+  holeNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 18,
+  },
+  putts: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null,
+  },
+  fairway: {
+    type: String,
+    enum: ['hit', 'left', 'right', null],
+    default: null,
+  },
+  gir: {
+    type: Boolean,
+    default: null,
+  },
+  penalties: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null,
+  },
+  sandShots: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null,
+  },
+  upAndDown: {
+    type: Boolean,
+    default: null,
+  },
+}, { _id: false });
+
+// Sign-off of a player's card by another linked player (the marker)
+const attestationSchema = new mongoose.Schema({
+  attestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  attestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // The card as it was signed
+  scores: {
+    type: [Number],
+    default: [],
+  },
+}, { _id: false });
+
 const playerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,14 +92,82 @@ const playerSchema = new mongoose.Schema({
     ref: 'User',
     default: null,
   },
+  tee: {
+    type: teeSetSchema,
+    default: null,
+  },
+  courseHandicap: {
+    type: Number,
+    min: -10,
+    max: 54,
+    default: null,
+  },
+  stats: {
+    type: [holeStatsSchema],
+    default: [],
+  },
+  // Index into round.teams for team formats
+  team: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  attestation: {
+    type: attestationSchema,
+    default: null,
+  },
+}, { _id: false });
+
+// Team in a team format; scores are only used by scramble and alternate shot
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  scores: {
+    type: [Number],
+    default: [],
+  },
+}, { _id: false });
+
+// Stat fields that can be set per hole
+const HOLE_STAT_FIELDS = ['putts', 'fairway', 'gir', 'penalties', 'sandShots', 'upAndDown'];
+
+// Manual Nassau press: a new bet from startHole to the end of that nine
+const pressSchema = new mongoose.Schema({
+  segment: {
+    type: String,
+    enum: ['front', 'back'],
+    required: true,
+  },
+  startHole: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 18,
+  },
+  side: {
+    type: Number,
+    enum: [0, 1],
+    required: true,
+  },
 }, { _id: false });
 
+// Lifecycle: scheduled -> in_progress -> completed -> finalized
+const ROUND_STATUSES = ['scheduled', 'in_progress', 'completed', 'finalized'];
+
 const roundSchema = new mongoose.Schema({
   courseName: {
     type: String,
     required: [true, 'Course name is required'],
     trim: true,
   },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
   date: {
     type: Date,
     required: [true, 'Date is required'],
@@ -60,6 +190,93 @@ const roundSchema = new mongoose.Schema({
       message: 'Round must have 1 to 4 players',
     },
   },
+  teams: {
+    type: [teamSchema],
+    default: [],
+  },
+  format: {
+    type: String,
+    enum: ['stroke', 'stableford', 'match', ...TEAM_FORMATS],
+    default: 'stroke',
+    validate: [
+      {
+        validator(v) {
+          return v !== 'match' || [2, 4].includes(this.players.length);
+        },
+        message: 'Match play needs 2 players (singles) or 4 players (2 vs 2)',
+      },
+      {
+        validator(v) {
+          if (!TEAM_FORMATS.includes(v)) return true;
+          return this.teams.length >= 2
+            && this.players.every((p) => p.team != null && p.team < this.teams.length)
+            && this.teams.every((_, i) => this.players.some((p) => p.team === i));
+        },
+        message: 'Team formats need at least 2 teams, with every player on a team',
+      },
+    ],
+  },
+  formatOptions: {
+    stablefordTable: {
+      type: String,
+      enum: ['standard', 'modified'],
+      default: 'standard',
+    },
+    useNet: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  games: {
+    skins: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      value: {
+        type: Number,
+        min: 0,
+        default: 1,
+      },
+      useNet: {
+        type: Boolean,
+        default: false,
+      },
+      carryover: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    nassau: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      value: {
+        type: Number,
+        min: 0,
+        default: 5,
+      },
+      useNet: {
+        type: Boolean,
+        default: false,
+      },
+      pressMode: {
+        type: String,
+        enum: ['none', 'auto', 'manual'],
+        default: 'auto',
+      },
+      pressAt: {
+        type: Number,
+        min: 1,
+        default: 2,
+      },
+      presses: {
+        type: [pressSchema],
+        default: [],
+      },
+    },
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -71,6 +288,73 @@ const roundSchema = new mongoose.Schema({
     sparse: true,
     default: null,
   },
-}, { timestamps: true });
+  status: {
+    type: String,
+    enum: ROUND_STATUSES,
+    default: 'scheduled',
+  },
+  finalizedAt: {
+    type: Date,
+    default: null,
+  },
+  // Bumped on every save; full updates must send the version they were based on
+  version: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, id: false },
+});
+
+// A score change after sign-off voids the attestation
+roundSchema.pre('save', function clearStaleAttestations() {
+  this.players.forEach((player) => {
+    // eslint-disable-next-line no-param-reassign
+    if (player.attestation && !isAttestationValid(this, player)) player.attestation = null;
+  });
+});
+
+// Scores move a round through scheduled, in progress and completed; only the
+// creator can finalize it, and a finalized round stays that way
+roundSchema.pre('save', function updateStatus() {
+  if (this.status !== 'finalized') this.status = getPlayStatus(this);
+});
+
+// Saves only apply to the version the round was loaded at, and bump it with
+// $inc like the atomic score writes do, so a save can never land on top of a
+// concurrent write unnoticed. It fails with a DocumentNotFoundError instead.
+roundSchema.pre('save', function bumpVersion() {
+  if (this.isNew) return;
+  // Rounds from before versioning have no stored version
+  const loaded = this.version > 0 ? this.version : { $in: [0, null] };
+  this.$where = { ...this.$where, version: loaded };
+  this.$inc('version', 1);
+});
+
+// Rounds saved before `status` existed read back as the 'scheduled' default and
+// never match a status filter; store the status their scores give them instead.
+// Resolves with the number of rounds updated.
+roundSchema.statics.backfillStatus = async function backfillStatus() {
+  const legacy = await this.find({ status: { $exists: false } })
+    .select('format holes players.scores teams.scores')
+    .lean();
+  if (legacy.length === 0) return 0;
+  const result = await this.bulkWrite(legacy.map((round) => ({
+    updateOne: {
+      // eslint-disable-next-line no-underscore-dangle
+      filter: { _id: round._id, status: { $exists: false } },
+      update: { $set: { status: getPlayStatus(round) } },
+    },
+  })));
+  return result.modifiedCount;
+};
+
+// Totals and format scoring, computed from the stored scores on every read
+roundSchema.virtual('results').get(function getResults() {
+  return computeRoundResults(this);
+});
 
+export { HOLE_STAT_FIELDS, ROUND_STATUSES };
 export default mongoose.model('Round', roundSchema);
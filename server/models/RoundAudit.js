@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { AUDIT_SOURCES, AUDIT_TYPES } from '../utils/audit.js';
+
+// One recorded change to a round, kept outside the round so history survives edits
+const roundAuditSchema = new mongoose.Schema({
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Round',
+    required: true,
+    index: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: AUDIT_SOURCES,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: AUDIT_TYPES,
+    required: true,
+  },
+  // Which property changed for player, course and stats entries, e.g. name or putts;
+  // 'added' or 'removed' for players and holes that were added or removed
+  field: {
+    type: String,
+    default: null,
+  },
+  playerIndex: {
+    type: Number,
+    default: null,
+  },
+  teamIndex: {
+    type: Number,
+    default: null,
+  },
+  holeNumber: {
+    type: Number,
+    default: null,
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+export default mongoose.model('RoundAudit', roundAuditSchema);
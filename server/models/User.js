@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import Round from './Round.js';
+import { buildHandicapRecord } from '../utils/handicap.js';
+import { isFullyAttested } from '../utils/attestation.js';
+
+// A badge earned by the user and the round that earned it
+const achievementSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Round',
+    default: null,
+  },
+  earnedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -29,6 +57,14 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  handicapIndex: {
+    type: Number,
+    default: null,
+  },
+  achievements: {
+    type: [achievementSchema],
+    default: [],
+  },
 }, { timestamps: true });
 
 // Hash password before saving
@@ -46,4 +82,15 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Recalculate a user's stored handicap index, which seeds their course handicap
+// when they join a round, from their fully attested rounds. Called when a round
+// is attested or finalized, so reads never have to write it. Resolves with the
+// handicap record.
+userSchema.statics.refreshHandicapIndex = async function refreshHandicapIndex(userId) {
+  const rounds = (await Round.find({ 'players.userId': userId })).filter(isFullyAttested);
+  const record = buildHandicapRecord(rounds, userId);
+  await this.updateOne({ _id: userId }, { handicapIndex: record.handicapIndex });
+  return record;
+};
+
 export default mongoose.model('User', userSchema);
@@ -234,6 +234,7 @@ router.get('/me', auth, async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       profilePicture: user.profilePicture,
+      handicapIndex: user.handicapIndex,
       createdAt: user.createdAt,
     });
   } catch (error) {
@@ -0,0 +1,349 @@
+import express from 'express';
+import Course from '../models/Course.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TeeHole:
+ *       type: object
+ *       properties:
+ *         holeNumber:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 18
+ *         yardage:
+ *           type: integer
+ *         strokeIndex:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 18
+ *     TeeSet:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Blue
+ *         courseRating:
+ *           type: number
+ *           example: 72.4
+ *         slope:
+ *           type: integer
+ *           minimum: 55
+ *           maximum: 155
+ *           example: 131
+ *         holes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TeeHole'
+ *     Course:
+ *       type: object
+ *       required:
+ *         - name
+ *         - holes
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         location:
+ *           type: string
+ *         holes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Hole'
+ *         teeSets:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TeeSet'
+ *         visibility:
+ *           type: string
+ *           enum: [private, shared]
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/courses:
+ *   post:
+ *     summary: Save a course to the library
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - holes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               holes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Hole'
+ *               teeSets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TeeSet'
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, shared]
+ *     responses:
+ *       201:
+ *         description: Course created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const {
+      name, location, holes, teeSets, visibility,
+    } = req.body;
+
+    const course = new Course({
+      name,
+      location,
+      holes,
+      teeSets,
+      visibility,
+      createdBy: req.userId,
+    });
+
+    await course.save();
+
+    return res.status(201).json({
+      message: 'Course created successfully',
+      data: course,
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses:
+ *   get:
+ *     summary: Get the user's own courses and all shared courses
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive filter on course name or location
+ *     responses:
+ *       200:
+ *         description: List of courses
+ *       400:
+ *         description: Search given more than once
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = {
+      $or: [
+        { createdBy: req.userId },
+        { visibility: 'shared' },
+      ],
+    };
+
+    if (req.query.search) {
+      // Repeating the parameter (?search=a&search=b) arrives as an array
+      if (typeof req.query.search !== 'string') {
+        return res.status(400).json({ error: 'Search must be given once' });
+      }
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$and = [{ $or: [{ name: pattern }, { location: pattern }] }];
+    }
+
+    const courses = await Course.find(filter).sort({ name: 1 });
+    return res.json(courses);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}:
+ *   get:
+ *     summary: Get a single course by ID
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course details
+ *       404:
+ *         description: Course not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    // Allow access if user is creator OR the course is shared
+    const course = await Course.findOne({
+      _id: req.params.id,
+      $or: [
+        { createdBy: req.userId },
+        { visibility: 'shared' },
+      ],
+    });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    return res.json(course);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}:
+ *   put:
+ *     summary: Update a course (creator only)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               holes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Hole'
+ *               teeSets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TeeSet'
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, shared]
+ *     responses:
+ *       200:
+ *         description: Course updated successfully
+ *       404:
+ *         description: Course not found or not authorized
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const course = await Course.findOne({
+      _id: req.params.id,
+      createdBy: req.userId,
+    });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found or not authorized' });
+    }
+
+    const {
+      name, location, holes, teeSets, visibility,
+    } = req.body;
+
+    if (name) course.name = name;
+    if (location !== undefined) course.location = location;
+    if (holes) course.holes = holes;
+    if (teeSets) course.teeSets = teeSets;
+    if (visibility) course.visibility = visibility;
+
+    await course.save();
+
+    return res.json({
+      message: 'Course updated successfully',
+      data: course,
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}:
+ *   delete:
+ *     summary: Delete a course (creator only)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course deleted successfully
+ *       404:
+ *         description: Course not found or not authorized
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const course = await Course.findOneAndDelete({
+      _id: req.params.id,
+      createdBy: req.userId,
+    });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found or not authorized' });
+    }
+
+    return res.json({ message: 'Course deleted successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,11 +1,232 @@
 import express from 'express';
-import Round from '../models/Round.js';
+import Round, { HOLE_STAT_FIELDS, ROUND_STATUSES } from '../models/Round.js';
+import Course from '../models/Course.js';
+import RoundAudit from '../models/RoundAudit.js';
+import User from '../models/User.js';
 import auth from '../middleware/auth.js';
 import generateCode from '../utils/generateCode.js';
-import { emitScoreUpdate, emitPlayerJoined, emitPlayerRemoved } from '../socket.js';
+import { calculateCourseHandicap } from '../utils/handicap.js';
+import { getNassauSegments, getPlayStatus, TEAM_FORMATS } from '../utils/scoring.js';
+import {
+  getAttestedCard, isAttestationRequired, isAttestationValid, isFullyAttested,
+} from '../utils/attestation.js';
+import { getCompletedCard } from '../utils/stats.js';
+import { evaluateAchievements } from '../utils/achievements.js';
+import { diffRound } from '../utils/audit.js';
+import { createSpectatorGrant } from '../utils/spectator.js';
+import { diffRoundFields } from '../utils/roundSync.js';
+import {
+  emitScoreUpdate,
+  emitTeamScoreUpdate,
+  emitStatsUpdate,
+  emitPlayerJoined,
+  emitPlayerRemoved,
+  emitNassauPress,
+  emitAchievementUnlocked,
+  emitRoundStatus,
+  emitAttestationUpdate,
+  emitRoundUpdated,
+  emitRoundDeleted,
+  evictFromRound,
+} from '../socket.js';
 
 const router = express.Router();
 
+/**
+ * Store audit entries for a change the actor made to a round. Like
+ * achievements, a failure is logged rather than failing the saved change.
+ */
+const recordAudit = async (round, actor, source, entries) => {
+  if (entries.length === 0) return;
+  try {
+    await RoundAudit.insertMany(entries.map((entry) => ({
+      // eslint-disable-next-line no-underscore-dangle
+      ...entry, roundId: round._id, actor, source,
+    })));
+  } catch (error) {
+    console.error('Record audit error:', error);
+  }
+};
+
+/**
+ * Respond to an error from saving a round. A save that lost the race with a
+ * concurrent write (see the Round model's version hook) is a conflict.
+ */
+const sendSaveError = (res, error, status = 500) => {
+  if (error.name === 'DocumentNotFoundError') {
+    return res.status(409).json({ error: 'Round was changed by someone else, please try again' });
+  }
+  return res.status(status).json({ error: error.message });
+};
+
+/**
+ * Bring status and attestations in line with the scores after an atomic
+ * write, as the save hooks do for full saves. Skipped when the round has
+ * moved on since, as the later write brings them in line instead.
+ */
+const syncDerivedFields = async (round) => {
+  const changes = {};
+  round.players.forEach((player, index) => {
+    if (player.attestation && !isAttestationValid(round, player)) {
+      changes[`players.${index}.attestation`] = null;
+    }
+  });
+  const status = round.status === 'finalized' ? round.status : getPlayStatus(round);
+  if (status !== round.status) changes.status = status;
+  if (Object.keys(changes).length === 0) return;
+
+  round.set(changes);
+  // eslint-disable-next-line no-underscore-dangle
+  await Round.updateOne({ _id: round._id, version: round.version }, { $set: changes });
+};
+
+/**
+ * Atomically set one hole of a score array (`players.<i>.scores` or
+ * `teams.<i>.scores`), bumping the round version. `filter` repeats the
+ * permission checks so they hold at write time. Resolves to the round with
+ * the write applied, the hole's previous score and the round as it was before
+ * (a plain object), or null if the filter no longer matches.
+ */
+const writeHoleScore = async (round, scoresPath, holeIndex, value, filter) => {
+  // eslint-disable-next-line no-underscore-dangle
+  const query = { _id: round._id, status: { $ne: 'finalized' }, ...filter };
+
+  // Fill a short card out to the full round so the hole can be set by position.
+  // Matching on the current length means concurrent writers only pad it once.
+  const { length } = round.get(scoresPath);
+  if (length <= holeIndex) {
+    const padding = Array(Math.max(round.holes.length, holeIndex + 1) - length).fill(0);
+    await Round.updateOne(
+      { ...query, [scoresPath]: { $size: length } },
+      { $push: { [scoresPath]: { $each: padding } } },
+    );
+  }
+
+  // The round as it was just before this write; apply the write to it in memory
+  const saved = await Round.findOneAndUpdate(
+    query,
+    { $set: { [`${scoresPath}.${holeIndex}`]: value }, $inc: { version: 1 } },
+  );
+  if (!saved) return null;
+
+  const before = saved.toObject();
+  const oldValue = saved.get(scoresPath)[holeIndex] || 0;
+  saved.get(scoresPath).set(holeIndex, value);
+  saved.version += 1;
+  await syncDerivedFields(saved);
+  return { round: saved, oldValue, before };
+};
+
+/**
+ * Filter for a hole whose score is still `expected`, for writes based on a
+ * value the client saw (e.g. queued while offline). Empty without one; a hole
+ * not entered yet may be 0 or missing from a short card.
+ */
+const expectedScoreFilter = (scoresPath, holeIndex, expected) => {
+  if (expected === undefined || expected === null) return {};
+  const value = parseInt(expected, 10) || 0;
+  return { [`${scoresPath}.${holeIndex}`]: value === 0 ? { $in: [0, null] } : value };
+};
+
+/**
+ * The hole's current score when a write was refused because it no longer
+ * held the expected value, or null when it was refused for another reason
+ */
+const findScoreConflict = async (roundId, scoresPath, holeIndex, expected) => {
+  if (expected === undefined || expected === null) return null;
+  const current = await Round.findById(roundId);
+  if (!current || current.status === 'finalized') return null;
+  const score = current.get(scoresPath)?.[holeIndex] || 0;
+  return score === (parseInt(expected, 10) || 0) ? null : { score };
+};
+
+/**
+ * Award new achievements to linked players whose cards are complete and
+ * announce them to the round's room. Errors are logged so they never fail
+ * the save that triggered them.
+ *
+ * Each badge is pushed only if the user still doesn't have it (for this
+ * round, when repeatable), so saves completing a card at the same time can't
+ * award it twice. Badges are kept once earned: later score edits don't revoke
+ * them, the same as a card signed for on the course.
+ */
+const awardAchievements = async (round, playerIndexes = round.players.map((_, i) => i)) => {
+  try {
+    await Promise.all(playerIndexes.map(async (playerIndex) => {
+      const player = round.players[playerIndex];
+      const card = player?.userId && getCompletedCard(round, player.userId);
+      if (!card) return;
+
+      const [user, otherRounds] = await Promise.all([
+        User.findById(player.userId).select('achievements'),
+        // eslint-disable-next-line no-underscore-dangle
+        Round.find({ 'players.userId': player.userId, _id: { $ne: round._id } }),
+      ]);
+      if (!user) return;
+
+      const previous = otherRounds
+        .map((other) => getCompletedCard(other, player.userId))
+        .filter(Boolean);
+      const pars = round.holes.map((h) => h.par);
+      const unlocked = evaluateAchievements(card, pars, previous, user.achievements);
+      if (unlocked.length === 0) return;
+
+      const awarded = await Promise.all(unlocked.map(async ({
+        key, name, description, repeatable,
+      }) => {
+        const achievement = {
+          // eslint-disable-next-line no-underscore-dangle
+          key, name, description, roundId: round._id, earnedAt: new Date(),
+        };
+        const earned = repeatable ? { key, roundId: achievement.roundId } : { key };
+        const { modifiedCount } = await User.updateOne(
+          // eslint-disable-next-line no-underscore-dangle
+          { _id: user._id, achievements: { $not: { $elemMatch: earned } } },
+          { $push: { achievements: achievement } },
+        );
+        return modifiedCount > 0 ? achievement : null;
+      }));
+      const achievements = awarded.filter(Boolean);
+      if (achievements.length === 0) return;
+
+      // eslint-disable-next-line no-underscore-dangle
+      emitAchievementUnlocked(round._id.toString(), {
+        playerIndex,
+        userId: player.userId,
+        playerName: player.name,
+        achievements,
+      });
+    }));
+  } catch (error) {
+    console.error('Award achievements error:', error);
+  }
+};
+
+/**
+ * Recalculate the stored handicap index of the linked players in one or more
+ * versions of a round, when it may have entered or left their handicap record.
+ * Errors are logged so they never fail the request that triggered them.
+ */
+const refreshHandicaps = async (...rounds) => {
+  try {
+    const userIds = new Set(rounds.flatMap((round) => round.players
+      .filter((player) => player.userId)
+      .map((player) => player.userId.toString())));
+    await Promise.all([...userIds].map((userId) => User.refreshHandicapIndex(userId)));
+  } catch (error) {
+    console.error('Refresh handicaps error:', error);
+  }
+};
+
+/**
+ * Recalculate handicaps after a write if the round counted toward them before
+ * or after it. A counted round changing (its scores, players or holes, or a
+ * score change clearing its attestations) changes its players' records.
+ */
+const refreshHandicapsIfCounted = async (before, after) => {
+  if (isFullyAttested(before) || isFullyAttested(after)) await refreshHandicaps(before, after);
+};
+
 /**
  * @swagger
  * components:
@@ -30,6 +251,380 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: integer
+ *         teeName:
+ *           type: string
+ *           description: On create, name of a tee set on the selected course to play from
+ *         tee:
+ *           $ref: '#/components/schemas/TeeSet'
+ *         courseHandicap:
+ *           type: integer
+ *           description: Strokes received for the round, allocated to holes by stroke index
+ *         team:
+ *           type: integer
+ *           nullable: true
+ *           description: Index into the round's teams (team formats)
+ *         stats:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/HoleStats'
+ *         attestation:
+ *           $ref: '#/components/schemas/Attestation'
+ *     Attestation:
+ *       type: object
+ *       nullable: true
+ *       description: >
+ *         Sign-off of the player's card by another linked player. Read-only; set
+ *         through the attest endpoint and cleared when the attested scores change.
+ *       properties:
+ *         attestedBy:
+ *           type: string
+ *         attestedAt:
+ *           type: string
+ *           format: date-time
+ *         scores:
+ *           type: array
+ *           description: The card as it was attested
+ *           items:
+ *             type: integer
+ *     RoundAudit:
+ *       type: object
+ *       description: One recorded change to a round
+ *       properties:
+ *         roundId:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           description: The user who made the change
+ *         source:
+ *           type: string
+ *           enum: [rest, bulk]
+ *           description: A single-value endpoint, or a full round update
+ *         type:
+ *           type: string
+ *           enum: [score, team-score, player, par, course, stats]
+ *         field:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             What changed for player, course and stats entries: name, userId, added,
+ *             removed, courseName, courseId or the stat's name
+ *         playerIndex:
+ *           type: integer
+ *           nullable: true
+ *         teamIndex:
+ *           type: integer
+ *           nullable: true
+ *         holeNumber:
+ *           type: integer
+ *           nullable: true
+ *         oldValue:
+ *           nullable: true
+ *         newValue:
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     HoleStats:
+ *       type: object
+ *       description: Optional per-hole stats; null means not tracked
+ *       properties:
+ *         holeNumber:
+ *           type: integer
+ *         putts:
+ *           type: integer
+ *           nullable: true
+ *         fairway:
+ *           type: string
+ *           enum: [hit, left, right]
+ *           nullable: true
+ *         gir:
+ *           type: boolean
+ *           nullable: true
+ *         penalties:
+ *           type: integer
+ *           nullable: true
+ *         sandShots:
+ *           type: integer
+ *           nullable: true
+ *         upAndDown:
+ *           type: boolean
+ *           nullable: true
+ *     Team:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Team 1
+ *         scores:
+ *           type: array
+ *           description: One score per hole (scramble and alternate shot)
+ *           items:
+ *             type: integer
+ *     TeamResult:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         players:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         useNet:
+ *           type: boolean
+ *         scores:
+ *           type: array
+ *           description: Team score per hole (best ball, net when useNet), null until scored
+ *           items:
+ *             type: integer
+ *             nullable: true
+ *         total:
+ *           type: integer
+ *         parPlayed:
+ *           type: integer
+ *         holesPlayed:
+ *           type: integer
+ *     PlayerResult:
+ *       type: object
+ *       properties:
+ *         gross:
+ *           type: integer
+ *         net:
+ *           type: integer
+ *         parPlayed:
+ *           type: integer
+ *         holesPlayed:
+ *           type: integer
+ *         strokes:
+ *           type: array
+ *           description: Handicap strokes received on each hole
+ *           items:
+ *             type: integer
+ *         points:
+ *           type: array
+ *           description: Stableford points per hole (null where unscored); Stableford rounds only
+ *           items:
+ *             type: integer
+ *         totalPoints:
+ *           type: integer
+ *     MatchResult:
+ *       type: object
+ *       description: Match play state; players 1 vs 2, or 1 & 2 vs 3 & 4 (best ball)
+ *       properties:
+ *         sides:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: integer
+ *         sideNames:
+ *           type: array
+ *           items:
+ *             type: string
+ *         holes:
+ *           type: array
+ *           description: >
+ *             Per-hole winner (side index, null when halved) and running status;
+ *             null for holes not yet decided
+ *           items:
+ *             type: object
+ *             properties:
+ *               winner:
+ *                 type: integer
+ *                 nullable: true
+ *               leader:
+ *                 type: integer
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 example: 2 UP
+ *         thru:
+ *           type: integer
+ *         leader:
+ *           type: integer
+ *           nullable: true
+ *         margin:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           example: 3&2
+ *         concluded:
+ *           type: boolean
+ *     SkinsResult:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: number
+ *         useNet:
+ *           type: boolean
+ *         carryover:
+ *           type: boolean
+ *         holes:
+ *           type: array
+ *           description: >
+ *             Per-hole winner (player index, null on a tie) and skins at stake;
+ *             null until the hole is settled
+ *           items:
+ *             type: object
+ *         pending:
+ *           type: integer
+ *           description: Skins carried over and not yet won
+ *         players:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               skins:
+ *                 type: integer
+ *               holes:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               balance:
+ *                 type: number
+ *                 description: Net winnings (negative when the player owes)
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: integer
+ *               to:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *     NassauBet:
+ *       type: object
+ *       properties:
+ *         segment:
+ *           type: string
+ *           enum: [front, back, overall]
+ *         press:
+ *           type: boolean
+ *         pressedBy:
+ *           type: integer
+ *           nullable: true
+ *           description: Side that started the press
+ *         startHole:
+ *           type: integer
+ *         endHole:
+ *           type: integer
+ *         leader:
+ *           type: integer
+ *           nullable: true
+ *         margin:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           example: 2 UP
+ *         settled:
+ *           type: boolean
+ *         winner:
+ *           type: integer
+ *           nullable: true
+ *           description: Winning side once settled, null while open or when halved
+ *     NassauResult:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: number
+ *         useNet:
+ *           type: boolean
+ *         pressMode:
+ *           type: string
+ *           enum: [none, auto, manual]
+ *         pressAt:
+ *           type: integer
+ *         sides:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: integer
+ *         sideNames:
+ *           type: array
+ *           items:
+ *             type: string
+ *         thru:
+ *           type: integer
+ *         bets:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/NassauBet'
+ *         players:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               balance:
+ *                 type: number
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *     Games:
+ *       type: object
+ *       properties:
+ *         skins:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             value:
+ *               type: number
+ *               description: Amount each other player pays per skin
+ *             useNet:
+ *               type: boolean
+ *             carryover:
+ *               type: boolean
+ *         nassau:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             value:
+ *               type: number
+ *               description: Stake for each bet (front, back, overall and every press)
+ *             useNet:
+ *               type: boolean
+ *             pressMode:
+ *               type: string
+ *               enum: [none, auto, manual]
+ *             pressAt:
+ *               type: integer
+ *               description: Holes down that trigger an automatic press
+ *             presses:
+ *               type: array
+ *               description: Manual presses, added with POST /api/rounds/{id}/press
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   segment:
+ *                     type: string
+ *                     enum: [front, back]
+ *                   startHole:
+ *                     type: integer
+ *                   side:
+ *                     type: integer
+ *     RoundResults:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *         players:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PlayerResult'
+ *         teams:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TeamResult'
+ *         match:
+ *           $ref: '#/components/schemas/MatchResult'
+ *         skins:
+ *           $ref: '#/components/schemas/SkinsResult'
+ *         nassau:
+ *           $ref: '#/components/schemas/NassauResult'
  *     Round:
  *       type: object
  *       required:
@@ -42,6 +637,9 @@ const router = express.Router();
  *           type: string
  *         courseName:
  *           type: string
+ *         courseId:
+ *           type: string
+ *           description: Library course the holes were copied from
  *         date:
  *           type: string
  *           format: date
@@ -53,6 +651,39 @@ const router = express.Router();
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Player'
+ *         teams:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Team'
+ *         format:
+ *           type: string
+ *           enum: [stroke, stableford, match, bestball, scramble, alternate]
+ *         formatOptions:
+ *           type: object
+ *           properties:
+ *             stablefordTable:
+ *               type: string
+ *               enum: [standard, modified]
+ *             useNet:
+ *               type: boolean
+ *               description: Net Stableford, or handicap strokes in match play
+ *         games:
+ *           $ref: '#/components/schemas/Games'
+ *         results:
+ *           $ref: '#/components/schemas/RoundResults'
+ *         status:
+ *           type: string
+ *           enum: [scheduled, in_progress, completed, finalized]
+ *           description: >
+ *             Set from the scores entered until the creator finalizes the round;
+ *             finalized rounds can no longer be edited
+ *         finalizedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         version:
+ *           type: integer
+ *           description: Incremented on every change; send it back with full updates
  *         createdBy:
  *           type: string
  *         createdAt:
@@ -78,13 +709,15 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - courseName
  *               - date
- *               - holes
  *               - players
  *             properties:
  *               courseName:
  *                 type: string
+ *                 description: Defaults to the course name when courseId is given
+ *               courseId:
+ *                 type: string
+ *                 description: Copy holes from this library course instead of sending them
  *               date:
  *                 type: string
  *                 format: date
@@ -96,6 +729,17 @@ const router = express.Router();
  *                 type: array
  *                 items:
  *                   $ref: '#/components/schemas/Player'
+ *               teams:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Team'
+ *               format:
+ *                 type: string
+ *                 enum: [stroke, stableford, match, bestball, scramble, alternate]
+ *               formatOptions:
+ *                 type: object
+ *               games:
+ *                 $ref: '#/components/schemas/Games'
  *     responses:
  *       201:
  *         description: Round created successfully
@@ -103,12 +747,51 @@ const router = express.Router();
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Course not found
  */
 router.post('/', auth, async (req, res) => {
   try {
     const {
-      courseName, date, holes, players,
+      courseId, date, teams, format, formatOptions, games,
     } = req.body;
+    let { courseName, holes, players } = req.body;
+
+    // Copy holes (and name, if not overridden) from a library course
+    if (courseId) {
+      const course = await Course.findOne({
+        _id: courseId,
+        $or: [
+          { createdBy: req.userId },
+          { visibility: 'shared' },
+        ],
+      });
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      courseName = courseName || course.name;
+      holes = course.holes.map((h) => ({ holeNumber: h.holeNumber, par: h.par }));
+
+      // Snapshot each player's chosen tee so later course edits don't rewrite the round
+      if (Array.isArray(players)) {
+        const unknownTee = players.find((p) => p.teeName
+          && !course.teeSets.some((t) => t.name === p.teeName));
+        if (unknownTee) {
+          return res.status(400).json({ error: `Unknown tee set: ${unknownTee.teeName}` });
+        }
+        players = players.map(({ teeName, ...player }) => {
+          const tee = teeName ? course.teeSets.find((t) => t.name === teeName) : null;
+          return tee ? { ...player, tee: tee.toObject() } : player;
+        });
+      }
+    }
+
+    // Cards are only attested through the attest endpoint
+    if (Array.isArray(players)) {
+      players = players.map(({ attestation, ...player }) => player);
+    }
 
     // Generate unique share code
     let shareCode;
@@ -122,14 +805,20 @@ router.post('/', auth, async (req, res) => {
 
     const round = new Round({
       courseName,
+      courseId: courseId || null,
       date,
       holes,
       players,
+      teams,
+      format,
+      formatOptions,
+      games,
       createdBy: req.userId,
       shareCode,
     });
 
     await round.save();
+    await awardAchievements(round);
 
     return res.status(201).json({
       message: 'Round created successfully',
@@ -148,21 +837,44 @@ router.post('/', auth, async (req, res) => {
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only rounds with this status (comma-separated for several)
+ *         example: in_progress,completed
  *     responses:
  *       200:
  *         description: List of rounds
+ *       400:
+ *         description: Invalid status
  *       401:
  *         description: Unauthorized
  */
 router.get('/', auth, async (req, res) => {
   try {
-    // Find rounds where user is creator OR a participant
-    const rounds = await Round.find({
+    const filter = {
+      // Find rounds where user is creator OR a participant
       $or: [
         { createdBy: req.userId },
         { 'players.userId': req.userId },
       ],
-    }).sort({ date: -1 });
+    };
+
+    if (req.query.status) {
+      // Repeating the parameter (?status=a&status=b) arrives as an array
+      if (typeof req.query.status !== 'string') {
+        return res.status(400).json({ error: 'Status must be given once, as a comma-separated list' });
+      }
+      const statuses = req.query.status.split(',');
+      if (!statuses.every((status) => ROUND_STATUSES.includes(status))) {
+        return res.status(400).json({ error: `Status must be one of: ${ROUND_STATUSES.join(', ')}` });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const rounds = await Round.find(filter).sort({ date: -1 });
     return res.json(rounds);
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -239,21 +951,717 @@ router.get('/:id', auth, async (req, res) => {
       ],
     });
 
-    if (!round) {
-      return res.status(404).json({ error: 'Round not found' });
-    }
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    return res.json(round);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}/history:
+ *   get:
+ *     summary: Get the audit log of changes to a round
+ *     description: >
+ *       Every score, team score, player, par and course change, newest first,
+ *       with who made it. Visible to the creator and linked players.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RoundAudit'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Round not found
+ */
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const round = await Round.findOne({
+      _id: req.params.id,
+      $or: [
+        { createdBy: req.userId },
+        { 'players.userId': req.userId },
+      ],
+    }).select('_id');
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    // eslint-disable-next-line no-underscore-dangle
+    const history = await RoundAudit.find({ roundId: round._id })
+      .sort({ createdAt: -1 })
+      .populate('actor', 'firstName lastName');
+
+    return res.json(history);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}:
+ *   put:
+ *     summary: Update a round (scores, players, etc.)
+ *     description: >
+ *       Replaces the round's settings and players wholesale, so it requires the
+ *       version the edit was based on. If the round changed since, nothing is
+ *       saved and the 409 response carries the current round to merge against.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: The round version this update is based on
+ *               courseName:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               holes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Hole'
+ *               players:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Player'
+ *               teams:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Team'
+ *               format:
+ *                 type: string
+ *                 enum: [stroke, stableford, match, bestball, scramble, alternate]
+ *               formatOptions:
+ *                 type: object
+ *               games:
+ *                 $ref: '#/components/schemas/Games'
+ *     responses:
+ *       200:
+ *         description: Round updated successfully
+ *       400:
+ *         description: Missing version or invalid round data
+ *       404:
+ *         description: Round not found
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Round is finalized, or was changed since the given version
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const round = await Round.findOne({
+      _id: req.params.id,
+      createdBy: req.userId,
+    });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
+
+    const {
+      version, courseName, date, holes, players, teams, format, formatOptions, games,
+    } = req.body;
+
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'Round version is required' });
+    }
+
+    if (version !== round.version) {
+      return res.status(409).json({ error: 'Round was changed by someone else', data: round });
+    }
+
+    const before = round.toObject();
+    const beforeJSON = round.toJSON();
+
+    if (courseName) round.courseName = courseName;
+    if (date) round.date = date;
+    if (holes) round.holes = holes;
+    if (players) {
+      // Keep attestations from the stored cards; they're cleared on save if the scores changed
+      round.players = players.map(({ attestation, ...player }, index) => {
+        const previous = round.players[index];
+        const samePlayer = previous?.attestation
+          && previous.userId?.toString() === player.userId?.toString();
+        return samePlayer ? { ...player, attestation: previous.attestation.toObject() } : player;
+      });
+    }
+    if (teams) round.teams = teams;
+    if (format) round.format = format;
+    if (formatOptions) round.formatOptions = formatOptions;
+    if (games) {
+      // Manual presses come from the press endpoint, so keep them unless replaced
+      const presses = (round.games?.nassau?.presses || []).map((p) => p.toObject());
+      round.games = games;
+      if (games.nassau && !games.nassau.presses) round.games.nassau.presses = presses;
+    }
+
+    // Only saves if nobody else has since (see the Round model's version hook)
+    await round.save();
+    await recordAudit(round, req.userId, 'bulk', diffRound(before, round.toObject()));
+    await refreshHandicapsIfCounted(before, round);
+
+    // Emit the changed fields to everyone viewing the round
+    const changes = diffRoundFields(beforeJSON, round.toJSON());
+    if (Object.keys(changes).length > 0) {
+      emitRoundUpdated(req.params.id, { version: round.version, changes });
+    }
+    await awardAchievements(round);
+
+    return res.json({
+      message: 'Round updated successfully',
+      data: round,
+    });
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      const current = await Round.findById(req.params.id);
+      return res.status(409).json({ error: 'Round was changed by someone else', data: current });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}/share:
+ *   post:
+ *     summary: Generate a share code for a round (admin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share code generated
+ *       403:
+ *         description: Not authorized (not the creator)
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: Round was changed by someone else while saving
+ */
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const round = await Round.findOne({
+      _id: req.params.id,
+      createdBy: req.userId,
+    });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found or not authorized' });
+    }
+
+    // Generate unique code if not already set
+    if (!round.shareCode) {
+      let code;
+      let isUnique = false;
+
+      while (!isUnique) {
+        code = generateCode();
+        // eslint-disable-next-line no-await-in-loop
+        const existing = await Round.findOne({ shareCode: code });
+        if (!existing) isUnique = true;
+      }
+
+      round.shareCode = code;
+      await round.save();
+    }
+
+    return res.json({
+      message: 'Share code generated',
+      shareCode: round.shareCode,
+    });
+  } catch (error) {
+    return sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}/spectator-grant:
+ *   post:
+ *     summary: Issue a spectator grant for a round's live updates (admin only)
+ *     description: >
+ *       The grant lets any signed-in user join the round's socket room without
+ *       being a player. Pass it as `spectatorGrant` with `join-round`. Grants
+ *       expire after 24 hours.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Spectator grant issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Round not found or not authorized
+ */
+router.post('/:id/spectator-grant', auth, async (req, res) => {
+  try {
+    const round = await Round.findOne({
+      _id: req.params.id,
+      createdBy: req.userId,
+    });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found or not authorized' });
+    }
+
+    return res.json({
+      message: 'Spectator grant issued',
+      // eslint-disable-next-line no-underscore-dangle
+      data: createSpectatorGrant(round._id, req.userId),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/join:
+ *   post:
+ *     summary: Join a round using a share code
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shareCode
+ *               - playerIndex
+ *             properties:
+ *               shareCode:
+ *                 type: string
+ *               playerIndex:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Joined round successfully
+ *       400:
+ *         description: Invalid request or slot already claimed
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: Round is finalized, or was changed by someone else while saving
+ */
+router.post('/join', auth, async (req, res) => {
+  try {
+    const { shareCode, playerIndex } = req.body;
+
+    if (!shareCode || playerIndex === undefined) {
+      return res.status(400).json({ error: 'Share code and player index required' });
+    }
+
+    const round = await Round.findOne({ shareCode: shareCode.toUpperCase() });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Invalid share code' });
+    }
+
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
+
+    // Check if player index is valid
+    if (playerIndex < 0 || playerIndex >= round.players.length) {
+      return res.status(400).json({ error: 'Invalid player slot' });
+    }
+
+    // Check if slot is already claimed by someone else
+    const player = round.players[playerIndex];
+    if (player.userId && player.userId.toString() !== req.userId) {
+      return res.status(400).json({ error: 'This slot is already claimed' });
+    }
+
+    // Check if user already has a slot in this round
+    const existingSlot = round.players.findIndex(
+      // eslint-disable-next-line no-underscore-dangle
+      (p) => p.userId && p.userId.toString() === req.userId,
+    );
+    if (existingSlot !== -1 && existingSlot !== playerIndex) {
+      return res.status(400).json({ error: 'You already have a slot in this round' });
+    }
+
+    // Claim the slot
+    const before = round.toObject();
+    const previousUserId = round.players[playerIndex].userId?.toString() ?? null;
+    round.players[playerIndex].userId = req.userId;
+
+    // Derive a course handicap from the user's index if the creator didn't set one
+    if (round.players[playerIndex].courseHandicap == null) {
+      const joiningUser = await User.findById(req.userId);
+      const par = round.holes.reduce((sum, h) => sum + h.par, 0);
+      round.players[playerIndex].courseHandicap = calculateCourseHandicap(
+        joiningUser?.handicapIndex,
+        round.players[playerIndex].tee,
+        par,
+      );
+    }
+
+    await round.save();
+    await refreshHandicapsIfCounted(before, round);
+    if (previousUserId !== req.userId) {
+      await recordAudit(round, req.userId, 'rest', [{
+        type: 'player', field: 'userId', playerIndex, oldValue: previousUserId, newValue: req.userId,
+      }]);
+    }
+
+    // Emit real-time update to all clients in this round's room
+    // eslint-disable-next-line no-underscore-dangle
+    emitPlayerJoined(round._id.toString(), {
+      playerIndex,
+      userId: req.userId,
+      playerName: round.players[playerIndex].name,
+      courseHandicap: round.players[playerIndex].courseHandicap,
+    });
+
+    return res.json({
+      message: 'Joined round successfully',
+      data: round,
+    });
+  } catch (error) {
+    return sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}/score:
+ *   put:
+ *     summary: Update a single score (participant can only update their own)
+ *     description: >
+ *       Writes only the given hole, atomically, so concurrent updates to the
+ *       same round are never lost.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - playerIndex
+ *               - holeIndex
+ *               - score
+ *             properties:
+ *               playerIndex:
+ *                 type: integer
+ *               holeIndex:
+ *                 type: integer
+ *               score:
+ *                 type: integer
+ *               expected:
+ *                 type: integer
+ *                 description: Only save if the hole still has this score (0 for not entered)
+ *     responses:
+ *       200:
+ *         description: Score updated
+ *       403:
+ *         description: Not authorized to update this score
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: >
+ *           Round is finalized, or was finalized or relinked while saving, or
+ *           the hole no longer has the expected score (its current score is
+ *           returned as `data.score`)
+ */
+router.put('/:id/score', auth, async (req, res) => {
+  try {
+    const {
+      playerIndex, holeIndex, score, expected,
+    } = req.body;
+
+    // Find round where user is creator OR participant
+    const round = await Round.findOne({
+      _id: req.params.id,
+      $or: [
+        { createdBy: req.userId },
+        { 'players.userId': req.userId },
+      ],
+    });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
+
+    // Check permissions: admin can edit any, participant only their own
+    // eslint-disable-next-line no-underscore-dangle
+    const isAdmin = round.createdBy.toString() === req.userId;
+    const player = round.players[playerIndex];
+
+    if (!player) {
+      return res.status(400).json({ error: 'Invalid player index' });
+    }
+
+    // If not admin, must be editing their own slot
+    if (!isAdmin && (!player.userId || player.userId.toString() !== req.userId)) {
+      return res.status(403).json({ error: 'Not authorized to update this score' });
+    }
+
+    // Validate hole index
+    if (holeIndex < 0 || holeIndex >= round.holes.length) {
+      return res.status(400).json({ error: 'Invalid hole index' });
+    }
+
+    // Write just this hole so concurrent updates to other holes aren't lost
+    const newValue = parseInt(score, 10) || 0;
+    const scoresPath = `players.${playerIndex}.scores`;
+    const written = await writeHoleScore(round, scoresPath, holeIndex, newValue, {
+      ...(isAdmin
+        ? { createdBy: req.userId }
+        : { [`players.${playerIndex}.userId`]: req.userId }),
+      ...expectedScoreFilter(scoresPath, holeIndex, expected),
+    });
+    if (!written) {
+      const conflict = await findScoreConflict(req.params.id, scoresPath, holeIndex, expected);
+      if (conflict) {
+        return res.status(409).json({ error: 'Score was changed by someone else', data: conflict });
+      }
+      return res.status(409).json({ error: 'Round was finalized or the player changed' });
+    }
+
+    const { round: updated, oldValue, before } = written;
+    await refreshHandicapsIfCounted(before, updated);
+    if (newValue !== oldValue) {
+      await recordAudit(updated, req.userId, 'rest', [{
+        type: 'score', playerIndex, holeNumber: holeIndex + 1, oldValue, newValue,
+      }]);
+    }
+
+    const update = {
+      playerIndex,
+      holeIndex,
+      score: newValue,
+      status: updated.status,
+      attestations: updated.players.map((p) => p.attestation),
+      results: updated.results,
+    };
+
+    // Emit real-time update to all clients in this round's room
+    emitScoreUpdate(req.params.id, update);
+    await awardAchievements(updated, [playerIndex]);
+
+    return res.json({
+      message: 'Score updated',
+      data: update,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{id}/stats:
+ *   put:
+ *     summary: Update a player's stats on a hole (participant can only update their own)
+ *     description: Only the fields sent are changed; send null to clear one.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - playerIndex
+ *               - holeIndex
+ *               - stats
+ *             properties:
+ *               playerIndex:
+ *                 type: integer
+ *               holeIndex:
+ *                 type: integer
+ *               stats:
+ *                 $ref: '#/components/schemas/HoleStats'
+ *     responses:
+ *       200:
+ *         description: Stats updated
+ *       400:
+ *         description: Invalid player, hole or stat value
+ *       403:
+ *         description: Not authorized to update this player's stats
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: Round is finalized, or was changed by someone else while saving
+ */
+router.put('/:id/stats', auth, async (req, res) => {
+  try {
+    const { playerIndex, holeIndex, stats } = req.body;
+
+    // Find round where user is creator OR participant
+    const round = await Round.findOne({
+      _id: req.params.id,
+      $or: [
+        { createdBy: req.userId },
+        { 'players.userId': req.userId },
+      ],
+    });
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
+
+    // Check permissions: admin can edit any, participant only their own
+    const isAdmin = round.createdBy.toString() === req.userId;
+    const player = round.players[playerIndex];
+
+    if (!player) {
+      return res.status(400).json({ error: 'Invalid player index' });
+    }
+
+    if (!isAdmin && (!player.userId || player.userId.toString() !== req.userId)) {
+      return res.status(403).json({ error: 'Not authorized to update this player\'s stats' });
+    }
+
+    const hole = round.holes[holeIndex];
+    if (!hole) {
+      return res.status(400).json({ error: 'Invalid hole index' });
+    }
+
+    let entry = player.stats.find((s) => s.holeNumber === hole.holeNumber);
+    if (!entry) {
+      player.stats.push({ holeNumber: hole.holeNumber });
+      entry = player.stats[player.stats.length - 1];
+    }
+    const oldStats = Object.fromEntries(
+      HOLE_STAT_FIELDS.map((field) => [field, entry[field] ?? null]),
+    );
+
+    HOLE_STAT_FIELDS.forEach((field) => {
+      if (stats?.[field] !== undefined) entry[field] = stats[field];
+    });
+
+    await round.save();
+    await recordAudit(round, req.userId, 'rest', HOLE_STAT_FIELDS
+      .filter((field) => (entry[field] ?? null) !== oldStats[field])
+      .map((field) => ({
+        type: 'stats',
+        field,
+        playerIndex,
+        holeNumber: hole.holeNumber,
+        oldValue: oldStats[field],
+        newValue: entry[field] ?? null,
+      })));
+
+    const update = {
+      playerIndex,
+      holeIndex,
+      stats: entry.toObject(),
+    };
 
-    return res.json(round);
+    // Emit real-time update to all clients in this round's room
+    emitStatsUpdate(req.params.id, update);
+
+    return res.json({
+      message: 'Stats updated',
+      data: update,
+    });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSaveError(res, error, error.name === 'ValidationError' ? 400 : 500);
   }
 });
 
 /**
  * @swagger
- * /api/rounds/{id}:
+ * /api/rounds/{id}/team-score:
  *   put:
- *     summary: Update a round (scores, players, etc.)
+ *     summary: Update a team's score on a hole (scramble and alternate shot)
+ *     description: The admin can update any team; players only their own team.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -269,64 +1677,130 @@ router.get('/:id', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - teamIndex
+ *               - holeIndex
+ *               - score
  *             properties:
- *               courseName:
- *                 type: string
- *               date:
- *                 type: string
- *                 format: date
- *               holes:
- *                 type: array
- *                 items:
- *                   $ref: '#/components/schemas/Hole'
- *               players:
- *                 type: array
- *                 items:
- *                   $ref: '#/components/schemas/Player'
+ *               teamIndex:
+ *                 type: integer
+ *               holeIndex:
+ *                 type: integer
+ *               score:
+ *                 type: integer
+ *               expected:
+ *                 type: integer
+ *                 description: Only save if the hole still has this score (0 for not entered)
  *     responses:
  *       200:
- *         description: Round updated successfully
+ *         description: Team score updated
+ *       400:
+ *         description: Round does not use team scores, or invalid team or hole
+ *       403:
+ *         description: Not authorized to update this team's score
  *       404:
  *         description: Round not found
- *       401:
- *         description: Unauthorized
+ *       409:
+ *         description: >
+ *           Round is finalized, or was finalized or relinked while saving, or
+ *           the hole no longer has the expected score (its current score is
+ *           returned as `data.score`)
  */
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id/team-score', auth, async (req, res) => {
   try {
+    const {
+      teamIndex, holeIndex, score, expected,
+    } = req.body;
+
+    // Find round where user is creator OR participant
     const round = await Round.findOne({
       _id: req.params.id,
-      createdBy: req.userId,
+      $or: [
+        { createdBy: req.userId },
+        { 'players.userId': req.userId },
+      ],
     });
 
     if (!round) {
       return res.status(404).json({ error: 'Round not found' });
     }
 
-    const {
-      courseName, date, holes, players,
-    } = req.body;
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
 
-    if (courseName) round.courseName = courseName;
-    if (date) round.date = date;
-    if (holes) round.holes = holes;
-    if (players) round.players = players;
+    // Best ball is scored from the players' own cards
+    if (!TEAM_FORMATS.includes(round.format) || round.format === 'bestball') {
+      return res.status(400).json({ error: 'This round does not use team scores' });
+    }
 
-    await round.save();
+    const team = round.teams[teamIndex];
+    if (!team) {
+      return res.status(400).json({ error: 'Invalid team index' });
+    }
+
+    // Check permissions: admin can edit any, players only their own team
+    const isAdmin = round.createdBy.toString() === req.userId;
+    const onTeam = round.players.some((p) => p.team === teamIndex
+      && p.userId?.toString() === req.userId);
+    if (!isAdmin && !onTeam) {
+      return res.status(403).json({ error: 'Not authorized to update this team\'s score' });
+    }
+
+    if (holeIndex < 0 || holeIndex >= round.holes.length) {
+      return res.status(400).json({ error: 'Invalid hole index' });
+    }
+
+    const newValue = parseInt(score, 10) || 0;
+    const scoresPath = `teams.${teamIndex}.scores`;
+    const written = await writeHoleScore(round, scoresPath, holeIndex, newValue, {
+      ...(isAdmin
+        ? { createdBy: req.userId }
+        : { players: { $elemMatch: { team: teamIndex, userId: req.userId } } }),
+      ...expectedScoreFilter(scoresPath, holeIndex, expected),
+    });
+    if (!written) {
+      const conflict = await findScoreConflict(req.params.id, scoresPath, holeIndex, expected);
+      if (conflict) {
+        return res.status(409).json({ error: 'Score was changed by someone else', data: conflict });
+      }
+      return res.status(409).json({ error: 'Round was finalized or the team changed' });
+    }
+
+    const { round: updated, oldValue, before } = written;
+    await refreshHandicapsIfCounted(before, updated);
+    if (newValue !== oldValue) {
+      await recordAudit(updated, req.userId, 'rest', [{
+        type: 'team-score', teamIndex, holeNumber: holeIndex + 1, oldValue, newValue,
+      }]);
+    }
+
+    const update = {
+      teamIndex,
+      holeIndex,
+      score: newValue,
+      status: updated.status,
+      attestations: updated.players.map((p) => p.attestation),
+      results: updated.results,
+    };
+
+    // Emit real-time update to all clients in this round's room
+    emitTeamScoreUpdate(req.params.id, update);
 
     return res.json({
-      message: 'Round updated successfully',
-      data: round,
+      message: 'Team score updated',
+      data: update,
     });
   } catch (error) {
-    return res.status(400).json({ error: error.message });
+    return res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/rounds/{id}/share:
+ * /api/rounds/{id}/press:
  *   post:
- *     summary: Generate a share code for a round (admin only)
+ *     summary: Press the front or back nine Nassau bet (side that is down only)
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -336,58 +1810,119 @@ router.put('/:id', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - segment
+ *             properties:
+ *               segment:
+ *                 type: string
+ *                 enum: [front, back]
+ *               side:
+ *                 type: integer
+ *                 description: Pressing side (admin only; players always press for their own side)
  *     responses:
- *       200:
- *         description: Share code generated
+ *       201:
+ *         description: Press added, starting on the next hole to be played
+ *       400:
+ *         description: Presses not allowed now
  *       403:
- *         description: Not authorized (not the creator)
+ *         description: Not a player in this round
  *       404:
  *         description: Round not found
+ *       409:
+ *         description: Round is finalized, or was changed by someone else while saving
  */
-router.post('/:id/share', auth, async (req, res) => {
+router.post('/:id/press', auth, async (req, res) => {
   try {
+    const { segment } = req.body;
+
     const round = await Round.findOne({
       _id: req.params.id,
-      createdBy: req.userId,
+      $or: [
+        { createdBy: req.userId },
+        { 'players.userId': req.userId },
+      ],
     });
 
     if (!round) {
-      return res.status(404).json({ error: 'Round not found or not authorized' });
+      return res.status(404).json({ error: 'Round not found' });
     }
 
-    // Generate unique code if not already set
-    if (!round.shareCode) {
-      let code;
-      let isUnique = false;
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
 
-      while (!isUnique) {
-        code = generateCode();
-        // eslint-disable-next-line no-await-in-loop
-        const existing = await Round.findOne({ shareCode: code });
-        if (!existing) isUnique = true;
-      }
+    const nassau = round.results?.nassau;
+    if (!nassau || nassau.pressMode !== 'manual') {
+      return res.status(400).json({ error: 'Manual presses are not enabled for this round' });
+    }
 
-      round.shareCode = code;
-      await round.save();
+    // Players press for their own side; the admin may press for either
+    const isAdmin = round.createdBy.toString() === req.userId;
+    const playerIndex = round.players.findIndex((p) => p.userId?.toString() === req.userId);
+    const playerSide = nassau.sides.findIndex((side) => side.includes(playerIndex));
+    const side = isAdmin && req.body.side !== undefined ? Number(req.body.side) : playerSide;
+
+    if (side !== 0 && side !== 1) {
+      return res.status(403).json({ error: 'Only players in the match can press' });
     }
 
-    return res.json({
-      message: 'Share code generated',
-      shareCode: round.shareCode,
+    const range = getNassauSegments(round.holes.length)[segment];
+    if (segment === 'overall' || !range) {
+      return res.status(400).json({ error: 'Presses can only be made on the front or back nine' });
+    }
+
+    if (nassau.thru <= range.start || nassau.thru >= range.end) {
+      return res.status(400).json({ error: `The ${segment} nine is not in progress` });
+    }
+
+    const isDown = nassau.bets.some((bet) => bet.segment === segment
+      && !bet.settled
+      && bet.leader === 1 - side);
+    if (!isDown) {
+      return res.status(400).json({ error: 'Only a side that is down can press' });
+    }
+
+    const press = { segment, startHole: nassau.thru + 1, side };
+    round.games.nassau.presses.push(press);
+    await round.save();
+
+    const update = { press, results: round.results };
+
+    // Emit real-time update to all clients in this round's room
+    emitNassauPress(req.params.id, update);
+
+    return res.status(201).json({
+      message: 'Press added',
+      data: update,
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSaveError(res, error);
   }
 });
 
 /**
  * @swagger
- * /api/rounds/join:
+ * /api/rounds/{id}/attest:
  *   post:
- *     summary: Join a round using a share code
+ *     summary: Attest another linked player's completed card
+ *     description: >
+ *       The marker must be a linked player in the round other than the player
+ *       being attested. The attestation is cleared if those scores change later.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -395,81 +1930,92 @@ router.post('/:id/share', auth, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - shareCode
  *               - playerIndex
  *             properties:
- *               shareCode:
- *                 type: string
  *               playerIndex:
  *                 type: integer
  *     responses:
  *       200:
- *         description: Joined round successfully
+ *         description: Card attested
  *       400:
- *         description: Invalid request or slot already claimed
+ *         description: Invalid player, unlinked player, or incomplete card
+ *       403:
+ *         description: Not a linked player in the round, or attesting your own card
  *       404:
  *         description: Round not found
+ *       409:
+ *         description: Round is finalized, or was changed by someone else while saving
  */
-router.post('/join', auth, async (req, res) => {
+router.post('/:id/attest', auth, async (req, res) => {
   try {
-    const { shareCode, playerIndex } = req.body;
-
-    if (!shareCode || playerIndex === undefined) {
-      return res.status(400).json({ error: 'Share code and player index required' });
-    }
+    const { playerIndex } = req.body;
 
-    const round = await Round.findOne({ shareCode: shareCode.toUpperCase() });
+    const round = await Round.findOne({
+      _id: req.params.id,
+      'players.userId': req.userId,
+    });
 
     if (!round) {
-      return res.status(404).json({ error: 'Invalid share code' });
+      return res.status(404).json({ error: 'Round not found' });
     }
 
-    // Check if player index is valid
-    if (playerIndex < 0 || playerIndex >= round.players.length) {
-      return res.status(400).json({ error: 'Invalid player slot' });
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
     }
 
-    // Check if slot is already claimed by someone else
     const player = round.players[playerIndex];
-    if (player.userId && player.userId.toString() !== req.userId) {
-      return res.status(400).json({ error: 'This slot is already claimed' });
+    if (!player) {
+      return res.status(400).json({ error: 'Invalid player index' });
     }
 
-    // Check if user already has a slot in this round
-    const existingSlot = round.players.findIndex(
-      // eslint-disable-next-line no-underscore-dangle
-      (p) => p.userId && p.userId.toString() === req.userId,
-    );
-    if (existingSlot !== -1 && existingSlot !== playerIndex) {
-      return res.status(400).json({ error: 'You already have a slot in this round' });
+    if (!player.userId) {
+      return res.status(400).json({ error: 'Only linked players\' cards can be attested' });
     }
 
-    // Claim the slot
-    round.players[playerIndex].userId = req.userId;
+    if (player.userId.toString() === req.userId) {
+      return res.status(403).json({ error: 'Another player must attest your card' });
+    }
+
+    const scores = getAttestedCard(round, player);
+    if (scores.some((score) => !(score > 0))) {
+      return res.status(400).json({ error: 'Card must be complete before it can be attested' });
+    }
+
+    player.attestation = { attestedBy: req.userId, attestedAt: new Date(), scores };
     await round.save();
 
-    // Emit real-time update to all clients in this round's room
-    // eslint-disable-next-line no-underscore-dangle
-    emitPlayerJoined(round._id.toString(), {
+    const update = {
       playerIndex,
-      userId: req.userId,
-      playerName: round.players[playerIndex].name,
-    });
+      attestation: player.attestation,
+      fullyAttested: isFullyAttested(round),
+    };
+
+    // Emit real-time update to all clients in this round's room
+    emitAttestationUpdate(req.params.id, update);
+
+    // The last attestation puts the round into its players' handicap records
+    if (update.fullyAttested) await refreshHandicaps(round);
 
     return res.json({
-      message: 'Joined round successfully',
-      data: round,
+      message: 'Card attested',
+      data: update,
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSaveError(res, error);
   }
 });
 
 /**
  * @swagger
- * /api/rounds/{id}/score:
- *   put:
- *     summary: Update a single score (participant can only update their own)
+ * /api/rounds/{id}/finalize:
+ *   post:
+ *     summary: Finalize a completed round (admin only)
+ *     description: >
+ *       Locks the round so scores, stats and settings can no longer change.
+ *       Every linked player's card must be attested first, unless the round has
+ *       fewer than two linked players, when there's no marker to attest it.
+ *       Those rounds can be finalized but, being unattested, don't count toward
+ *       handicap or stats.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -479,36 +2025,20 @@ router.post('/join', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - playerIndex
- *               - holeIndex
- *               - score
- *             properties:
- *               playerIndex:
- *                 type: integer
- *               holeIndex:
- *                 type: integer
- *               score:
- *                 type: integer
  *     responses:
  *       200:
- *         description: Score updated
+ *         description: Round finalized
  *       403:
- *         description: Not authorized to update this score
+ *         description: Not authorized (not the creator)
  *       404:
  *         description: Round not found
+ *       409:
+ *         description: >
+ *           Round is not completed and fully attested, is already finalized, or
+ *           was changed by someone else while saving
  */
-router.put('/:id/score', auth, async (req, res) => {
+router.post('/:id/finalize', auth, async (req, res) => {
   try {
-    const { playerIndex, holeIndex, score } = req.body;
-
-    // Find round where user is creator OR participant
     const round = await Round.findOne({
       _id: req.params.id,
       $or: [
@@ -521,51 +2051,35 @@ router.put('/:id/score', auth, async (req, res) => {
       return res.status(404).json({ error: 'Round not found' });
     }
 
-    // Check permissions: admin can edit any, participant only their own
-    // eslint-disable-next-line no-underscore-dangle
-    const isAdmin = round.createdBy.toString() === req.userId;
-    const player = round.players[playerIndex];
-
-    if (!player) {
-      return res.status(400).json({ error: 'Invalid player index' });
+    if (round.createdBy.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Only the round creator can finalize it' });
     }
 
-    // If not admin, must be editing their own slot
-    if (!isAdmin && (!player.userId || player.userId.toString() !== req.userId)) {
-      return res.status(403).json({ error: 'Not authorized to update this score' });
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is already finalized' });
     }
 
-    // Validate hole index
-    if (holeIndex < 0 || holeIndex >= round.holes.length) {
-      return res.status(400).json({ error: 'Invalid hole index' });
+    if (round.status !== 'completed') {
+      return res.status(409).json({ error: 'Every card must be complete before finalizing' });
     }
 
-    // Ensure scores array is long enough
-    while (round.players[playerIndex].scores.length <= holeIndex) {
-      round.players[playerIndex].scores.push(0);
+    if (isAttestationRequired(round) && !isFullyAttested(round)) {
+      return res.status(409).json({ error: 'Every linked player\'s card must be attested before finalizing' });
     }
 
-    // Update the score
-    round.players[playerIndex].scores[holeIndex] = parseInt(score, 10) || 0;
+    round.status = 'finalized';
+    round.finalizedAt = new Date();
     await round.save();
 
-    // Emit real-time update to all clients in this round's room
-    emitScoreUpdate(req.params.id, {
-      playerIndex,
-      holeIndex,
-      score: round.players[playerIndex].scores[holeIndex],
-    });
+    emitRoundStatus(req.params.id, { status: round.status, finalizedAt: round.finalizedAt });
+    await refreshHandicaps(round);
 
     return res.json({
-      message: 'Score updated',
-      data: {
-        playerIndex,
-        holeIndex,
-        score: round.players[playerIndex].scores[holeIndex],
-      },
+      message: 'Round finalized',
+      data: round,
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSaveError(res, error);
   }
 });
 
@@ -595,6 +2109,8 @@ router.put('/:id/score', auth, async (req, res) => {
  *         description: Not authorized
  *       404:
  *         description: Round not found
+ *       409:
+ *         description: Round is finalized, or was changed by someone else while saving
  */
 router.delete('/:id/players/:playerIndex', auth, async (req, res) => {
   try {
@@ -607,6 +2123,10 @@ router.delete('/:id/players/:playerIndex', auth, async (req, res) => {
       return res.status(404).json({ error: 'Round not found or not authorized' });
     }
 
+    if (round.status === 'finalized') {
+      return res.status(409).json({ error: 'Round is finalized' });
+    }
+
     const playerIndex = parseInt(req.params.playerIndex, 10);
 
     if (playerIndex < 0 || playerIndex >= round.players.length) {
@@ -614,18 +2134,31 @@ router.delete('/:id/players/:playerIndex', auth, async (req, res) => {
     }
 
     // Clear the userId to "unclaim" the slot (keep the player name/scores)
+    const before = round.toObject();
+    const previousUserId = round.players[playerIndex].userId?.toString() ?? null;
     round.players[playerIndex].userId = null;
     await round.save();
+    await refreshHandicapsIfCounted(before, round);
+    if (previousUserId) {
+      await recordAudit(round, req.userId, 'rest', [{
+        type: 'player', field: 'userId', playerIndex, oldValue: previousUserId, newValue: null,
+      }]);
+    }
 
     // Emit real-time update to all clients in this round's room
     emitPlayerRemoved(req.params.id, { playerIndex });
 
+    // The unlinked user no longer has access, unless they created the round
+    if (previousUserId && previousUserId !== round.createdBy.toString()) {
+      await evictFromRound(req.params.id, previousUserId);
+    }
+
     return res.json({
       message: 'Player removed from round',
       data: round,
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSaveError(res, error);
   }
 });
 
@@ -663,6 +2196,14 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Round not found or not authorized' });
     }
 
+    // The round's history has nothing left to describe
+    // eslint-disable-next-line no-underscore-dangle
+    await RoundAudit.deleteMany({ roundId: round._id });
+
+    // Emit real-time update so anyone viewing the round leaves it
+    emitRoundDeleted(req.params.id, {});
+    await refreshHandicaps(round);
+
     return res.json({ message: 'Round deleted successfully' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
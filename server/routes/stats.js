@@ -0,0 +1,386 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Round from '../models/Round.js';
+import auth from '../middleware/auth.js';
+import {
+  buildPlayerStats, buildCourseHistory, isSameCourse, listPlayedCourses, DEFAULT_TREND_LENGTH,
+} from '../utils/stats.js';
+import buildHeadToHead from '../utils/headToHead.js';
+import { isFullyAttested } from '../utils/attestation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RoundSummary:
+ *       type: object
+ *       properties:
+ *         roundId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         courseName:
+ *           type: string
+ *         holes:
+ *           type: integer
+ *         gross:
+ *           type: integer
+ *         par:
+ *           type: integer
+ *         toPar:
+ *           type: integer
+ *     ScoringSummary:
+ *       type: object
+ *       properties:
+ *         rounds:
+ *           type: integer
+ *         scoringAverage:
+ *           type: number
+ *           nullable: true
+ *         averageToPar:
+ *           type: number
+ *           nullable: true
+ *         best:
+ *           $ref: '#/components/schemas/RoundSummary'
+ *         worst:
+ *           $ref: '#/components/schemas/RoundSummary'
+ *     PlayedCourse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ScoringSummary'
+ *         - type: object
+ *           properties:
+ *             courseId:
+ *               type: string
+ *               nullable: true
+ *               description: Saved course, null when only played by name
+ *             courseName:
+ *               type: string
+ *             lastPlayed:
+ *               type: string
+ *               format: date
+ *             roundsPlayed:
+ *               type: integer
+ *               description: All rounds on the course, including incomplete cards
+ *     HoleHistory:
+ *       type: object
+ *       properties:
+ *         holeNumber:
+ *           type: integer
+ *         par:
+ *           type: integer
+ *         played:
+ *           type: integer
+ *           description: Times the hole has been scored
+ *         average:
+ *           type: number
+ *         averageToPar:
+ *           type: number
+ *         best:
+ *           type: integer
+ *         distribution:
+ *           type: object
+ *           properties:
+ *             eagles:
+ *               type: integer
+ *             birdies:
+ *               type: integer
+ *             pars:
+ *               type: integer
+ *             bogeys:
+ *               type: integer
+ *             doubles:
+ *               type: integer
+ *     HeadToHeadRecord:
+ *       type: object
+ *       properties:
+ *         wins:
+ *           type: integer
+ *         losses:
+ *           type: integer
+ *         ties:
+ *           type: integer
+ *         averageMargin:
+ *           type: number
+ *           nullable: true
+ *           description: Opponent's total minus yours; positive means you won
+ */
+
+/**
+ * @swagger
+ * /api/stats/me:
+ *   get:
+ *     summary: Get the authenticated user's scoring statistics
+ *     description: >
+ *       Aggregated over the user's completed, fully attested rounds (every hole
+ *       scored and every linked player's card signed off by a marker).
+ *       Best and worst rounds are ranked by score to par.
+ *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of most recent rounds in the trend
+ *     responses:
+ *       200:
+ *         description: Scoring statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ScoringSummary'
+ *                 - type: object
+ *                   properties:
+ *                     holesPlayed:
+ *                       type: integer
+ *                     parAverages:
+ *                       type: object
+ *                       description: Average score on par 3s, 4s and 5s, keyed by par
+ *                     distribution:
+ *                       type: object
+ *                       properties:
+ *                         eagles:
+ *                           type: integer
+ *                         birdies:
+ *                           type: integer
+ *                         pars:
+ *                           type: integer
+ *                         bogeys:
+ *                           type: integer
+ *                         doubles:
+ *                           type: integer
+ *                           description: Double bogey or worse
+ *                     splits:
+ *                       type: object
+ *                       properties:
+ *                         nine:
+ *                           $ref: '#/components/schemas/ScoringSummary'
+ *                         eighteen:
+ *                           $ref: '#/components/schemas/ScoringSummary'
+ *                     trend:
+ *                       type: array
+ *                       description: Most recent rounds, oldest first
+ *                       items:
+ *                         $ref: '#/components/schemas/RoundSummary'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10);
+    const trendLength = limit > 0 ? Math.min(limit, 100) : DEFAULT_TREND_LENGTH;
+
+    const rounds = (await Round.find({ 'players.userId': req.userId })).filter(isFullyAttested);
+    return res.json(buildPlayerStats(rounds, req.userId, trendLength));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/courses:
+ *   get:
+ *     summary: List courses the authenticated user has played
+ *     description: >
+ *       Rounds are grouped by saved course, or by normalized course name when
+ *       a round has no course reference. Only fully attested rounds count.
+ *       Most recently played first.
+ *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Played courses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PlayedCourse'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/courses', auth, async (req, res) => {
+  try {
+    const rounds = (await Round.find({ 'players.userId': req.userId })).filter(isFullyAttested);
+    return res.json(listPlayedCourses(rounds, req.userId));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/courses/history:
+ *   get:
+ *     summary: Get the authenticated user's hole-by-hole history on a course
+ *     description: >
+ *       Matches rounds by course reference, or by normalized course name for
+ *       rounds without one. Only fully attested rounds count.
+ *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: excludeRoundId
+ *         schema:
+ *           type: string
+ *         description: Leave out a round, e.g. the one being played
+ *     responses:
+ *       200:
+ *         description: Course history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PlayedCourse'
+ *                 - type: object
+ *                   properties:
+ *                     holes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/HoleHistory'
+ *       400:
+ *         description: Missing courseId and courseName
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/courses/history', auth, async (req, res) => {
+  try {
+    const { courseId, courseName, excludeRoundId } = req.query;
+    if (!courseId && !courseName) {
+      return res.status(400).json({ error: 'courseId or courseName is required' });
+    }
+
+    const rounds = (await Round.find({ 'players.userId': req.userId })).filter(isFullyAttested);
+    const courseRounds = rounds.filter((round) => isSameCourse(round, { courseId, courseName })
+      // eslint-disable-next-line no-underscore-dangle
+      && round._id.toString() !== excludeRoundId);
+    return res.json(buildCourseHistory(courseRounds, req.userId));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/head-to-head/{userId}:
+ *   get:
+ *     summary: Get the authenticated user's head-to-head record against another player
+ *     description: >
+ *       Covers fully attested rounds both players are linked to. Totals are
+ *       compared on rounds where both cards are complete; holes wherever both players have a score.
+ *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The opponent's user ID
+ *     responses:
+ *       200:
+ *         description: Head-to-head record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 opponent:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 sharedRounds:
+ *                   type: integer
+ *                 completedRounds:
+ *                   type: integer
+ *                 gross:
+ *                   $ref: '#/components/schemas/HeadToHeadRecord'
+ *                 net:
+ *                   $ref: '#/components/schemas/HeadToHeadRecord'
+ *                 holes:
+ *                   type: object
+ *                   properties:
+ *                     gross:
+ *                       $ref: '#/components/schemas/HeadToHeadRecord'
+ *                     net:
+ *                       $ref: '#/components/schemas/HeadToHeadRecord'
+ *                 history:
+ *                   type: array
+ *                   description: Completed shared rounds, newest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       roundId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       courseName:
+ *                         type: string
+ *                       holes:
+ *                         type: integer
+ *                       gross:
+ *                         type: array
+ *                         description: Your total and the opponent's
+ *                         items:
+ *                           type: integer
+ *                       net:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No shared rounds with this player
+ */
+router.get('/head-to-head/:userId', auth, async (req, res) => {
+  try {
+    const opponentId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(opponentId) || opponentId === req.userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const rounds = (await Round.find({ 'players.userId': { $all: [req.userId, opponentId] } }))
+      .filter(isFullyAttested);
+    const record = buildHeadToHead(rounds, req.userId, opponentId);
+    if (record.sharedRounds === 0) {
+      return res.status(404).json({ error: 'No shared rounds with this player' });
+    }
+
+    return res.json(record);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
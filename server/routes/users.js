@@ -0,0 +1,205 @@
+import express from 'express';
+import User from '../models/User.js';
+import Round from '../models/Round.js';
+import auth from '../middleware/auth.js';
+import { buildHandicapRecord } from '../utils/handicap.js';
+import { ACHIEVEMENTS } from '../utils/achievements.js';
+import { isFullyAttested } from '../utils/attestation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Differential:
+ *       type: object
+ *       properties:
+ *         roundId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         courseName:
+ *           type: string
+ *         teeName:
+ *           type: string
+ *         courseRating:
+ *           type: number
+ *         slope:
+ *           type: integer
+ *         grossScore:
+ *           type: integer
+ *         adjustedGrossScore:
+ *           type: integer
+ *           description: Gross score with each hole capped at net double bogey
+ *         differential:
+ *           type: number
+ *         used:
+ *           type: boolean
+ *           description: Whether this differential is one of those averaged into the index
+ *     Achievement:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: break-90
+ *         name:
+ *           type: string
+ *           example: Break 90
+ *         description:
+ *           type: string
+ *         repeatable:
+ *           type: boolean
+ *           description: Can be earned again in another round
+ */
+
+/**
+ * @swagger
+ * /api/users/me/handicap:
+ *   get:
+ *     summary: Get the authenticated user's World Handicap System index
+ *     description: >
+ *       Computed from the user's completed, fully attested 18-hole rounds played
+ *       from a tee with a course rating and slope. The index averages the best 8
+ *       of the last 20 differentials (fewer, with the WHS adjustment, until 20
+ *       exist) and is null until at least 3 rounds are available. Reading it
+ *       doesn't change the stored index (see POST).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Handicap index and the differentials it was calculated from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 handicapIndex:
+ *                   type: number
+ *                   nullable: true
+ *                 roundsInRecord:
+ *                   type: integer
+ *                 differentials:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Differential'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/handicap', auth, async (req, res) => {
+  try {
+    const rounds = (await Round.find({ 'players.userId': req.userId })).filter(isFullyAttested);
+    return res.json(buildHandicapRecord(rounds, req.userId));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/handicap:
+ *   post:
+ *     summary: Recalculate the authenticated user's stored handicap index
+ *     description: >
+ *       The stored index seeds the user's course handicap when they join a
+ *       round. It is recalculated whenever one of their rounds is attested,
+ *       finalized or deleted; this recalculates it on demand.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Handicap index stored, with the differentials it was calculated from
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/me/handicap', auth, async (req, res) => {
+  try {
+    const handicap = await User.refreshHandicapIndex(req.userId);
+    return res.json({
+      message: 'Handicap index updated',
+      data: handicap,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/achievements:
+ *   get:
+ *     summary: Get the authenticated user's achievements
+ *     description: >
+ *       Badges are awarded when a linked player's card is complete, and each
+ *       records the round that earned it. A badge is kept once earned, even if
+ *       that round's scores are edited later. Also returns every available badge.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Earned and available achievements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 achievements:
+ *                   type: array
+ *                   description: Earned badges, newest first
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Achievement'
+ *                       - type: object
+ *                         properties:
+ *                           earnedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           round:
+ *                             type: object
+ *                             nullable: true
+ *                             description: The round that earned it (null if deleted)
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               courseName:
+ *                                 type: string
+ *                               date:
+ *                                 type: string
+ *                                 format: date
+ *                 available:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Achievement'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/me/achievements', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .select('achievements')
+      .populate('achievements.roundId', 'courseName date');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const achievements = user.achievements
+      .map(({
+        key, name, description, roundId, earnedAt,
+      }) => ({
+        key, name, description, earnedAt, round: roundId,
+      }))
+      .sort((a, b) => b.earnedAt - a.earnedAt);
+
+    return res.json({ achievements, available: ACHIEVEMENTS });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,6 +6,10 @@ import cors from 'cors';
 import stringsRouter from './routes/strings.js';
 import authRouter from './routes/auth.js';
 import roundsRouter from './routes/rounds.js';
+import coursesRouter from './routes/courses.js';
+import usersRouter from './routes/users.js';
+import statsRouter from './routes/stats.js';
+import Round from './models/Round.js';
 import { swaggerUi, specs } from './swagger.js';
 import { initSocket } from './socket.js';
 
@@ -25,7 +29,12 @@ app.use(express.json());
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB Atlas'))
+  .then(() => {
+    console.log('Connected to MongoDB Atlas');
+    return Round.backfillStatus()
+      .then((count) => count > 0 && console.log(`Backfilled status on ${count} rounds`))
+      .catch((err) => console.error('Round status backfill failed:', err));
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Swagger Documentation
@@ -35,6 +44,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 app.use('/api/auth', authRouter);
 app.use('/api/strings', stringsRouter);
 app.use('/api/rounds', roundsRouter);
+app.use('/api/courses', coursesRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/stats', statsRouter);
 
 // Start server
 httpServer.listen(PORT, () => {
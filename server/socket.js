@@ -1,8 +1,72 @@
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Round from './models/Round.js';
+import { verifySpectatorGrant } from './utils/spectator.js';
+import summarizePresence from './utils/presence.js';
+import createEventLog from './utils/eventLog.js';
 
 let io;
 
+// Recent events per round, replayed to clients that rejoin after a disconnect
+const eventLog = createEventLog();
+
+// Live connections per round: roundId -> socket id -> { userId, role, holeNumber, updatedAt }
+const presence = new Map();
+
+/**
+ * Send everyone in a round's room the users currently in it
+ */
+const broadcastPresence = (roundId) => {
+  const connections = presence.get(roundId);
+  io.to(`round:${roundId}`).emit('presence', {
+    roundId,
+    users: summarizePresence(connections ? [...connections.values()] : []),
+  });
+};
+
+/**
+ * Add or update a socket's presence in a round and broadcast the change
+ */
+const setPresence = (roundId, socketId, changes) => {
+  if (!presence.has(roundId)) presence.set(roundId, new Map());
+  const connections = presence.get(roundId);
+  connections.set(socketId, { ...connections.get(socketId), ...changes, updatedAt: Date.now() });
+  broadcastPresence(roundId);
+};
+
+/**
+ * Drop a socket's presence in a round and broadcast the change
+ */
+const removePresence = (roundId, socketId) => {
+  const connections = presence.get(roundId);
+  if (!connections?.delete(socketId)) return;
+  if (connections.size === 0) presence.delete(roundId);
+  broadcastPresence(roundId);
+};
+
+/**
+ * How a user may follow a round's room: { role, holeNumbers } with role
+ * 'player' for the creator and linked players or 'spectator' with a valid
+ * grant, otherwise null
+ */
+const getRoomAccess = async (roundId, userId, spectatorGrant) => {
+  if (!mongoose.isValidObjectId(roundId)) return null;
+
+  const round = await Round.findById(roundId)
+    .select('createdBy players.userId holes.holeNumber')
+    .lean();
+  if (!round) return null;
+
+  const holeNumbers = round.holes.map((hole) => hole.holeNumber);
+  const isMember = round.createdBy.toString() === userId
+    || round.players.some((player) => player.userId?.toString() === userId);
+  if (isMember) return { role: 'player', holeNumbers };
+
+  if (verifySpectatorGrant(spectatorGrant, roundId)) return { role: 'spectator', holeNumbers };
+  return null;
+};
+
 /**
  * Initialize Socket.io server with Express HTTP server
  */
@@ -28,8 +92,14 @@ const initSocket = (httpServer) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Kept on socket.data so it's readable from fetchSockets() as well
+      // eslint-disable-next-line no-param-reassign
+      socket.data.userId = decoded.userId;
       // eslint-disable-next-line no-param-reassign
-      socket.userId = decoded.userId;
+      socket.data.spectating = [];
+      // Hole numbers of each joined round, for checking presence updates
+      // eslint-disable-next-line no-param-reassign
+      socket.data.roundHoles = new Map();
       return next();
     } catch (err) {
       return next(new Error('Invalid token'));
@@ -38,23 +108,78 @@ const initSocket = (httpServer) => {
 
   io.on('connection', (socket) => {
     // eslint-disable-next-line no-console
-    console.log(`User connected: ${socket.userId}`);
+    console.log(`User connected: ${socket.data.userId}`);
 
-    // Join a round's room
-    socket.on('join-round', (roundId) => {
-      socket.join(`round:${roundId}`);
-      // eslint-disable-next-line no-console
-      console.log(`User ${socket.userId} joined room round:${roundId}`);
+    // Join a round's room. Takes a round ID, or { roundId, spectatorGrant, since }
+    // where `since` is the { epoch, seq } last seen when rejoining. Missed events
+    // are sent again before the ack, which gets { role, epoch, seq, resync } on
+    // success (resync: refetch the round, they can't be replayed) or { error }.
+    socket.on('join-round', async (payload, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const { roundId, spectatorGrant, since } = typeof payload === 'object' && payload !== null
+        ? payload
+        : { roundId: payload };
+
+      try {
+        const access = await getRoomAccess(roundId, socket.data.userId, spectatorGrant);
+        if (!access) {
+          respond({ error: 'Not authorized to join this round' });
+          return;
+        }
+
+        const { role, holeNumbers } = access;
+        socket.join(`round:${roundId}`);
+        socket.data.roundHoles.set(roundId, holeNumbers);
+        if (role === 'spectator') socket.data.spectating.push(roundId);
+        setPresence(roundId, socket.id, { userId: socket.data.userId, role, holeNumber: null });
+        // eslint-disable-next-line no-console
+        console.log(`User ${socket.data.userId} joined room round:${roundId} as ${role}`);
+
+        const missed = since ? eventLog.since(roundId, since) : { events: [] };
+        (missed.events || []).forEach(({ event, payload: data }) => socket.emit(event, data));
+        respond({
+          role,
+          epoch: eventLog.epoch,
+          seq: eventLog.current(roundId),
+          resync: !!missed.resync,
+        });
+      } catch (error) {
+        console.error('Join round error:', error);
+        respond({ error: 'Could not join round' });
+      }
+    });
+
+    // Share which hole this tab is on: { roundId, holeNumber }, with a null
+    // holeNumber when not on a single hole. Anything else is ignored.
+    socket.on('presence-hole', (payload) => {
+      if (typeof payload !== 'object' || payload === null) return;
+      const { roundId, holeNumber } = payload;
+      if (!socket.rooms.has(`round:${roundId}`)) return;
+      const isHole = Number.isInteger(holeNumber)
+        && socket.data.roundHoles.get(roundId)?.includes(holeNumber);
+      if (holeNumber !== null && !isHole) return;
+      setPresence(roundId, socket.id, { holeNumber });
     });
 
     // Leave a round's room
     socket.on('leave-round', (roundId) => {
       socket.leave(`round:${roundId}`);
+      socket.data.roundHoles.delete(roundId);
+      // eslint-disable-next-line no-param-reassign
+      socket.data.spectating = socket.data.spectating.filter((id) => id !== roundId);
+      removePresence(roundId, socket.id);
+    });
+
+    // Rooms are still known while disconnecting, so presence can be cleared per round
+    socket.on('disconnecting', () => {
+      socket.rooms.forEach((room) => {
+        if (room.startsWith('round:')) removePresence(room.slice('round:'.length), socket.id);
+      });
     });
 
     socket.on('disconnect', () => {
       // eslint-disable-next-line no-console
-      console.log(`User disconnected: ${socket.userId}`);
+      console.log(`User disconnected: ${socket.data.userId}`);
     });
   });
 
@@ -71,37 +196,124 @@ const getIO = () => {
   return io;
 };
 
+/**
+ * Emit an event to all clients in a round's room, stamped with the round's
+ * next sequence number so clients can tell when they've missed some
+ */
+const emitToRound = (roundId, event, data) => {
+  if (!io) return;
+  const id = roundId.toString();
+  const payload = eventLog.append(id, event, (seq) => ({ ...data, roundId: id, seq }));
+  io.to(`round:${id}`).emit(event, payload);
+};
+
 /**
  * Emit a score update to all clients in a round's room
  */
 const emitScoreUpdate = (roundId, data) => {
-  if (io) {
-    io.to(`round:${roundId}`).emit('score-update', data);
-  }
+  emitToRound(roundId, 'score-update', data);
+};
+
+/**
+ * Emit a team score update to all clients in a round's room
+ */
+const emitTeamScoreUpdate = (roundId, data) => {
+  emitToRound(roundId, 'team-score-update', data);
+};
+
+/**
+ * Emit a player's hole stats update to all clients in a round's room
+ */
+const emitStatsUpdate = (roundId, data) => {
+  emitToRound(roundId, 'stats-update', data);
 };
 
 /**
  * Emit player joined event to all clients in a round's room
  */
 const emitPlayerJoined = (roundId, data) => {
-  if (io) {
-    io.to(`round:${roundId}`).emit('player-joined', data);
-  }
+  emitToRound(roundId, 'player-joined', data);
 };
 
 /**
  * Emit player removed event to all clients in a round's room
  */
 const emitPlayerRemoved = (roundId, data) => {
-  if (io) {
-    io.to(`round:${roundId}`).emit('player-removed', data);
-  }
+  emitToRound(roundId, 'player-removed', data);
+};
+
+/**
+ * Emit a Nassau press to all clients in a round's room
+ */
+const emitNassauPress = (roundId, data) => {
+  emitToRound(roundId, 'nassau-press', data);
+};
+
+/**
+ * Emit newly earned achievements to all clients in a round's room
+ */
+const emitAchievementUnlocked = (roundId, data) => {
+  emitToRound(roundId, 'achievement-unlocked', data);
+};
+
+/**
+ * Emit a round status change (e.g. finalized) to all clients in a round's room
+ */
+const emitRoundStatus = (roundId, data) => {
+  emitToRound(roundId, 'round-status', data);
+};
+
+/**
+ * Emit a card attestation to all clients in a round's room
+ */
+const emitAttestationUpdate = (roundId, data) => {
+  emitToRound(roundId, 'attestation-update', data);
+};
+
+/**
+ * Emit the fields a full round update changed to all clients in a round's room
+ */
+const emitRoundUpdated = (roundId, data) => {
+  emitToRound(roundId, 'round-updated', data);
+};
+
+/**
+ * Emit a round's deletion to all clients in its room
+ */
+const emitRoundDeleted = (roundId, data) => {
+  emitToRound(roundId, 'round-deleted', data);
+};
+
+/**
+ * Remove a user's sockets from a round's room after they lose access to it,
+ * telling them why. Sockets following the round with a spectator grant stay.
+ */
+const evictFromRound = async (roundId, userId) => {
+  if (!io) return;
+  const room = `round:${roundId}`;
+  const sockets = await io.in(room).fetchSockets();
+  sockets
+    .filter((s) => s.data.userId === userId.toString() && !s.data.spectating.includes(roundId))
+    .forEach((s) => {
+      s.leave(room);
+      s.emit('round-access-revoked', { roundId });
+      removePresence(roundId, s.id);
+    });
 };
 
 export {
   initSocket,
   getIO,
   emitScoreUpdate,
+  emitTeamScoreUpdate,
+  emitStatsUpdate,
   emitPlayerJoined,
   emitPlayerRemoved,
+  emitNassauPress,
+  emitAchievementUnlocked,
+  emitRoundStatus,
+  emitAttestationUpdate,
+  emitRoundUpdated,
+  emitRoundDeleted,
+  evictFromRound,
 };
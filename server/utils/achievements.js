@@ -0,0 +1,77 @@
+// Badges a player can earn; repeatable ones can be earned once per round
+const ACHIEVEMENTS = [
+  {
+    key: 'first-round', name: 'First Round', description: 'Complete your first round', repeatable: false,
+  },
+  {
+    key: 'first-birdie', name: 'First Birdie', description: 'Make your first birdie', repeatable: false,
+  },
+  {
+    key: 'eagle', name: 'Eagle', description: 'Finish a hole two under par', repeatable: false,
+  },
+  {
+    key: 'albatross', name: 'Albatross', description: 'Finish a hole three under par', repeatable: false,
+  },
+  {
+    key: 'hole-in-one', name: 'Hole in One', description: 'Hole your tee shot', repeatable: true,
+  },
+  {
+    key: 'ten-pars', name: 'Par Machine', description: 'Make 10 or more pars in a round', repeatable: false,
+  },
+  {
+    key: 'bogey-free', name: 'Bogey Free', description: 'Finish a round without a bogey', repeatable: false,
+  },
+  {
+    key: 'break-100', name: 'Break 100', description: 'Shoot under 100 for 18 holes', repeatable: false,
+  },
+  {
+    key: 'break-90', name: 'Break 90', description: 'Shoot under 90 for 18 holes', repeatable: false,
+  },
+  {
+    key: 'break-80', name: 'Break 80', description: 'Shoot under 80 for 18 holes', repeatable: false,
+  },
+  {
+    key: 'personal-best', name: 'Personal Best', description: 'Beat your lowest 18-hole score', repeatable: true,
+  },
+];
+
+const lowest18 = (cards) => Math.min(...cards.filter((c) => c.holes === 18).map((c) => c.gross));
+
+/**
+ * Whether a completed card earns each badge. `diffs` are hole scores relative
+ * to par; `previous` are the player's other completed cards.
+ */
+const RULES = {
+  'first-round': (card, diffs, previous) => previous.length === 0,
+  'first-birdie': (card, diffs) => diffs.includes(-1),
+  eagle: (card, diffs) => diffs.some((diff, i) => diff === -2 && card.scores[i] > 1),
+  albatross: (card, diffs) => diffs.some((diff, i) => diff <= -3 && card.scores[i] > 1),
+  'hole-in-one': (card) => card.scores.includes(1),
+  'ten-pars': (card, diffs) => diffs.filter((diff) => diff === 0).length >= 10,
+  'bogey-free': (card, diffs) => diffs.every((diff) => diff <= 0),
+  'break-100': (card) => card.holes === 18 && card.gross < 100,
+  'break-90': (card) => card.holes === 18 && card.gross < 90,
+  'break-80': (card) => card.holes === 18 && card.gross < 80,
+  'personal-best': (card, diffs, previous) => card.holes === 18
+    && previous.some((c) => c.holes === 18)
+    && card.gross < lowest18(previous),
+};
+
+/**
+ * Badges a completed card earns that the player doesn't already have.
+ * `card` comes from getCompletedCard, `pars` are the round's hole pars and
+ * `earned` is the player's stored achievements ({ key, roundId }).
+ */
+const evaluateAchievements = (card, pars, previous, earned = []) => {
+  const diffs = card.scores.map((score, i) => score - pars[i]);
+  const alreadyEarned = (achievement) => earned.some((e) => e.key === achievement.key
+    && (!achievement.repeatable || e.roundId?.toString() === card.roundId?.toString()));
+
+  return ACHIEVEMENTS.filter((achievement) => !alreadyEarned(achievement)
+    && RULES[achievement.key](card, diffs, previous));
+};
+
+export {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+};
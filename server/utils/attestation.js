@@ -0,0 +1,48 @@
+import { TEAM_SCORE_FORMATS } from './scoring.js';
+
+/**
+ * The scores a player's attestation covers: their team's card in scramble
+ * and alternate shot, otherwise their own
+ */
+const getAttestedCard = (round, player) => {
+  const scores = TEAM_SCORE_FORMATS.includes(round.format)
+    ? round.teams[player.team]?.scores
+    : player.scores;
+  return round.holes.map((_, index) => scores?.[index] || 0);
+};
+
+/**
+ * Whether a player's attestation still matches their card. Attestations keep
+ * the scores that were signed, so any later score change makes them stale.
+ */
+const isAttestationValid = (round, player) => {
+  const { attestation } = player;
+  if (!attestation?.attestedBy) return false;
+  if (attestation.attestedBy.toString() === player.userId?.toString()) return false;
+  return getAttestedCard(round, player)
+    .every((score, index) => score === (attestation.scores[index] || 0));
+};
+
+/**
+ * Attestation needs a marker: another linked player to sign each card. With
+ * fewer than two linked players (e.g. the creator keeping score for guests)
+ * there's nobody to attest, so finalizing the round doesn't require it.
+ */
+const isAttestationRequired = (round) => round.players.filter((p) => p.userId).length > 1;
+
+/**
+ * A round is fully attested once every linked player's card has been signed
+ * off by another linked player. Only these rounds count toward handicap and
+ * stats, so a round without a marker never does, even once finalized.
+ */
+const isFullyAttested = (round) => isAttestationRequired(round)
+  && round.players
+    .filter((p) => p.userId)
+    .every((player) => isAttestationValid(round, player));
+
+export {
+  getAttestedCard,
+  isAttestationValid,
+  isAttestationRequired,
+  isFullyAttested,
+};
@@ -0,0 +1,111 @@
+// Kinds of round change kept in the audit log
+const AUDIT_TYPES = ['score', 'team-score', 'player', 'par', 'course', 'stats'];
+
+// rest: a single-value endpoint such as the score update; bulk: a full round update
+const AUDIT_SOURCES = ['rest', 'bulk'];
+
+const idOf = (value) => (value ? value.toString() : null);
+
+/**
+ * Entries for each hole whose score differs between two score arrays.
+ * Missing scores count as 0 (not entered).
+ */
+const diffScores = (before = [], after = [], holes = Math.max(before.length, after.length)) => {
+  const entries = [];
+  for (let i = 0; i < holes; i += 1) {
+    const oldValue = before[i] || 0;
+    const newValue = after[i] || 0;
+    if (oldValue !== newValue) entries.push({ holeNumber: i + 1, oldValue, newValue });
+  }
+  return entries;
+};
+
+/**
+ * Audit entries describing how a round changed between two snapshots (plain
+ * objects, e.g. from toObject()). Players and teams are compared by slot.
+ */
+const diffRound = (before, after) => {
+  const entries = [];
+
+  // Course references are ObjectIds, names are strings; compare both as strings
+  ['courseName', 'courseId'].forEach((field) => {
+    const oldValue = idOf(before[field]);
+    const newValue = idOf(after[field]);
+    if (oldValue !== newValue) {
+      entries.push({
+        type: 'course', field, oldValue, newValue,
+      });
+    }
+  });
+
+  // Holes are compared by slot too; added and removed ones are flagged like players
+  const holes = Math.max(before.holes?.length || 0, after.holes?.length || 0);
+  for (let i = 0; i < holes; i += 1) {
+    const previous = before.holes?.[i];
+    const next = after.holes?.[i];
+    const oldValue = previous?.par ?? null;
+    const newValue = next?.par ?? null;
+    if (!previous || !next) {
+      entries.push({
+        type: 'par',
+        field: previous ? 'removed' : 'added',
+        holeNumber: (next || previous).holeNumber,
+        oldValue,
+        newValue,
+      });
+    } else if (oldValue !== newValue) {
+      entries.push({
+        type: 'par', holeNumber: next.holeNumber, oldValue, newValue,
+      });
+    }
+  }
+
+  const playerSlots = Math.max(before.players?.length || 0, after.players?.length || 0);
+  for (let playerIndex = 0; playerIndex < playerSlots; playerIndex += 1) {
+    const previous = before.players?.[playerIndex];
+    const next = after.players?.[playerIndex];
+
+    if (!previous || !next) {
+      entries.push({
+        type: 'player',
+        field: previous ? 'removed' : 'added',
+        playerIndex,
+        oldValue: previous?.name ?? null,
+        newValue: next?.name ?? null,
+      });
+    } else {
+      if (previous.name !== next.name) {
+        entries.push({
+          type: 'player', field: 'name', playerIndex, oldValue: previous.name, newValue: next.name,
+        });
+      }
+      if (idOf(previous.userId) !== idOf(next.userId)) {
+        entries.push({
+          type: 'player',
+          field: 'userId',
+          playerIndex,
+          oldValue: idOf(previous.userId),
+          newValue: idOf(next.userId),
+        });
+      }
+      diffScores(previous.scores, next.scores, holes).forEach((change) => {
+        entries.push({ type: 'score', playerIndex, ...change });
+      });
+    }
+  }
+
+  (after.teams || []).forEach((team, teamIndex) => {
+    diffScores(before.teams?.[teamIndex]?.scores, team.scores, holes).forEach((change) => {
+      entries.push({ type: 'team-score', teamIndex, ...change });
+    });
+  });
+
+  return entries;
+};
+
+export {
+  AUDIT_TYPES,
+  AUDIT_SOURCES,
+  diffScores,
+  diffRound,
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory log of the recent real-time events sent to each round's room, so
+ * a client that reconnects can catch up on what it missed. Sequence numbers
+ * increase per round. `epoch` identifies this log: sequences handed out by an
+ * earlier one (e.g. before a server restart) can't be compared with it.
+ */
+const createEventLog = ({ maxEvents = 100, maxRounds = 1000 } = {}) => {
+  const epoch = crypto.randomUUID();
+  // roundId -> { seq, events: [{ seq, event, payload }] }, least recently active first
+  const rounds = new Map();
+
+  /**
+   * Record an event under the round's next sequence number and return its
+   * payload, which `build` makes from that number
+   */
+  const append = (roundId, event, build) => {
+    const log = rounds.get(roundId) || { seq: 0, events: [] };
+    log.seq += 1;
+    const payload = build(log.seq);
+    log.events.push({ seq: log.seq, event, payload });
+    if (log.events.length > maxEvents) log.events.shift();
+
+    rounds.delete(roundId);
+    rounds.set(roundId, log);
+    if (rounds.size > maxRounds) rounds.delete(rounds.keys().next().value);
+    return payload;
+  };
+
+  /**
+   * The latest sequence number sent to a round's room
+   */
+  const current = (roundId) => rounds.get(roundId)?.seq ?? 0;
+
+  /**
+   * What a client that last saw `since` ({ epoch, seq }) missed: { events } when
+   * they can all be replayed, or { resync: true } when it has to refetch the
+   * round because the gap is no longer in the log
+   */
+  const since = (roundId, { epoch: clientEpoch, seq } = {}) => {
+    const latest = current(roundId);
+    if (clientEpoch !== epoch || !Number.isInteger(seq) || seq < 0 || seq > latest) {
+      return { resync: true };
+    }
+    const missed = (rounds.get(roundId)?.events || []).filter((e) => e.seq > seq);
+    if (missed.length < latest - seq) return { resync: true };
+    return { events: missed };
+  };
+
+  return {
+    epoch,
+    append,
+    current,
+    since,
+  };
+};
+
+export default createEventLog;
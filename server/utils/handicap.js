@@ -0,0 +1,199 @@
+// Slope rating of a course of standard playing difficulty
+const STANDARD_SLOPE = 113;
+const MAX_HANDICAP_INDEX = 54;
+const MAX_RECORDS = 20;
+
+// WHS table: number of lowest differentials to average, and the adjustment
+// applied, keyed by how many differentials are in the scoring record
+const DIFFERENTIALS_USED = [
+  { min: 20, count: 8, adjustment: 0 },
+  { min: 19, count: 7, adjustment: 0 },
+  { min: 17, count: 6, adjustment: 0 },
+  { min: 15, count: 5, adjustment: 0 },
+  { min: 12, count: 4, adjustment: 0 },
+  { min: 9, count: 3, adjustment: 0 },
+  { min: 7, count: 2, adjustment: 0 },
+  { min: 6, count: 2, adjustment: -1 },
+  { min: 5, count: 1, adjustment: 0 },
+  { min: 4, count: 1, adjustment: -1 },
+  { min: 3, count: 1, adjustment: -2 },
+];
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Course handicap for a tee: index x (slope / 113) + (course rating - par),
+ * rounded to the nearest whole number
+ */
+const calculateCourseHandicap = (handicapIndex, tee, par) => {
+  if (handicapIndex == null || !tee?.slope || tee.courseRating == null) return null;
+  return Math.round(
+    handicapIndex * (tee.slope / STANDARD_SLOPE) + (tee.courseRating - par),
+  );
+};
+
+/**
+ * Stroke index of each round hole from the player's tee, or null where unknown
+ */
+const getStrokeIndexes = (holes, tee) => holes.map((hole) => {
+  const teeHole = tee?.holes?.find((h) => h.holeNumber === hole.holeNumber);
+  return teeHole?.strokeIndex ?? null;
+});
+
+/**
+ * Allocate a course handicap across holes by stroke index.
+ * Returns the strokes received on each hole (negative for plus handicaps).
+ * Holes without a stroke index are ranked last, in hole order.
+ */
+const allocateStrokes = (courseHandicap, strokeIndexes) => {
+  const holeCount = strokeIndexes.length;
+  if (!courseHandicap || holeCount === 0) return strokeIndexes.map(() => 0);
+
+  // Rank holes 1..n from hardest to easiest so 9-hole rounds work with 18-hole indexes
+  const order = strokeIndexes
+    .map((si, index) => ({ si: si ?? Infinity, index }))
+    .sort((a, b) => a.si - b.si || a.index - b.index);
+  const ranks = Array(holeCount);
+  order.forEach(({ index }, rank) => { ranks[index] = rank + 1; });
+
+  if (courseHandicap < 0) {
+    // Plus handicaps give strokes back starting from the easiest hole
+    const given = -courseHandicap;
+    return ranks.map((rank) => {
+      const base = Math.floor(given / holeCount);
+      const extra = rank > holeCount - (given % holeCount) ? 1 : 0;
+      return base + extra === 0 ? 0 : -(base + extra);
+    });
+  }
+
+  return ranks.map((rank) => {
+    const base = Math.floor(courseHandicap / holeCount);
+    const extra = rank <= courseHandicap % holeCount ? 1 : 0;
+    return base + extra;
+  });
+};
+
+/**
+ * Adjusted gross score with each hole capped at net double bogey.
+ * Without an established course handicap, the cap is par + 5.
+ */
+const calculateAdjustedGrossScore = (scores, pars, strokes) => scores.reduce(
+  (sum, score, index) => {
+    const cap = strokes
+      ? pars[index] + 2 + strokes[index]
+      : pars[index] + 5;
+    return sum + Math.min(score, cap);
+  },
+  0,
+);
+
+/**
+ * Score differential: (113 / slope) x (adjusted gross score - course rating)
+ */
+const calculateScoreDifferential = (adjustedGrossScore, courseRating, slope) => roundToTenth(
+  (STANDARD_SLOPE / slope) * (adjustedGrossScore - courseRating),
+);
+
+/**
+ * Handicap index from a scoring record (most recent 20 differentials at most).
+ * Returns null until at least 3 differentials exist.
+ */
+const calculateHandicapIndex = (differentials) => {
+  const record = differentials.slice(-MAX_RECORDS);
+  const rule = DIFFERENTIALS_USED.find((r) => record.length >= r.min);
+  if (!rule) return null;
+
+  const lowest = [...record].sort((a, b) => a - b).slice(0, rule.count);
+  const average = lowest.reduce((sum, d) => sum + d, 0) / lowest.length;
+  return Math.min(roundToTenth(average + rule.adjustment), MAX_HANDICAP_INDEX);
+};
+
+/**
+ * Whether a player's card can count toward a handicap: 18 holes,
+ * every hole scored, and a tee with a course rating and slope
+ */
+const isHandicapEligible = (round, player) => round.holes.length === 18
+  && player.tee?.slope
+  && player.tee.courseRating != null
+  && round.holes.every((_, index) => player.scores[index] > 0);
+
+/**
+ * Build a user's handicap history from their completed rounds, oldest first.
+ * Each round's net double bogey cap uses the index established before it.
+ */
+const buildHandicapHistory = (rounds, userId) => {
+  const history = [];
+
+  [...rounds]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach((round) => {
+      const player = round.players.find((p) => p.userId?.toString() === userId.toString());
+      if (!player || !isHandicapEligible(round, player)) return;
+
+      const pars = round.holes.map((h) => h.par);
+      const par = pars.reduce((sum, p) => sum + p, 0);
+      const scores = round.holes.map((_, index) => player.scores[index]);
+      const priorIndex = calculateHandicapIndex(history.map((h) => h.differential));
+      const courseHandicap = calculateCourseHandicap(priorIndex, player.tee, par);
+      const strokes = courseHandicap == null
+        ? null
+        : allocateStrokes(courseHandicap, getStrokeIndexes(round.holes, player.tee));
+      const adjustedGrossScore = calculateAdjustedGrossScore(scores, pars, strokes);
+
+      history.push({
+        // eslint-disable-next-line no-underscore-dangle
+        roundId: round._id,
+        date: round.date,
+        courseName: round.courseName,
+        teeName: player.tee.name,
+        courseRating: player.tee.courseRating,
+        slope: player.tee.slope,
+        grossScore: scores.reduce((sum, s) => sum + s, 0),
+        adjustedGrossScore,
+        differential: calculateScoreDifferential(
+          adjustedGrossScore,
+          player.tee.courseRating,
+          player.tee.slope,
+        ),
+      });
+    });
+
+  return history;
+};
+
+/**
+ * Current handicap index for a user from their rounds, with the scoring record
+ * it came from. Differentials counted toward the index are flagged `used: true`.
+ */
+const buildHandicapRecord = (rounds, userId) => {
+  const history = buildHandicapHistory(rounds, userId);
+  const record = history.slice(-MAX_RECORDS);
+  const handicapIndex = calculateHandicapIndex(record.map((h) => h.differential));
+
+  const rule = DIFFERENTIALS_USED.find((r) => record.length >= r.min);
+  const usedIndexes = new Set(
+    record
+      .map((entry, index) => ({ differential: entry.differential, index }))
+      .sort((a, b) => a.differential - b.differential)
+      .slice(0, rule ? rule.count : 0)
+      .map(({ index }) => index),
+  );
+
+  return {
+    handicapIndex,
+    roundsInRecord: record.length,
+    differentials: record.map((entry, index) => ({ ...entry, used: usedIndexes.has(index) })),
+  };
+};
+
+export {
+  calculateCourseHandicap,
+  getStrokeIndexes,
+  allocateStrokes,
+  calculateAdjustedGrossScore,
+  calculateScoreDifferential,
+  calculateHandicapIndex,
+  isHandicapEligible,
+  buildHandicapHistory,
+  buildHandicapRecord,
+};
@@ -0,0 +1,103 @@
+import { getPlayerStrokes } from './scoring.js';
+
+const average = (values) => (values.length === 0
+  ? null
+  : Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10);
+
+const newRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+
+/**
+ * Record key for one comparison; lower score wins
+ */
+const outcome = (score, opponentScore) => {
+  if (score < opponentScore) return 'wins';
+  if (score > opponentScore) return 'losses';
+  return 'ties';
+};
+
+const findPlayer = (round, id) => round.players.find(
+  (p) => p.userId?.toString() === id.toString(),
+);
+
+/**
+ * Head-to-head record between two linked players over the rounds they have
+ * both played, from the first user's point of view.
+ * Totals (gross and net) are compared only when both cards are complete;
+ * holes are compared wherever both players have a score.
+ * Margins are the opponent's total minus the user's, so positive means the
+ * user won by that many strokes.
+ */
+const buildHeadToHead = (rounds, userId, opponentId) => {
+  const shared = rounds
+    .map((round) => ({
+      round,
+      player: findPlayer(round, userId),
+      opponent: findPlayer(round, opponentId),
+    }))
+    .filter(({ player, opponent }) => player && opponent)
+    .sort((a, b) => new Date(b.round.date) - new Date(a.round.date));
+
+  const gross = newRecord();
+  const net = newRecord();
+  const holes = { gross: newRecord(), net: newRecord() };
+  const grossMargins = [];
+  const netMargins = [];
+  const history = [];
+
+  shared.forEach(({ round, player, opponent }) => {
+    const playerStrokes = getPlayerStrokes(round, player);
+    const opponentStrokes = getPlayerStrokes(round, opponent);
+
+    round.holes.forEach((_, index) => {
+      const score = player.scores[index];
+      const opponentScore = opponent.scores[index];
+      if (!(score > 0) || !(opponentScore > 0)) return;
+      holes.gross[outcome(score, opponentScore)] += 1;
+      holes.net[outcome(
+        score - playerStrokes[index],
+        opponentScore - opponentStrokes[index],
+      )] += 1;
+    });
+
+    const complete = round.holes.every(
+      (_, index) => player.scores[index] > 0 && opponent.scores[index] > 0,
+    );
+    if (!complete) return;
+
+    const total = (scores) => round.holes.reduce((sum, _, index) => sum + scores[index], 0);
+    const strokesTotal = (strokes) => strokes.reduce((sum, s) => sum + s, 0);
+    const playerGross = total(player.scores);
+    const opponentGross = total(opponent.scores);
+    const playerNet = playerGross - strokesTotal(playerStrokes);
+    const opponentNet = opponentGross - strokesTotal(opponentStrokes);
+
+    gross[outcome(playerGross, opponentGross)] += 1;
+    net[outcome(playerNet, opponentNet)] += 1;
+    grossMargins.push(opponentGross - playerGross);
+    netMargins.push(opponentNet - playerNet);
+    history.push({
+      // eslint-disable-next-line no-underscore-dangle
+      roundId: round._id,
+      date: round.date,
+      courseName: round.courseName,
+      holes: round.holes.length,
+      gross: [playerGross, opponentGross],
+      net: [playerNet, opponentNet],
+    });
+  });
+
+  // Names as they appeared on the most recent shared card
+  const latest = shared[0];
+  return {
+    user: { userId, name: latest?.player.name || null },
+    opponent: { userId: opponentId, name: latest?.opponent.name || null },
+    sharedRounds: shared.length,
+    completedRounds: history.length,
+    gross: { ...gross, averageMargin: average(grossMargins) },
+    net: { ...net, averageMargin: average(netMargins) },
+    holes,
+    history,
+  };
+};
+
+export default buildHeadToHead;
@@ -0,0 +1,22 @@
+/**
+ * Who is live in a round, one entry per user however many tabs they have
+ * open. `connections` are { userId, role, holeNumber, updatedAt } per socket;
+ * a user's hole comes from the tab they used most recently, and they count
+ * as a player if any of their tabs joined as one.
+ */
+const summarizePresence = (connections) => {
+  const byUser = new Map();
+  connections.forEach((connection) => {
+    const current = byUser.get(connection.userId);
+    const latest = !current || connection.updatedAt >= current.updatedAt ? connection : current;
+    byUser.set(connection.userId, {
+      userId: connection.userId,
+      role: current?.role === 'player' || connection.role === 'player' ? 'player' : 'spectator',
+      holeNumber: latest.holeNumber ?? null,
+      updatedAt: latest.updatedAt,
+    });
+  });
+  return [...byUser.values()].map(({ updatedAt, ...user }) => user);
+};
+
+export default summarizePresence;
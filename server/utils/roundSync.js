@@ -0,0 +1,31 @@
+// Round fields a full update can change, sent to live viewers when they do
+const SYNCED_FIELDS = [
+  'courseName',
+  'courseId',
+  'date',
+  'holes',
+  'players',
+  'teams',
+  'format',
+  'formatOptions',
+  'games',
+  'status',
+  'results',
+];
+
+/**
+ * The synced fields that differ between two round snapshots (e.g. from
+ * toJSON()), mapped to their new values. Values are compared and returned as
+ * plain JSON, so ObjectIds become strings and dates ISO strings.
+ */
+const diffRoundFields = (before, after) => Object.fromEntries(
+  SYNCED_FIELDS
+    .map((field) => [field, JSON.stringify(before[field]), JSON.stringify(after[field])])
+    .filter(([, oldValue, newValue]) => oldValue !== newValue)
+    .map(([field, , newValue]) => [field, newValue === undefined ? null : JSON.parse(newValue)]),
+);
+
+export {
+  SYNCED_FIELDS,
+  diffRoundFields,
+};
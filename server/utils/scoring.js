@@ -0,0 +1,462 @@
+import { allocateStrokes, getStrokeIndexes } from './handicap.js';
+
+// Formats scored per team rather than per player
+const TEAM_FORMATS = ['bestball', 'scramble', 'alternate'];
+// Team formats that record one team score per hole instead of player scores
+const TEAM_SCORE_FORMATS = ['scramble', 'alternate'];
+
+/**
+ * Stableford points for a score relative to par (net or gross).
+ * Standard: 2 for par, one more per stroke under, one less per stroke over (min 0).
+ * Modified: double bogey or worse -3, bogey -1, par 0, birdie 2, eagle 5, albatross 8.
+ */
+const stablefordPoints = (diff, table) => {
+  if (table === 'modified') {
+    if (diff >= 2) return -3;
+    if (diff === 1) return -1;
+    if (diff === 0) return 0;
+    if (diff === -1) return 2;
+    if (diff === -2) return 5;
+    return 8;
+  }
+  return Math.max(0, 2 - diff);
+};
+
+/**
+ * Strokes a player receives on each hole of the round
+ */
+const getPlayerStrokes = (round, player) => allocateStrokes(
+  player.courseHandicap,
+  getStrokeIndexes(round.holes, player.tee),
+);
+
+/**
+ * Match play sides: singles is player 1 vs player 2, four-ball is
+ * players 1 & 2 vs players 3 & 4. Returns null for other player counts.
+ */
+const getMatchSides = (players) => {
+  if (players.length === 2) return [[0], [1]];
+  if (players.length === 4) return [[0, 1], [2, 3]];
+  return null;
+};
+
+/**
+ * Describe a match state, e.g. "2 UP", "AS", "3 UP (dormie)" or "3&2"
+ */
+const describeMatch = (margin, remaining) => {
+  if (margin === 0) return 'AS';
+  if (remaining === 0) return `${margin} UP`;
+  if (margin > remaining) return `${margin}&${remaining}`;
+  if (remaining > 0 && margin === remaining) return `${margin} UP (dormie)`;
+  return `${margin} UP`;
+};
+
+/**
+ * Handicap strokes per player for head-to-head games, taken off the lowest
+ * course handicap in the group. All zero when playing gross.
+ */
+const getRelativeStrokes = (round, useNet) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const lowest = Math.min(...players.map((p) => p.courseHandicap || 0));
+  return players.map((player) => (useNet
+    ? allocateStrokes(
+      (player.courseHandicap || 0) - lowest,
+      getStrokeIndexes(holes, player.tee),
+    )
+    : holes.map(() => 0)));
+};
+
+/**
+ * Winning side of each hole (0, 1, or null when halved), best ball per side.
+ * Holes are decided in order, stopping at the first one missing a score.
+ */
+const decideHoles = (round, sides, strokes) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const winners = [];
+
+  for (let index = 0; index < holes.length; index += 1) {
+    if (!players.every((p) => p.scores?.[index] > 0)) break;
+
+    const [best0, best1] = sides.map((side) => Math.min(
+      ...side.map((i) => players[i].scores[index] - strokes[i][index]),
+    ));
+    let winner = null;
+    if (best0 < best1) winner = 0;
+    if (best1 < best0) winner = 1;
+    winners.push(winner);
+  }
+
+  return winners;
+};
+
+/**
+ * Hole-by-hole match play between two sides, best ball per side.
+ * With handicaps, strokes are taken off the lowest course handicap in the match.
+ * Holes are decided in order once every player has a score; the match stops
+ * when one side leads by more holes than remain.
+ */
+const computeMatchPlay = (round) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const sides = getMatchSides(players);
+  if (!sides) return null;
+
+  const strokes = getRelativeStrokes(round, round.formatOptions?.useNet);
+  const winners = decideHoles(round, sides, strokes);
+  const sideNames = sides.map((side) => side.map((i) => players[i].name).join(' & '));
+  const holeResults = [];
+  let margin = 0; // positive when side 0 leads
+  let thru = 0;
+  let concluded = false;
+
+  holes.forEach((_, index) => {
+    if (concluded || index >= winners.length) {
+      holeResults.push(null);
+      return;
+    }
+
+    const winner = winners[index];
+    if (winner === 0) margin += 1;
+    if (winner === 1) margin -= 1;
+    thru += 1;
+
+    const remaining = holes.length - thru;
+    concluded = Math.abs(margin) > remaining;
+    holeResults.push({
+      winner,
+      leader: margin === 0 ? null : Number(margin < 0),
+      status: describeMatch(Math.abs(margin), remaining),
+    });
+  });
+
+  const remaining = holes.length - thru;
+  const leader = margin === 0 ? null : Number(margin < 0);
+  return {
+    sides,
+    sideNames,
+    strokes,
+    holes: holeResults,
+    thru,
+    leader,
+    margin: Math.abs(margin),
+    status: describeMatch(Math.abs(margin), remaining),
+    concluded: concluded || remaining === 0,
+  };
+};
+
+/**
+ * Net pairwise payments from a matrix of amounts owed (owed[from][to])
+ */
+const settlePayments = (owed) => {
+  const payments = [];
+  owed.forEach((row, from) => {
+    row.forEach((amount, to) => {
+      const net = amount - owed[to][from];
+      if (net > 0) payments.push({ from, to, amount: net });
+    });
+  });
+  return payments;
+};
+
+/**
+ * Skins side game: the lowest score on a hole wins it outright; ties carry the
+ * skin to the next hole (or kill it when carryovers are off). Holes are settled
+ * in order once everyone has a score. Each skin is paid by every other player.
+ */
+const computeSkins = (round) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const settings = round.games?.skins;
+  if (!settings?.enabled || players.length < 2) return null;
+
+  const value = settings.value || 0;
+  const carryovers = settings.carryover !== false;
+  const strokes = players.map((player) => (settings.useNet
+    ? getPlayerStrokes(round, player)
+    : holes.map(() => 0)));
+
+  const won = players.map(() => ({ skins: 0, holes: [] }));
+  const owed = players.map(() => players.map(() => 0));
+  const holeResults = [];
+  let pot = 1;
+  let settled = true;
+
+  holes.forEach((hole, index) => {
+    settled = settled && players.every((p) => p.scores?.[index] > 0);
+    if (!settled) {
+      holeResults.push(null);
+      return;
+    }
+
+    const scores = players.map((p, i) => p.scores[index] - strokes[i][index]);
+    const best = Math.min(...scores);
+    const leaders = scores.flatMap((score, i) => (score === best ? [i] : []));
+
+    if (leaders.length > 1) {
+      holeResults.push({ winner: null, skins: pot, carried: carryovers });
+      pot = carryovers ? pot + 1 : 1;
+      return;
+    }
+
+    const [winner] = leaders;
+    won[winner].skins += pot;
+    won[winner].holes.push(hole.holeNumber);
+    players.forEach((_, i) => {
+      if (i !== winner) owed[i][winner] += pot * value;
+    });
+    holeResults.push({ winner, skins: pot, carried: false });
+    pot = 1;
+  });
+
+  const totalSkins = won.reduce((sum, w) => sum + w.skins, 0);
+  return {
+    value,
+    useNet: Boolean(settings.useNet),
+    carryover: carryovers,
+    holes: holeResults,
+    // Skins tied on the last settled hole and still waiting for a winner
+    pending: pot - 1,
+    players: won.map((w) => ({
+      ...w,
+      balance: value * (w.skins * (players.length - 1) - (totalSkins - w.skins)),
+    })),
+    payments: settlePayments(owed),
+  };
+};
+
+/**
+ * Hole ranges for each Nassau bet, split the same way as the scorecard's
+ * front and back nine subtotals. Nine-hole rounds only have a front bet.
+ */
+const getNassauSegments = (holeCount) => {
+  const segments = { front: { start: 0, end: Math.min(9, holeCount) } };
+  if (holeCount > 9) {
+    segments.back = { start: 9, end: holeCount };
+    segments.overall = { start: 0, end: holeCount };
+  }
+  return segments;
+};
+
+/**
+ * Nassau: separate match play bets on the front nine, back nine and overall,
+ * between two sides (singles or best ball). Presses are new bets on the rest
+ * of a nine, started by the side that is down. Automatic presses start on the
+ * next hole whenever a front or back bet (including a press) goes `pressAt`
+ * down; manual presses come from `games.nassau.presses`.
+ * A bet pays out once it is decided; each losing player pays one winner.
+ */
+const computeNassau = (round) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const settings = round.games?.nassau;
+  const sides = getMatchSides(players);
+  if (!settings?.enabled || !sides) return null;
+
+  const value = settings.value || 0;
+  const pressMode = settings.pressMode || 'auto';
+  const pressAt = settings.pressAt || 2;
+  const strokes = getRelativeStrokes(round, settings.useNet);
+  const winners = decideHoles(round, sides, strokes);
+  const segments = getNassauSegments(holes.length);
+
+  const newBet = (segment, start, pressedBy = null) => ({
+    segment,
+    start,
+    end: segments[segment].end,
+    pressedBy,
+    margin: 0, // positive when side 0 leads
+    played: 0,
+    pressed: false,
+  });
+
+  const bets = Object.entries(segments).map(([segment, { start }]) => newBet(segment, start));
+  if (pressMode === 'manual') {
+    (settings.presses || []).forEach((press) => {
+      if (segments[press.segment]) {
+        bets.push(newBet(press.segment, press.startHole - 1, press.side));
+      }
+    });
+  }
+
+  winners.forEach((winner, index) => {
+    // Presses added on this hole start on the next one, so the loop skips them
+    for (let b = 0; b < bets.length; b += 1) {
+      const bet = bets[b];
+      const closedOut = Math.abs(bet.margin) > bet.end - bet.start - bet.played;
+      if (index >= bet.start && index < bet.end && !closedOut) {
+        if (winner === 0) bet.margin += 1;
+        if (winner === 1) bet.margin -= 1;
+        bet.played += 1;
+
+        const autoPress = pressMode === 'auto'
+          && bet.segment !== 'overall'
+          && !bet.pressed
+          && Math.abs(bet.margin) === pressAt
+          && index + 1 < bet.end;
+        if (autoPress) {
+          bet.pressed = true;
+          bets.push(newBet(bet.segment, index + 1, Number(bet.margin > 0)));
+        }
+      }
+    }
+  });
+
+  const owed = players.map(() => players.map(() => 0));
+  const betResults = bets.map((bet) => {
+    const margin = Math.abs(bet.margin);
+    const remaining = bet.end - bet.start - bet.played;
+    const leader = bet.margin === 0 ? null : Number(bet.margin < 0);
+    const settled = margin > remaining || remaining === 0;
+    const winner = settled ? leader : null;
+
+    if (winner !== null) {
+      sides[1 - winner].forEach((loser, k) => {
+        owed[loser][sides[winner][k]] += value;
+      });
+    }
+
+    return {
+      segment: bet.segment,
+      press: bet.pressedBy !== null,
+      pressedBy: bet.pressedBy,
+      startHole: holes[bet.start]?.holeNumber ?? bet.start + 1,
+      endHole: holes[bet.end - 1]?.holeNumber ?? bet.end,
+      leader,
+      margin,
+      status: bet.played === 0 ? 'Not started' : describeMatch(margin, remaining),
+      settled,
+      winner,
+    };
+  });
+
+  return {
+    value,
+    useNet: Boolean(settings.useNet),
+    pressMode,
+    pressAt,
+    sides,
+    sideNames: sides.map((side) => side.map((i) => players[i].name).join(' & ')),
+    thru: winners.length,
+    bets: betResults,
+    players: players.map((_, i) => ({
+      balance: owed.reduce((sum, row, j) => sum + row[i] - owed[i][j], 0),
+    })),
+    payments: settlePayments(owed),
+  };
+};
+
+/**
+ * Team scores for team formats. Four-ball best ball takes the lowest score on
+ * the team each hole (net when configured); scramble and alternate shot use
+ * the single score the team records per hole.
+ */
+const computeTeamResults = (round, playerResults) => {
+  const holes = round.holes || [];
+  const players = round.players || [];
+  const useNet = round.format === 'bestball' && Boolean(round.formatOptions?.useNet);
+
+  return (round.teams || []).map((team, teamIndex) => {
+    const members = players.flatMap((p, i) => (p.team === teamIndex ? [i] : []));
+    const scores = holes.map((_, index) => {
+      if (round.format !== 'bestball') {
+        const score = team.scores?.[index];
+        return score > 0 ? score : null;
+      }
+      const counted = members
+        .filter((i) => players[i].scores?.[index] > 0)
+        .map((i) => players[i].scores[index] - (useNet ? playerResults[i].strokes[index] : 0));
+      return counted.length > 0 ? Math.min(...counted) : null;
+    });
+
+    return {
+      name: team.name,
+      players: members,
+      useNet,
+      scores,
+      total: scores.reduce((sum, score) => sum + (score || 0), 0),
+      parPlayed: holes.reduce((sum, hole, index) => sum + (scores[index] ? hole.par : 0), 0),
+      holesPlayed: scores.filter((score) => score !== null).length,
+    };
+  });
+};
+
+/**
+ * Per-player gross/net totals plus format-specific scoring for a round.
+ * Unscored holes (0 or missing) are skipped, so totals cover holes played.
+ */
+const computeRoundResults = (round) => {
+  const holes = round.holes || [];
+  const options = round.formatOptions || {};
+
+  const players = (round.players || []).map((player) => {
+    const strokes = getPlayerStrokes(round, player);
+    const result = {
+      gross: 0,
+      net: 0,
+      parPlayed: 0,
+      holesPlayed: 0,
+      strokes,
+    };
+
+    const points = holes.map((hole, index) => {
+      const score = player.scores?.[index];
+      if (!score || score <= 0) return null;
+
+      result.gross += score;
+      result.net += score - strokes[index];
+      result.parPlayed += hole.par;
+      result.holesPlayed += 1;
+
+      if (round.format !== 'stableford') return null;
+      const counted = options.useNet ? score - strokes[index] : score;
+      return stablefordPoints(counted - hole.par, options.stablefordTable);
+    });
+
+    if (round.format === 'stableford') {
+      result.points = points;
+      result.totalPoints = points.reduce((sum, p) => sum + (p || 0), 0);
+    }
+
+    return result;
+  });
+
+  return {
+    format: round.format || 'stroke',
+    players,
+    ...(TEAM_FORMATS.includes(round.format) && { teams: computeTeamResults(round, players) }),
+    ...(round.format === 'match' && { match: computeMatchPlay(round) }),
+    ...(round.games?.skins?.enabled && { skins: computeSkins(round) }),
+    ...(round.games?.nassau?.enabled && { nassau: computeNassau(round) }),
+  };
+};
+
+/**
+ * Play status from the scores entered: scheduled until the first score, then
+ * in progress until every card is full. Scramble and alternate shot are
+ * scored on team cards, every other format on player cards.
+ */
+const getPlayStatus = (round) => {
+  const holes = round.holes || [];
+  const cards = (TEAM_SCORE_FORMATS.includes(round.format) ? round.teams : round.players) || [];
+  const isFull = (card) => holes.every((_, index) => card.scores?.[index] > 0);
+  const hasScore = (card) => holes.some((_, index) => card.scores?.[index] > 0);
+
+  if (holes.length > 0 && cards.length > 0 && cards.every(isFull)) return 'completed';
+  if (cards.some(hasScore)) return 'in_progress';
+  return 'scheduled';
+};
+
+export {
+  TEAM_FORMATS,
+  TEAM_SCORE_FORMATS,
+  stablefordPoints,
+  getPlayerStrokes,
+  computeMatchPlay,
+  computeSkins,
+  getNassauSegments,
+  computeNassau,
+  computeRoundResults,
+  getPlayStatus,
+};
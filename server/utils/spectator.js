@@ -0,0 +1,37 @@
+import jwt from 'jsonwebtoken';
+
+const SPECTATOR_GRANT_TTL = '24h';
+
+// Grants use their own secret so one can never pass as a login token
+const grantSecret = () => `${process.env.JWT_SECRET}:spectator`;
+
+/**
+ * Issue a signed grant letting its holder follow a round's live updates
+ * without being a player in it
+ */
+const createSpectatorGrant = (roundId, issuedBy) => {
+  const token = jwt.sign(
+    { roundId: roundId.toString(), issuedBy: issuedBy.toString() },
+    grantSecret(),
+    { expiresIn: SPECTATOR_GRANT_TTL },
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Whether a grant is valid, unexpired and issued for this round
+ */
+const verifySpectatorGrant = (token, roundId) => {
+  if (!token) return false;
+  try {
+    return jwt.verify(token, grantSecret()).roundId === roundId.toString();
+  } catch (error) {
+    return false;
+  }
+};
+
+export {
+  SPECTATOR_GRANT_TTL,
+  createSpectatorGrant,
+  verifySpectatorGrant,
+};
@@ -0,0 +1,214 @@
+// Default number of recent rounds in the trend
+const DEFAULT_TREND_LENGTH = 20;
+
+const average = (values) => (values.length === 0
+  ? null
+  : Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10);
+
+/**
+ * Scoring label for a hole relative to par
+ */
+const getScoreType = (diff) => {
+  if (diff <= -2) return 'eagles';
+  if (diff === -1) return 'birdies';
+  if (diff === 0) return 'pars';
+  if (diff === 1) return 'bogeys';
+  return 'doubles';
+};
+
+/**
+ * The user's completed card from a round: every hole scored.
+ * Returns null when the user isn't in the round or the card is incomplete.
+ */
+const getCompletedCard = (round, userId) => {
+  const player = round.players.find((p) => p.userId?.toString() === userId.toString());
+  if (!player || round.holes.length === 0) return null;
+  if (!round.holes.every((_, index) => player.scores[index] > 0)) return null;
+
+  const scores = round.holes.map((_, index) => player.scores[index]);
+  const gross = scores.reduce((sum, s) => sum + s, 0);
+  const par = round.holes.reduce((sum, h) => sum + h.par, 0);
+  return {
+    // eslint-disable-next-line no-underscore-dangle
+    roundId: round._id,
+    date: round.date,
+    courseName: round.courseName,
+    holes: round.holes.length,
+    scores,
+    gross,
+    par,
+    toPar: gross - par,
+  };
+};
+
+/**
+ * Averages and best/worst for a set of completed cards
+ */
+const summarizeCards = (cards) => {
+  const byToPar = [...cards].sort((a, b) => a.toPar - b.toPar || a.gross - b.gross);
+  const strip = ({ scores, ...card }) => card;
+  return {
+    rounds: cards.length,
+    scoringAverage: average(cards.map((c) => c.gross)),
+    averageToPar: average(cards.map((c) => c.toPar)),
+    best: byToPar.length ? strip(byToPar[0]) : null,
+    worst: byToPar.length ? strip(byToPar[byToPar.length - 1]) : null,
+  };
+};
+
+/**
+ * Personal scoring statistics over a user's completed rounds (every hole
+ * scored): averages, best and worst rounds by score to par, average by par,
+ * score distribution, 9- vs 18-hole splits and a trend of the latest rounds.
+ */
+const buildPlayerStats = (rounds, userId, trendLength = DEFAULT_TREND_LENGTH) => {
+  const cards = [...rounds]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((round) => ({ round, card: getCompletedCard(round, userId) }))
+    .filter(({ card }) => card);
+
+  const byPar = { 3: [], 4: [], 5: [] };
+  const distribution = {
+    eagles: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0,
+  };
+  cards.forEach(({ round, card }) => {
+    round.holes.forEach((hole, index) => {
+      const score = card.scores[index];
+      byPar[hole.par]?.push(score);
+      distribution[getScoreType(score - hole.par)] += 1;
+    });
+  });
+
+  const allCards = cards.map(({ card }) => card);
+  return {
+    ...summarizeCards(allCards),
+    holesPlayed: Object.values(distribution).reduce((sum, n) => sum + n, 0),
+    parAverages: {
+      3: average(byPar[3]),
+      4: average(byPar[4]),
+      5: average(byPar[5]),
+    },
+    distribution,
+    splits: {
+      nine: summarizeCards(allCards.filter((c) => c.holes === 9)),
+      eighteen: summarizeCards(allCards.filter((c) => c.holes === 18)),
+    },
+    trend: allCards.slice(-trendLength).map(({ scores: cardScores, ...card }) => card),
+  };
+};
+
+// Lowercased, trimmed, single-spaced course name for grouping rounds by name
+const normalizeCourseName = (name = '') => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Whether a round was played on the given course. Rounds linked to a saved
+ * course match by reference; rounds without one match by normalized name.
+ */
+const isSameCourse = (round, { courseId, courseName }) => {
+  if (courseId && round.courseId) return round.courseId.toString() === courseId.toString();
+  return Boolean(courseName)
+    && normalizeCourseName(round.courseName) === normalizeCourseName(courseName);
+};
+
+const newestFirst = (a, b) => new Date(b.date) - new Date(a.date);
+
+/**
+ * Courses the user has played, most recently played first. Rounds without a
+ * course reference join a saved course with the same name when there is one.
+ */
+const listPlayedCourses = (rounds, userId) => {
+  const mine = rounds
+    .filter((round) => round.players.some((p) => p.userId?.toString() === userId.toString()))
+    .sort(newestFirst);
+
+  const idsByName = new Map();
+  mine.forEach((round) => {
+    const name = normalizeCourseName(round.courseName);
+    if (round.courseId && !idsByName.has(name)) idsByName.set(name, round.courseId.toString());
+  });
+
+  const groups = new Map();
+  mine.forEach((round) => {
+    const name = normalizeCourseName(round.courseName);
+    const courseId = round.courseId?.toString() || idsByName.get(name) || null;
+    const key = courseId || `name:${name}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        courseId, courseName: round.courseName, lastPlayed: round.date, rounds: [],
+      });
+    }
+    groups.get(key).rounds.push(round);
+  });
+
+  return [...groups.values()].map(({ rounds: courseRounds, ...course }) => {
+    const cards = courseRounds.map((round) => getCompletedCard(round, userId)).filter(Boolean);
+    return { ...course, roundsPlayed: courseRounds.length, ...summarizeCards(cards) };
+  });
+};
+
+/**
+ * How the user has played each hole of one course. Round totals only count
+ * completed cards; hole averages include every hole the user has scored.
+ * The rounds passed in should already be filtered to the course.
+ */
+const buildCourseHistory = (rounds, userId) => {
+  const played = [...rounds]
+    .sort(newestFirst)
+    .map((round) => ({
+      round,
+      player: round.players.find((p) => p.userId?.toString() === userId.toString()),
+    }))
+    .filter(({ player }) => player);
+
+  const holes = new Map();
+  played.forEach(({ round, player }) => {
+    round.holes.forEach((hole, index) => {
+      const score = player.scores[index];
+      if (!(score > 0)) return;
+      if (!holes.has(hole.holeNumber)) {
+        // Newest round first, so par comes from the latest layout played
+        holes.set(hole.holeNumber, {
+          holeNumber: hole.holeNumber,
+          par: hole.par,
+          scores: [],
+          toPar: [],
+          distribution: {
+            eagles: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0,
+          },
+        });
+      }
+      const entry = holes.get(hole.holeNumber);
+      entry.scores.push(score);
+      entry.toPar.push(score - hole.par);
+      entry.distribution[getScoreType(score - hole.par)] += 1;
+    });
+  });
+
+  const latest = played[0]?.round;
+  return {
+    courseId: played.find(({ round }) => round.courseId)?.round.courseId || null,
+    courseName: latest?.courseName || null,
+    lastPlayed: latest?.date || null,
+    roundsPlayed: played.length,
+    ...summarizeCards(played.map(({ round }) => getCompletedCard(round, userId)).filter(Boolean)),
+    holes: [...holes.values()]
+      .sort((a, b) => a.holeNumber - b.holeNumber)
+      .map(({ scores, toPar, ...hole }) => ({
+        ...hole,
+        played: scores.length,
+        average: average(scores),
+        averageToPar: average(toPar),
+        best: Math.min(...scores),
+      })),
+  };
+};
+
+export {
+  DEFAULT_TREND_LENGTH,
+  getCompletedCard,
+  buildPlayerStats,
+  normalizeCourseName,
+  isSameCourse,
+  listPlayedCourses,
+  buildCourseHistory,
+};